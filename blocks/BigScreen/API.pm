@@ -64,11 +64,232 @@ sub _show_api_docs {
 }
 
 
+## @method private $ _validate_device_values($values)
+# Check that the device settings provided in an update request are valid.
+# Leading and trailing whitespace is removed from the values.
+#
+# @param values A reference to a hash of device settings.
+# @return undef if the settings are valid, otherwise a string describing the
+#         problem with them.
+sub _validate_device_values {
+    my $self   = shift;
+    my $values = shift;
+
+    foreach my $key (keys(%{$values})) {
+        return "Unsupported device setting '$key'"
+            unless($key =~ /^(description|ipaddr|port|powerschedule|tags|layout)$/);
+
+        # The power schedule, tags, and layout are checked separately, and may be null to remove them
+        next if($key eq "powerschedule" || $key eq "tags" || $key eq "layout");
+
+        return "No value provided for '$key'"
+            unless(defined($values -> {$key}) && !ref($values -> {$key}));
+
+        ($values -> {$key}) = $values -> {$key} =~ /^\s*(.*?)\s*$/s;
+    }
+
+    return "No device settings provided"
+        unless(scalar(keys(%{$values})));
+
+    return "The description must be between 1 and 255 characters long"
+        if(exists($values -> {"description"}) && (!length($values -> {"description"}) || length($values -> {"description"}) > 255));
+
+    return "The address must be an IP address or hostname"
+        if(exists($values -> {"ipaddr"}) && $values -> {"ipaddr"} !~ /^[\w.:-]{1,255}$/);
+
+    return "The port must be a number between 1 and 65535"
+        if(exists($values -> {"port"}) && ($values -> {"port"} !~ /^\d{1,5}$/ || $values -> {"port"} < 1 || $values -> {"port"} > 65535));
+
+    return "The layout must be a layout ID, or null to remove it"
+        if(defined($values -> {"layout"}) && (ref($values -> {"layout"}) || $values -> {"layout"} !~ /^\d+$/));
+
+    if(exists($values -> {"tags"})) {
+        return "The tags must be a string or an array of strings"
+            if(ref($values -> {"tags"}) && (ref($values -> {"tags"}) ne "ARRAY" || grep { ref($_) } @{$values -> {"tags"}}));
+
+        $values -> {"tags"} = $self -> {"system"} -> {"tags"} -> split_tags($values -> {"tags"})
+            or return $self -> {"system"} -> {"tags"} -> errstr();
+    }
+
+    return $self -> _validate_power_schedule($values -> {"powerschedule"})
+        if(defined($values -> {"powerschedule"}));
+
+    return undef;
+}
+
+
+## @method private $ _validate_heartbeat($heartbeat)
+# Check that the heartbeat sent by a device is valid. Long values are
+# truncated, and the number of errors is limited.
+#
+# @param heartbeat A reference to the heartbeat hash.
+# @return undef if the heartbeat is valid, otherwise a string describing the
+#         problem with it.
+sub _validate_heartbeat {
+    my $self      = shift;
+    my $heartbeat = shift;
+
+    foreach my $key ("slide", "title") {
+        return "The heartbeat $key must be a string"
+            if(ref($heartbeat -> {$key}));
+
+        $heartbeat -> {$key} = substr($heartbeat -> {$key} // "", 0, 255);
+    }
+
+    foreach my $key ("count", "loaded", "paused", "alert") {
+        return "The heartbeat $key must be a number"
+            unless(($heartbeat -> {$key} // 0) =~ /^\d+$/);
+    }
+
+    $heartbeat -> {$_} = $heartbeat -> {$_} ? 1 : 0 foreach("paused", "alert");
+
+    my $errors = $heartbeat -> {"errors"} // [];
+    return "The heartbeat errors must be an array of strings"
+        if(ref($errors) ne "ARRAY" || grep { ref($_) } @{$errors});
+
+    # Only the most recent errors are kept
+    splice(@{$errors}, 0, -10) if(scalar(@{$errors}) > 10);
+    $heartbeat -> {"errors"} = [ map { substr($_ // "", 0, 500) } @{$errors} ];
+
+    return undef;
+}
+
+
+## @method private $ _validate_playback($records)
+# Check that the playback records sent by a device are valid. Long values are
+# truncated, and the number of records accepted in one request is limited.
+#
+# @param records A reference to the array of playback record hashes.
+# @return undef if the records are valid, otherwise a string describing the
+#         problem with them.
+sub _validate_playback {
+    my $self    = shift;
+    my $records = shift;
+
+    return "The playback records must be an array of objects"
+        if(ref($records) ne "ARRAY" || grep { ref($_) ne "HASH" } @{$records});
+
+    return "Too many playback records, at most 500 may be sent at once"
+        if(scalar(@{$records}) > 500);
+
+    foreach my $record (@{$records}) {
+        foreach my $key ("slide", "title") {
+            return "The playback $key must be a string"
+                if(ref($record -> {$key}));
+
+            $record -> {$key} = substr($record -> {$key} // "", 0, 255);
+        }
+
+        return "The playback slide must be set"
+            unless($record -> {"slide"});
+
+        return "The playback source must be a source ID"
+            unless(!defined($record -> {"source"}) || $record -> {"source"} =~ /^\d+$/);
+
+        foreach my $key ("start", "duration", "paused") {
+            return "The playback $key must be a number"
+                unless(($record -> {$key} // 0) =~ /^\d+$/);
+
+            $record -> {$key} //= 0;
+        }
+
+        return "The playback start time must not be in the future"
+            if($record -> {"start"} > time() + 300);
+
+        # Paused time is part of the duration, so it can never be longer
+        $record -> {"paused"} = $record -> {"duration"}
+            if($record -> {"paused"} > $record -> {"duration"});
+    }
+
+    return undef;
+}
+
+
+## @method private $ _device_request_allowed($device)
+# Determine whether the current request may act on behalf of the specified
+# device. Devices are not expected to log in, so requests are allowed if they
+# come from the device's address, or if the user has the api.use capability.
+#
+# @param device A reference to the device hash.
+# @return true if the request is allowed, false otherwise.
+sub _device_request_allowed {
+    my $self   = shift;
+    my $device = shift;
+
+    return ($self -> {"cgi"} -> remote_addr() eq $device -> {"ipaddr"} || $self -> check_permission("api.use"));
+}
+
+
+## @method private $ _validate_power_schedule($schedule)
+# Check that a device power schedule provided in an update request is valid.
+# See BigScreen::System::Devices::get_power_schedule() for the format. Days
+# with no times set are removed from the schedule.
+#
+# @param schedule A reference to the power schedule hash.
+# @return undef if the schedule is valid, otherwise a string describing the
+#         problem with it.
+sub _validate_power_schedule {
+    my $self     = shift;
+    my $schedule = shift;
+
+    return "The power schedule must be an object"
+        unless(ref($schedule) eq "HASH");
+
+    foreach my $key (keys(%{$schedule})) {
+        return "Unsupported power schedule setting '$key'"
+            unless($key =~ /^(days|holidays)$/);
+    }
+
+    my $days = $schedule -> {"days"} // {};
+    return "The power schedule days must be an object"
+        unless(ref($days) eq "HASH");
+
+    foreach my $day (keys(%{$days})) {
+        return "Unknown day '$day' in the power schedule"
+            unless($day =~ /^(mon|tue|wed|thu|fri|sat|sun)$/);
+
+        my $times = $days -> {$day};
+        if(!$times) {
+            delete($days -> {$day});
+            next;
+        }
+
+        return "The times for '$day' must be an object with 'on' and 'off' times"
+            unless(ref($times) eq "HASH" && defined($times -> {"on"}) && defined($times -> {"off"}));
+
+        foreach my $time ("on", "off") {
+            return "The $time time for '$day' must be given as HH:MM"
+                unless($times -> {$time} =~ /^([01]\d|2[0-3]):[0-5]\d$/);
+        }
+
+        return "The on time for '$day' must be before the off time"
+            unless($times -> {"on"} lt $times -> {"off"});
+    }
+
+    my $holidays = $schedule -> {"holidays"} // [];
+    return "The power schedule holidays must be an array"
+        unless(ref($holidays) eq "ARRAY");
+
+    foreach my $holiday (@{$holidays}) {
+        my ($start, $end) = ($holiday // "") =~ m|^(\d{4}-\d\d-\d\d)(?:/(\d{4}-\d\d-\d\d))?$|
+            or return "Holidays must be given as YYYY-MM-DD or YYYY-MM-DD/YYYY-MM-DD";
+
+        return "The holiday '$holiday' ends before it starts"
+            if($end && $end lt $start);
+    }
+
+    return undef;
+}
+
+
 # ============================================================================
 #  API functions
 
 ## @method private $ _build_slides_response()
-# Return the slides to show on the big screen
+# Return the slides to show on the big screen. If the screen is identified by
+# the `device` parameter, or by the address of the request, only the slides
+# in that device's playlist are returned, along with the content for the
+# other zones in the device's layout if it has one.
 #
 # @api GET /slides
 #
@@ -79,11 +300,55 @@ sub _build_slides_response {
     my $sources = $self -> {"module"} -> load_module("BigScreen::System::SlideSource")
         or return $self -> api_errorhash('internal_error', "Slide show module object creation failed: ".$self -> {"module"} -> errstr());
 
-    return { "slides" => $sources -> get_slides() };
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash('internal_error', "Devices module object creation failed: ".$self -> {"module"} -> errstr());
+
+    my $tags;
+    my $device = $devices -> find_device($self -> {"cgi"} -> param("device"), $self -> {"cgi"} -> remote_addr());
+    if($device) {
+        $tags = $devices -> get_device_tags($device)
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+    }
+
+    my $response = { "slides" => $sources -> get_slides($tags) };
+
+    # Screens using a layout also need the content for its other zones
+    if($device && $device -> {"layout_id"}) {
+        my $layouts = $self -> {"module"} -> load_module("BigScreen::System::Layouts")
+            or return $self -> api_errorhash('internal_error', "Layouts module object creation failed: ".$self -> {"module"} -> errstr());
+
+        my $layout = $layouts -> get_layout($device -> {"layout_id"});
+        $response -> {"zones"} = $layouts -> get_zone_content($layout, $sources)
+            if($layout);
+    }
+
+    return $response;
 
 }
 
 
+## @method private $ _build_alert_response()
+# Return the emergency alert that should currently be shown on the big
+# screens, if there is one. The server's current time is included so that
+# screens can work out when the alert expires even if their clocks are off.
+#
+# @api GET /alert
+#
+# @return A reference to a hash containing the API response data.
+sub _build_alert_response {
+    my $self = shift;
+
+    my $alerts = $self -> {"module"} -> load_module("BigScreen::System::Alerts")
+        or return $self -> api_errorhash('internal_error', "Alerts module object creation failed: ".$self -> {"module"} -> errstr());
+
+    my $alert = $alerts -> get_current_alert()
+        or return $self -> api_errorhash('internal_error', $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $alerts -> errstr()}));
+
+    return { "alert" => $alert -> {"id"} ? $alert : undef,
+             "now"   => time() };
+}
+
+
 ## @method private $ _build_token_response()
 # Generate an API token for the currently logged-in user.
 #
@@ -120,41 +385,108 @@ sub _build_get_devices_response {
     my $devlist = $devices -> get_devices()
         or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
 
+    my $sources = $self -> {"module"} -> load_module("BigScreen::System::SlideSource")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $layouts = $self -> {"module"} -> load_module("BigScreen::System::Layouts")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $layoutlist = $layouts -> get_layouts()
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $layouts -> errstr()}));
+    my %layoutnames = map { $_ -> {"id"} => $_ -> {"name"} } @{$layoutlist};
+
+    # Unless asked to refresh, reuse recent checks rather than checking for every page showing the devices
+    my $maxage = $self -> {"cgi"} -> param("refresh") ? 0 : ($self -> {"settings"} -> {"config"} -> {"Devices:pollinterval"} || 60);
+
     my @response;
     foreach my $device (@{$devlist}) {
         next if($devname && $device -> {"name"} ne $devname);
 
         $self -> log("api.devices", "Looking up status for ".$device -> {"name"});
 
-        my $status = $devices -> get_device_status($device -> {"id"})
+        my $status = $devices -> get_device_status($device -> {"id"}, $maxage)
             or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
 
+        my $history = $devices -> get_device_history($device -> {"id"})
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+        my $heartbeat = $devices -> get_heartbeat($device -> {"id"})
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+        my $command = $devices -> get_command($device -> {"id"})
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+        my $tags = $devices -> get_device_tags($device)
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+        my $playlist = $sources -> get_playlist_sources($tags)
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $sources -> errstr()}));
+
+        my $screens = $devices -> get_screen_history($device)
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+        # This needs the screen status before it is replaced by the screenshot URLs below
+        my $screentext = $devices -> get_screen_text($status);
+
         # Convert status booleans
         $status -> {"alive"}   = $status -> {"alive"} ? JSON::true : JSON::false;
         $status -> {"running"} = $status -> {"running"} ? JSON::true : JSON::false;
         $status -> {"working"} = $status -> {"working"} ? JSON::true : JSON::false;
+        $status -> {"power"}   = $status -> {"power"} ? JSON::true : JSON::false;
+        $status -> {"blank"}   = $status -> {"blank"} ? JSON::true : JSON::false;
+        $status -> {"frozen"}  = int($status -> {"frozen"} // 0);
+        $status -> {"checked"} = int($status -> {"checked"} // 0);
+
+        foreach my $screen (@{$screens}) {
+            $screen -> {"taken"}   = int($screen -> {"taken"});
+            $screen -> {"blank"}   = $screen -> {"blank"} ? JSON::true : JSON::false;
+            $screen -> {"changed"} = $screen -> {"changed"} ? JSON::true : JSON::false;
+        }
+
+        # A device is only considered to be beating if it has sent a heartbeat recently
+        $status -> {"heartbeat"} = ($heartbeat -> {"received"} && !$heartbeat -> {"stale"}) ? JSON::true : JSON::false;
+        $heartbeat -> {"stale"}  = $heartbeat -> {"stale"} ? JSON::true : JSON::false
+            if($heartbeat -> {"received"});
 
         # Work out the screenshot URLs
         if($status -> {"screen"}) {
             $status -> {"screen"} = {
                 "full"  => path_join($self -> {"settings"} -> {"config"} -> {"Devices:webdir"}, $device -> {"name"}, "full.png"),
                 "thumb" => path_join($self -> {"settings"} -> {"config"} -> {"Devices:webdir"}, $device -> {"name"}, "small.jpg"),
+                "fetched" => JSON::true,
             };
         } else {
             $status -> {"screen"} = {
                 "full"  => path_join($self -> {"template"} -> {"templateurl"}, "images", "placeholder.png"),
                 "thumb" => path_join($self -> {"template"} -> {"templateurl"}, "images", "placeholder.png"),
+                "fetched" => JSON::false,
             };
         }
 
         push(@response, { "id"          => $device -> {"id"},
                           "name"        => $device -> {"name"},
                           "description" => $device -> {"description"},
+                          "ipaddr"      => $device -> {"ipaddr"},
+                          "port"        => $device -> {"port"},
                           "status"      => $status,
+                          "history"     => $history,
+                          "screens"     => $screens,
+                          "heartbeat"   => $heartbeat,
+                          "command"     => $command,
+                          "tags"        => $tags,
+                          "playlist"    => [ map { $_ -> {"id"} } @{$playlist} ],
+                          "layout"      => $device -> {"layout_id"} ? int($device -> {"layout_id"}) : undef,
+                          "power"       => $devices -> get_power_state($device),
                           "statusstr"   => {
                               "alive"   => $self -> {"template"} -> replace_langvar($status -> {"alive"}   ? "MANAGE_DEV_ALIVE_YES"   : "MANAGE_DEV_ALIVE_NO"),
                               "running" => $self -> {"template"} -> replace_langvar($status -> {"running"} ? "MANAGE_DEV_RUNNING_YES" : "MANAGE_DEV_RUNNING_NO"),
                               "working" => $self -> {"template"} -> replace_langvar($status -> {"working"} ? "MANAGE_DEV_WORKING_YES" : "MANAGE_DEV_WORKING_NO"),
+                              "power"   => $self -> {"template"} -> replace_langvar($status -> {"power"}   ? "MANAGE_DEV_POWER_YES"   : "MANAGE_DEV_POWER_NO"),
+                              "heartbeat" => $devices -> get_heartbeat_text($heartbeat),
+                              "screen"    => $screentext,
+                              "command"   => $devices -> get_command_text($command),
+                              "playlist"  => $devices -> get_playlist_text($tags, $playlist),
+                              "layout"    => $layoutnames{$device -> {"layout_id"} // ""} // $self -> {"template"} -> replace_langvar("MANAGE_DEV_LAYOUT_NONE"),
                           }
              });
     }
@@ -183,6 +515,310 @@ sub _build_post_device_reboot_response {
 }
 
 
+## @method private $ _build_post_device_power_response($devname, $state)
+# Switch the screen on the specified device on or off.
+#
+# @api POST /devices/{name}/power/{state}
+#
+# @param devname The name of the device to switch the screen on or off on.
+# @param state   The state to set the screen to, 'on' or 'off'.
+# @return A reference to a hash containing the API response data.
+sub _build_post_device_power_response {
+    my $self    = shift;
+    my $devname = shift;
+    my $state   = shift;
+
+    return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname =~ /^\w+$/);
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Power state must be 'on' or 'off'"}))
+        unless($state && $state =~ /^(on|off)$/);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    $self -> log("api:power", "Switching screen $state for device '$devname' (".$device -> {"id"}.")");
+
+    $devices -> set_device_power($device -> {"id"}, $state)
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    return $self -> _build_get_devices_response($devname);
+}
+
+
+## @method private $ _build_get_device_power_response($devname)
+# Report whether the screen on the specified device should be on or off
+# according to its power schedule, and any manual override. This is used
+# by the devices themselves to follow their schedule.
+#
+# @api GET /devices/{name}/power
+#
+# @param devname The name of the device to fetch the power state for.
+# @return A reference to a hash containing the API response data.
+sub _build_get_device_power_response {
+    my $self    = shift;
+    my $devname = shift;
+
+    return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname =~ /^\w+$/);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    my $power = $devices -> get_power_state($device);
+
+    return { "name"     => $device -> {"name"},
+             "schedule" => $devices -> get_power_schedule($device),
+             %{$power} };
+}
+
+
+## @method private $ _build_post_device_heartbeat_response($devname)
+# Record a heartbeat from the slideshow running on the specified device. The
+# request body should be a JSON object containing the `slide` id and `title`
+# of the slide being shown, the number of slides (`count`), the time the
+# slides were last `loaded`, and an array of recent script `errors`.
+#
+# Devices are not expected to log in to send heartbeats, see
+# _device_request_allowed() for the checks done instead.
+#
+# @api POST /devices/{name}/heartbeat
+#
+# @param devname The name of the device the heartbeat is from.
+# @return A reference to a hash containing the API response data.
+sub _build_post_device_heartbeat_response {
+    my $self    = shift;
+    my $devname = shift;
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Heartbeats must be sent using POST"}))
+        unless($self -> {"cgi"} -> request_method() eq "POST");
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname && $devname =~ /^\w+$/);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    return $self -> api_errorhash("permission_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Heartbeats must come from the device itself"}))
+        unless($self -> _device_request_allowed($device));
+
+    my $heartbeat = eval { decode_json($self -> {"cgi"} -> param("POSTDATA") // "") };
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Request body must be a JSON object"}))
+        if($@ || ref($heartbeat) ne "HASH");
+
+    my $error = $self -> _validate_heartbeat($heartbeat);
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $error}))
+        if($error);
+
+    $devices -> record_heartbeat($device -> {"id"}, $heartbeat)
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    return { "name"     => $device -> {"name"},
+             "received" => time() };
+}
+
+
+## @method private $ _build_post_device_playback_response($devname)
+# Record the slides the slideshow running on the specified device has shown.
+# The request body should be a JSON object containing an array of `records`,
+# each containing the `slide` id and `title` of the slide shown, the ID of
+# the `source` that generated it, the `start` time of the display in seconds
+# since the epoch, and the `duration` and `paused` time in milliseconds.
+#
+# Devices are not expected to log in to send playback records, see
+# _device_request_allowed() for the checks done instead.
+#
+# @api POST /devices/{name}/playback
+#
+# @param devname The name of the device the records are from.
+# @return A reference to a hash containing the API response data.
+sub _build_post_device_playback_response {
+    my $self    = shift;
+    my $devname = shift;
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Playback records must be sent using POST"}))
+        unless($self -> {"cgi"} -> request_method() eq "POST");
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname && $devname =~ /^\w+$/);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    return $self -> api_errorhash("permission_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Playback records must come from the device itself"}))
+        unless($self -> _device_request_allowed($device));
+
+    my $body = eval { decode_json($self -> {"cgi"} -> param("POSTDATA") // "") };
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Request body must be a JSON object"}))
+        if($@ || ref($body) ne "HASH");
+
+    my $error = $self -> _validate_playback($body -> {"records"});
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $error}))
+        if($error);
+
+    my $playback = $self -> {"module"} -> load_module("BigScreen::System::Playback")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $count = $playback -> record_playback($device -> {"id"}, $body -> {"records"});
+    return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $playback -> errstr()}))
+        unless(defined($count));
+
+    return { "name"     => $device -> {"name"},
+             "recorded" => $count };
+}
+
+
+## @method private $ _build_command_response($devices, $device, $command)
+# Generate the response describing a command sent to a device.
+#
+# @param devices A reference to the System::Devices object.
+# @param device  A reference to the hash of the device the command was sent to.
+# @param command A reference to the command hash.
+# @return A reference to a hash containing the API response data.
+sub _build_command_response {
+    my $self    = shift;
+    my $devices = shift;
+    my $device  = shift;
+    my $command = shift;
+
+    return { "name"       => $device -> {"name"},
+             "command"    => $command,
+             "commandstr" => $devices -> get_command_text($command) };
+}
+
+
+## @method private $ _build_post_device_command_response($devname, $command)
+# Queue a remote control command for the slideshow running on the specified
+# device. For the `goto` command, the request body should be a JSON object
+# containing the `slide` id of the slide to show.
+#
+# @api POST /devices/{name}/command/{command}
+#
+# @param devname The name of the device to send the command to.
+# @param command The command to send.
+# @return A reference to a hash containing the API response data.
+sub _build_post_device_command_response {
+    my $self    = shift;
+    my $devname = shift;
+    my $command = shift;
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname && $devname =~ /^\w+$/);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Unsupported command '".($command // "")."'"}))
+        unless($command && $command ~~ $devices -> {"commands"});
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    my $slide;
+    if($command eq "goto") {
+        my $body = eval { decode_json($self -> {"cgi"} -> param("POSTDATA") // "") };
+        return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Request body must be a JSON object"}))
+            if($@ || ref($body) ne "HASH");
+
+        $slide = $body -> {"slide"};
+        return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "The slide must be a slide ID"}))
+            unless(defined($slide) && !ref($slide) && $slide =~ /^[\w-]{1,255}$/);
+    }
+
+    $self -> log("api:command", "Sending $command to device '$devname' (".$device -> {"id"}.")");
+
+    my $cmdid = $devices -> queue_command($device -> {"id"}, $command, $slide)
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    my $queued = $devices -> get_command($device -> {"id"}, $cmdid)
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    return $self -> _build_command_response($devices, $device, $queued);
+}
+
+
+## @method private $ _build_device_commands_response($pathinfo)
+# Handle requests from the slideshow running on a device to fetch the
+# commands waiting for it, and to acknowledge them, and requests to check on
+# the status of a command. Devices are not expected to log in, see
+# _device_request_allowed() for the checks done instead.
+#
+# @api GET /devices/{name}/commands
+# @api GET /devices/{name}/commands/{id}
+# @api POST /devices/{name}/commands/{id}
+#
+# @param pathinfo A reference to an array of pathinfo elements.
+# @return A reference to a hash containing the API response data.
+sub _build_device_commands_response {
+    my $self     = shift;
+    my $pathinfo = shift;
+    my $devname  = $pathinfo -> [2];
+    my $cmdid    = $self -> api_param("commands", 1, $pathinfo);
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname && $devname =~ /^\w+$/);
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal command ID"}))
+        if(defined($cmdid) && $cmdid !~ /^\d+$/);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    return $self -> api_errorhash("permission_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Commands must be fetched by the device itself"}))
+        unless($self -> _device_request_allowed($device));
+
+    # Without a command ID, this is the device polling for new commands
+    if(!$cmdid) {
+        return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Commands must be fetched using GET"}))
+            unless($self -> {"cgi"} -> request_method() eq "GET");
+
+        my $commands = $devices -> get_pending_commands($device -> {"id"})
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+        return { "name"     => $device -> {"name"},
+                 "commands" => $commands };
+    }
+
+    if($self -> {"cgi"} -> request_method() eq "POST") {
+        my $ack = eval { decode_json($self -> {"cgi"} -> param("POSTDATA") // "") };
+        return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Request body must be a JSON object"}))
+            if($@ || ref($ack) ne "HASH");
+
+        return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "The status must be 'done' or 'failed'"}))
+            unless($ack -> {"status"} && !ref($ack -> {"status"}) && $ack -> {"status"} =~ /^(done|failed)$/);
+
+        return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "The message must be a string"}))
+            if(ref($ack -> {"message"}));
+
+        $devices -> ack_command($device -> {"id"}, $cmdid, $ack -> {"status"}, substr($ack -> {"message"} // "", 0, 255))
+            or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+    }
+
+    my $command = $devices -> get_command($device -> {"id"}, $cmdid)
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Unknown command $cmdid"}))
+        unless($command -> {"id"});
+
+    return $self -> _build_command_response($devices, $device, $command);
+}
+
+
 sub _build_post_device_setip_response {
     my $self    = shift;
     my $devname = shift;
@@ -205,22 +841,137 @@ sub _build_post_device_setip_response {
 }
 
 
+## @method private $ _build_delete_device_response($devname)
+# Remove the specified device from the system.
+#
+# @api DELETE /devices/{name}
+#
+# @param devname The name of the device to delete.
+# @return A reference to a hash containing the API response data.
+sub _build_delete_device_response {
+    my $self    = shift;
+    my $devname = shift;
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname && $devname =~ /^\w+$/);
+
+    return $self -> api_errorhash("permission_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "You do not have permission to manage devices"}))
+        unless($self -> check_permission("manage"));
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    $self -> log("api:delete", "Deleting device '$devname' (".$device -> {"id"}.")");
+
+    $devices -> delete_device($device -> {"id"}, $self -> {"session"} -> get_session_userid())
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+
+    return { "name"    => $devname,
+             "deleted" => JSON::true };
+}
+
+
+## @method private $ _build_patch_device_response($devname)
+# Update the settings for the specified device. The request body should be a
+# JSON object containing one or more of `description`, `ipaddr`, `port`,
+# `powerschedule`, `tags`, and `layout`.
+#
+# @api PATCH /devices/{name}
+#
+# @param devname The name of the device to update.
+# @return A reference to a hash containing the API response data.
+sub _build_patch_device_response {
+    my $self    = shift;
+    my $devname = shift;
+
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Illegal characters in device name"}))
+        unless($devname && $devname =~ /^\w+$/);
+
+    return $self -> api_errorhash("permission_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "You do not have permission to manage devices"}))
+        unless($self -> check_permission("manage"));
+
+    my $values = eval { decode_json($self -> {"cgi"} -> param("PATCHDATA") // "") };
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => "Request body must be a JSON object"}))
+        if($@ || ref($values) ne "HASH");
+
+    my $error = $self -> _validate_device_values($values);
+    return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $error}))
+        if($error);
+
+    my $devices = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+    my $device = $devices -> get_device_byname($devname)
+        or return $self -> api_errorhash("not_found", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr() || "Unknown device '$devname'"}));
+
+    $self -> log("api:update", "Updating settings for device '$devname' (".$device -> {"id"}.")");
+
+    # Tags are stored separately from the other settings
+    my $tags = delete($values -> {"tags"});
+    if($tags) {
+        $devices -> set_device_tags($device -> {"id"}, $tags, $self -> {"session"} -> get_session_userid())
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+    }
+
+    # Layouts are given by ID, and a zero or null layout removes it
+    if(exists($values -> {"layout"})) {
+        my $layoutid = delete($values -> {"layout"});
+
+        if($layoutid) {
+            my $layouts = $self -> {"module"} -> load_module("BigScreen::System::Layouts")
+                or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $self -> {"module"} -> errstr()}));
+
+            $layouts -> get_layout($layoutid)
+                or return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $layouts -> errstr()}));
+        }
+
+        $values -> {"layout_id"} = $layoutid || undef;
+    }
+
+    if(scalar(keys(%{$values}))) {
+        $devices -> update_device($device -> {"id"}, $values)
+            or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
+    }
+
+    return $self -> _build_get_devices_response($devname);
+}
+
+
 sub _build_devices_response {
     my $self     = shift;
     my $pathinfo = shift;
 
     if($self -> {"cgi"} -> request_method() eq "GET") {
+        if($self -> api_param("power", 0, $pathinfo)) {
+            return $self -> _build_get_device_power_response($pathinfo -> [2]);
+        }
+
         return $self -> _build_get_devices_response($pathinfo -> [2]);
 
     } elsif($self -> {"cgi"} -> request_method() eq "POST") {
         my $reboot = $self -> api_param("reboot", 0, $pathinfo);
         my $setip  = $self -> api_param("setip" , 0, $pathinfo);
+        my $power  = $self -> api_param("power" , 0, $pathinfo);
+        my $command = $self -> api_param("command", 0, $pathinfo);
 
         if($reboot) {
             return $self -> _build_post_device_reboot_response($pathinfo -> [2]);
         } elsif($setip) {
             return $self -> _build_post_device_setip_response($pathinfo -> [2]);
+        } elsif($power) {
+            return $self -> _build_post_device_power_response($pathinfo -> [2], $self -> api_param("power", 1, $pathinfo));
+        } elsif($command) {
+            return $self -> _build_post_device_command_response($pathinfo -> [2], $self -> api_param("command", 1, $pathinfo));
         }
+
+    } elsif($self -> {"cgi"} -> request_method() eq "PATCH") {
+        return $self -> _build_patch_device_response($pathinfo -> [2]);
+
+    } elsif($self -> {"cgi"} -> request_method() eq "DELETE") {
+        return $self -> _build_delete_device_response($pathinfo -> [2]);
     }
 
     return $self -> api_errorhash("bad_request", $self -> {"template"} -> replace_langvar("API_BAD_REQUEST"));
@@ -248,6 +999,21 @@ sub page_display {
         # API operations that are callable by anonymous users first
         given($apiop) {
             when("slides")  { $self -> api_response($self -> _build_slides_response()); }
+            when("alert")   { $self -> api_response($self -> _build_alert_response()); }
+
+            # Device heartbeats, playback records, and commands do their own permission checks
+            when("devices") {
+                my @pathinfo = $self -> {"cgi"} -> multi_param('api');
+
+                $self -> api_response($self -> _build_post_device_heartbeat_response($pathinfo[2]))
+                    if($self -> api_param("heartbeat", 0, \@pathinfo));
+
+                $self -> api_response($self -> _build_post_device_playback_response($pathinfo[2]))
+                    if($self -> api_param("playback", 0, \@pathinfo));
+
+                $self -> api_response($self -> _build_device_commands_response(\@pathinfo))
+                    if($self -> api_param("commands", 0, \@pathinfo));
+            }
         }
 
         # General API permission check - will block anonymous users at a minimum
@@ -0,0 +1,352 @@
+# @file
+# This file contains the implementation of the emergency alert management class
+#
+# @author  Chris Page &lt;chris@starforge.co.uk&gt;
+#
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+#
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+#
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+## @class
+package BigScreen::Alerts;
+
+use strict;
+use experimental 'smartmatch';
+use parent qw(BigScreen);
+use HTML::Entities;
+use DateTime;
+use v5.12;
+
+
+# ============================================================================
+#  Constructor
+
+## @cmethod $ new(%args)
+# Overloaded constructor for the Alerts, loads the System::Alerts model
+# and other classes required to generate alert management pages.
+#
+# @param args A hash of values to initialise the object with. See the Block docs
+#             for more information.
+# @return A reference to a new BigScreen::Alerts object on success, undef on error.
+sub new {
+    my $invocant = shift;
+    my $class    = ref($invocant) || $invocant;
+    my $self     = $class -> SUPER::new(durations => [ 15, 30, 60, 120, 240, 480, 1440 ],
+                                        @_)
+        or return undef;
+
+    $self -> {"alerts"} = $self -> {"module"} -> load_module("BigScreen::System::Alerts")
+        or return Webperl::SystemModule::set_error("Alerts module object creation failed: ".$self -> {"module"} -> errstr());
+
+    return $self;
+}
+
+
+# ============================================================================
+#  Content generators
+
+## @method private @ _fatal_error($error)
+# Generate the tile and content for an error page.
+#
+# @param error A string containing the error message to display
+# @return The title of the error page and an error message to place in the page.
+sub _fatal_error {
+    my $self  = shift;
+    my $error = shift;
+
+    return ("{L_MANAGE_ERR_FATAL}", $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $error }));
+}
+
+
+## @method private $ _format_time($time)
+# Convert a time to a string suitable for showing in the alert log.
+#
+# @param time The time to convert, in seconds since the epoch.
+# @return A string containing the formatted time.
+sub _format_time {
+    my $self = shift;
+    my $time = shift;
+
+    return DateTime -> from_epoch(epoch     => $time,
+                                  time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"}) -> strftime("%a %d %b %Y %H:%M");
+}
+
+
+## @method private $ _user_name($userid)
+# Obtain the name to show for the specified user in the alert log.
+#
+# @param userid The ID of the user to fetch the name of.
+# @return A string containing the user's name.
+sub _user_name {
+    my $self   = shift;
+    my $userid = shift;
+
+    my $user = $self -> {"session"} -> get_user_byid($userid)
+        or return "{L_MANAGE_ALERT_UNKNOWNUSER}";
+
+    return encode_entities($user -> {"fullname"} || $user -> {"username"});
+}
+
+
+## @method private $ _build_duration_list()
+# Generate the list of durations the user can choose from for a new alert.
+#
+# @return A reference to an array of option hashes suitable for passing to
+#         build_optionlist() and validate_options().
+sub _build_duration_list {
+    my $self = shift;
+
+    return [ map { +{ "name"  => $_ < 60 ? $self -> {"template"} -> replace_langvar("MANAGE_ALERT_MINUTES", { "%(count)s" => $_ })
+                                        : $self -> {"template"} -> replace_langvar($_ == 60 ? "MANAGE_ALERT_HOUR" : "MANAGE_ALERT_HOURS", { "%(count)s" => $_ / 60 }),
+                     "value" => $_ } } @{$self -> {"durations"}} ];
+}
+
+
+## @method private $ _build_alert_row($alert)
+# Generate a row to show in the alert log for the specified alert.
+#
+# @param alert A reference to a hash containing the alert information.
+# @return A string containing the HTML fragment for this alert.
+sub _build_alert_row {
+    my $self  = shift;
+    my $alert = shift;
+
+    my $status;
+    if($alert -> {"active"}) {
+        $status = $self -> {"template"} -> load_template("alerts/clearbutton.tem",
+                                                         { "%(clear-url)s" => $self -> build_url(block    => "alerts",
+                                                                                                 pathinfo => [ "clear", $alert -> {"id"} ],
+                                                                                                 params   => "") });
+    } elsif($alert -> {"cleared"}) {
+        $status = $self -> {"template"} -> replace_langvar("MANAGE_ALERT_CLEAREDBY", { "%(user)s" => $self -> _user_name($alert -> {"cleared_by"}),
+                                                                                        "%(time)s" => $self -> _format_time($alert -> {"cleared"}) });
+    } else {
+        $status = "{L_MANAGE_ALERT_EXPIRED}";
+    }
+
+    return $self -> {"template"} -> load_template("alerts/alert.tem",
+                                                  { "%(id)s"       => $alert -> {"id"},
+                                                    "%(severity)s" => $alert -> {"severity"},
+                                                    "%(sevname)s"  => "{L_MANAGE_ALERT_SEV_".uc($alert -> {"severity"})."}",
+                                                    "%(message)s"  => encode_entities($alert -> {"message"}),
+                                                    "%(raisedby)s" => $self -> _user_name($alert -> {"raised_by"}),
+                                                    "%(created)s"  => $self -> _format_time($alert -> {"created"}),
+                                                    "%(expires)s"  => $self -> _format_time($alert -> {"expires"}),
+                                                    "%(status)s"   => $status,
+                                                    "%(active)s"   => $alert -> {"active"} ? "active" : "",
+                                                  });
+}
+
+
+# ============================================================================
+#  Validators
+
+## @method private @ _validate_alert()
+# Check whether the values submitted by the user for a new alert are valid,
+# and if so raise the alert.
+#
+# @return Undef on success, otherwise a reference to a hash of validated
+#         arguments, and a string containing any error messages.
+sub _validate_alert {
+    my $self = shift;
+    my ($args, $error, $errors) = ( {}, "", "" );
+
+    ($args -> {"message"}, $error) = $self -> validate_string("message", { required   => 1,
+                                                                           default    => "",
+                                                                           maxlen     => 1000,
+                                                                           nicename   => "{L_MANAGE_ALERT_MESSAGE}" });
+    $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+        if($error);
+
+    ($args -> {"severity"}, $error) = $self -> validate_options("severity", { required   => 1,
+                                                                              default    => "",
+                                                                              source     => [ map { +{ "name" => $_, "value" => $_ } } @{$self -> {"alerts"} -> {"severities"}} ],
+                                                                              nicename   => "{L_MANAGE_ALERT_SEVERITY}" });
+    $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+        if($error);
+
+    ($args -> {"duration"}, $error) = $self -> validate_options("duration", { required   => 1,
+                                                                              default    => "",
+                                                                              source     => $self -> _build_duration_list(),
+                                                                              nicename   => "{L_MANAGE_ALERT_DURATION}" });
+    $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+        if($error);
+
+    return ($args, $errors)
+        if($errors);
+
+    $self -> log("alerts.raise", "User raised ".$args -> {"severity"}." alert for ".$args -> {"duration"}." minutes: ".$args -> {"message"});
+    $self -> {"alerts"} -> create_alert($self -> {"session"} -> get_session_userid(),
+                                        decode_entities($args -> {"message"}),
+                                        $args -> {"severity"},
+                                        time() + $args -> {"duration"} * 60)
+        or return ($args, $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"alerts"} -> errstr() }));
+
+    return (undef, undef);
+}
+
+
+# ============================================================================
+#  Request handlers
+
+## @method private @ _handle_clear($alertid)
+# Clear the specified alert, so that the screens return to their slides.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param alertid The ID of the alert to clear.
+# @return An array of values containing the page title, content, and extrahead.
+sub _handle_clear {
+    my $self    = shift;
+    my $alertid = shift;
+
+    return $self -> _fatal_error("{L_MANAGE_ALERT_ERR_BADID}")
+        unless($alertid && $alertid =~ /^\d+$/);
+
+    $self -> log("alerts.clear", "User has cleared alert $alertid");
+
+    $self -> {"alerts"} -> clear_alert($alertid, $self -> {"session"} -> get_session_userid())
+        or return $self -> _fatal_error($self -> {"alerts"} -> errstr());
+
+    return $self -> redirect($self -> build_url(block    => "alerts",
+                                                pathinfo => [ ],
+                                                params   => "",
+                                                api      => [] ));
+}
+
+
+## @method private @ _handle_default()
+# Generate a page showing the current alert and the alert log, and the form
+# the user can use to raise a new alert.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @return An array of values containing the page title, content, and extrahead.
+sub _handle_default {
+    my $self   = shift;
+    my $args   = { "severity" => "warning",
+                   "duration" => 60 };
+    my $errors = "";
+
+    if($self -> {"cgi"} -> param("raise")) {
+        $self -> log("alerts.raise", "User has submitted a new alert");
+
+        ($args, $errors) = $self -> _validate_alert();
+
+        return $self -> redirect($self -> build_url(block    => "alerts",
+                                                    pathinfo => [ ],
+                                                    params   => "",
+                                                    api      => [] ))
+            if(!$errors);
+
+        $self -> log("alerts.raise", "Errors detected in new alert: $errors");
+
+        my $errorlist = $self -> {"template"} -> load_template("error/error_list.tem", {"%(message)s" => "{L_MANAGE_ALERT_ERR_RAISE}",
+                                                                                        "%(errors)s"  => $errors });
+        $errors = $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $errorlist });
+    }
+
+    my $alerts = $self -> {"alerts"} -> get_alerts()
+        or return $self -> _fatal_error("Unable to obtain the alert log: ".$self -> {"alerts"} -> errstr());
+
+    my $current = $self -> {"alerts"} -> get_current_alert()
+        or return $self -> _fatal_error("Unable to obtain the current alert: ".$self -> {"alerts"} -> errstr());
+
+    my $currentblock = $current -> {"id"} ? $self -> {"template"} -> load_template("alerts/current.tem",
+                                                                                   { "%(severity)s" => $current -> {"severity"},
+                                                                                     "%(sevname)s"  => "{L_MANAGE_ALERT_SEV_".uc($current -> {"severity"})."}",
+                                                                                     "%(message)s"  => encode_entities($current -> {"message"}),
+                                                                                     "%(expires)s"  => $self -> _format_time($current -> {"expires"}),
+                                                                                   })
+                                          : $self -> {"template"} -> load_template("alerts/nocurrent.tem");
+
+    return ("{L_SIDE_ALERTS}",
+            $self -> {"template"} -> load_template("alerts/front.tem",
+                                                   { "%(front-url)s" => $self -> build_url(block    => "manage",
+                                                                                           pathinfo => [ ],
+                                                                                           params   => ""),
+                                                     "%(errors)s"    => $errors,
+                                                     "%(current)s"   => $currentblock,
+                                                     "%(message)s"   => $args -> {"message"} // "",
+                                                     "%(sevopts)s"   => $self -> {"template"} -> build_optionlist([ map { +{ "name"  => "{L_MANAGE_ALERT_SEV_".uc($_)."}",
+                                                                                                                            "value" => $_ } } @{$self -> {"alerts"} -> {"severities"}} ],
+                                                                                                                  $args -> {"severity"}),
+                                                     "%(duropts)s"   => $self -> {"template"} -> build_optionlist($self -> _build_duration_list(), $args -> {"duration"}),
+                                                     "%(alert-list)s" => join("", map { $self -> _build_alert_row($_) } @{$alerts}) ||
+                                                                            $self -> {"template"} -> load_template("alerts/listempty.tem"),
+                                                   }),
+            $self -> {"template"} -> load_template("alerts/extrahead.tem"),
+        );
+}
+
+
+## @method private $ _dispatch_ui()
+# Implements the core behaviour dispatcher for non-api functions. This will
+# inspect the state of the pathinfo and invoke the appropriate handler
+# function to generate content for the user.
+#
+# @return A string containing the page HTML.
+sub _dispatch_ui {
+    my $self = shift;
+
+    # We need to determine what the page title should be, and the content to shove in it...
+    my ($title, $body, $extrahead, $extrajs) = ("", "", "", "");
+    my @pathinfo = $self -> {"cgi"} -> multi_param("pathinfo");
+
+    # All the _handle_* functions require manage permission, so check it once here.
+    if($self -> check_permission("manage")) {
+        given($pathinfo[0]) {
+            when("clear") { ($title, $body, $extrahead, $extrajs) = $self -> _handle_clear($pathinfo[1]); }
+            default       { ($title, $body, $extrahead, $extrajs) = $self -> _handle_default(); }
+        }
+    } else {
+        ($title, $body) = $self -> _fatal_error("{L_MANAGE_ERR_PERMISSION}");
+    }
+
+    # Done generating the page content, return the filled in page template
+    return $self -> generate_bigscreen_page(title     => $title,
+                                            content   => $body,
+                                            extrahead => $extrahead,
+                                            extrajs   => $extrajs,
+                                            nouserbar => 0);
+}
+
+
+# ============================================================================
+#  Module interface functions
+
+## @method $ page_display()
+# Generate the page content for this module.
+sub page_display {
+    my $self = shift;
+
+    my $error = $self -> check_login();
+    return $error if($error);
+
+    # Is this an API call, or a normal page operation?
+    my $apiop = $self -> is_api_operation();
+    if(defined($apiop)) {
+        # API call - dispatch to appropriate handler.
+        given($apiop) {
+            default {
+                return $self -> api_response($self -> api_errorhash('bad_op',
+                                                                    $self -> {"template"} -> replace_langvar("API_BAD_OP")))
+            }
+        }
+    } else {
+        return $self -> _dispatch_ui();
+    }
+}
+
+1;
@@ -23,6 +23,7 @@ use strict;
 use experimental 'smartmatch';
 use parent qw(BigScreen);
 use Webperl::Utils qw(path_join);
+use HTML::Entities;
 use v5.12;
 
 
@@ -45,6 +46,12 @@ sub new {
     $self -> {"devices"} = $self -> {"module"} -> load_module("BigScreen::System::Devices")
         or return Webperl::SystemModule::set_error("Slide show module object creation failed: ".$self -> {"module"} -> errstr());
 
+    $self -> {"layouts"} = $self -> {"module"} -> load_module("BigScreen::System::Layouts")
+        or return Webperl::SystemModule::set_error("Devices module object creation failed: ".$self -> {"module"} -> errstr());
+
+    $self -> {"sources"} = $self -> {"module"} -> load_module("BigScreen::System::SlideSource")
+        or return Webperl::SystemModule::set_error("Slide show module object creation failed: ".$self -> {"module"} -> errstr());
+
     return $self;
 }
 
@@ -66,16 +73,97 @@ sub _fatal_error {
 
 
 
-## @method private $ _build_device_row($device)
+## @method private $ _build_history_strip($history)
+# Generate the strip showing the status history of a device.
+#
+# @param history A reference to an array of history slot hashes, as returned
+#                by BigScreen::System::Devices::get_device_history()
+# @return A string containing the HTML fragment for the history strip.
+sub _build_history_strip {
+    my $self    = shift;
+    my $history = shift;
+
+    return join("", map { $self -> {"template"} -> load_template("devices/history.tem",
+                                                                 { "%(start)s" => $_ -> {"start"},
+                                                                   "%(state)s" => $_ -> {"state"} })
+                        } @{$history});
+}
+
+
+## @method private $ _build_screen_timeline($screens)
+# Generate the timeline of recent screenshots taken from a device.
+#
+# @param screens A reference to an array of screenshot hashes, as returned
+#                by BigScreen::System::Devices::get_screen_history()
+# @return A string containing the HTML fragment for the screenshot timeline.
+sub _build_screen_timeline {
+    my $self    = shift;
+    my $screens = shift;
+
+    return join("", map { $self -> {"template"} -> load_template("devices/screenframe.tem",
+                                                                 { "%(taken)s" => $_ -> {"taken"},
+                                                                   "%(image)s" => $_ -> {"image"},
+                                                                   "%(state)s" => $_ -> {"blank"} ? "blank" : ($_ -> {"changed"} ? "changed" : "same") })
+                        } @{$screens});
+}
+
+
+## @method private $ _build_script_errors($errors)
+# Generate the marker showing that the slideshow on a device has reported
+# script errors in its heartbeat.
+#
+# @param errors A reference to an array of script error messages.
+# @return A string containing the HTML fragment for the marker, or an empty
+#         string if there are no errors.
+sub _build_script_errors {
+    my $self   = shift;
+    my $errors = shift;
+
+    return "" unless($errors && scalar(@{$errors}));
+
+    return $self -> {"template"} -> load_template("devices/scripterrors.tem",
+                                                  { "%(count)s"  => scalar(@{$errors}),
+                                                    "%(errors)s" => encode_entities(join("\n", @{$errors})) });
+}
+
+
+## @method private $ _build_schedule_days()
+# Generate the rows of the power schedule form that hold the times the
+# screen should be switched on and off each day.
+#
+# @return A string containing the HTML fragment for the schedule rows.
+sub _build_schedule_days {
+    my $self = shift;
+
+    return join("", map { $self -> {"template"} -> load_template("devices/scheduleday.tem",
+                                                                 { "%(day)s"     => $_,
+                                                                   "%(dayname)s" => "{L_MANAGE_DEV_DAY_".uc($_)."}" })
+                        } ("mon", "tue", "wed", "thu", "fri", "sat", "sun"));
+}
+
+
+## @method private $ _build_device_row($device, $layouts)
 # Generate a row to show in the devices list for the specified device. This will
 # create a fragment of HTML representing the provided device, along with controls
 # to manage its status and settings, and to delete it.
 #
-# @param source A reference to a hash containing the device information.
+# @param source  A reference to a hash containing the device information.
+# @param layouts A reference to an array of layout options for the device's
+#                layout selector, as generated by _build_layout_list().
 # @return A string containing the HTML fragment for this device.
 sub _build_device_row {
-    my $self   = shift;
-    my $device = shift;
+    my $self    = shift;
+    my $device  = shift;
+    my $layouts = shift;
+
+    my ($layout) = grep { $_ -> {"value"} eq ($device -> {"layout_id"} // "") } @{$layouts};
+
+    # Commands still waiting on the screen are shown differently to finished ones
+    my $commandcolors = { "pending" => "warning",
+                          "sent"    => "warning",
+                          "done"    => "success",
+                          "failed"  => "alert",
+                          "expired" => "alert" };
 
     return $self -> {"template"} -> load_template("devices/device.tem",
                                                   { "%(id)s"          => $device -> {"id"},
@@ -83,24 +171,53 @@ sub _build_device_row {
                                                     "%(ipaddr)s"      => $device -> {"ipaddr"},
                                                     "%(port)s"        => $device -> {"port"},
                                                     "%(description)s" => $device -> {"description"},
+                                                    "%(tags)s"        => encode_entities(join(", ", @{$device -> {"tags"}})),
+                                                    "%(playlist)s"    => $self -> {"devices"} -> get_playlist_text($device -> {"tags"}, $device -> {"playlist"}),
+                                                    "%(layout-id)s"   => $layout ? $layout -> {"value"} : "",
+                                                    "%(layout)s"      => $layout ? $layout -> {"name"} : "{L_MANAGE_DEV_LAYOUT_NONE}",
+                                                    "%(layoutopts)s"  => $self -> {"template"} -> build_optionlist($layouts),
                                                     "%(small-img)s"   => $device -> {"status"} -> {"screen"} -> {"thumb"},
                                                     "%(full-img)s"    => $device -> {"status"} -> {"screen"} -> {"full"},
-                                                    "%(edit-url)s"    => $self -> build_url(block => "devmng",
-                                                                                            pathinfo => [ "edit", $device -> {"id"} ],
-                                                                                            params   => ""),
-                                                    "%(delete-url)s"  => $self -> build_url(block    => "devmng",
-                                                                                            pathinfo => [ "delete", $device -> {"id"} ],
-                                                                                            params   => ""),
+                                                    "%(history)s"     => $self -> _build_history_strip($device -> {"history"}),
+                                                    "%(screens)s"     => $self -> _build_screen_timeline($device -> {"screens"}),
                                                     "%(alive-color)s"   => $device -> {"status"} -> {"alive"} ? "success" : "alert",
                                                     "%(running-color)s" => $device -> {"status"} -> {"running"} ? "success" : "alert",
                                                     "%(working-color)s" => $device -> {"status"} -> {"working"} ? "success" : "alert",
+                                                    "%(power-color)s"   => $device -> {"status"} -> {"power"}   ? "success" : "alert",
+                                                    "%(heartbeat-color)s" => $device -> {"status"} -> {"heartbeat"} ? "success" : "alert",
+                                                    "%(screen-color)s"    => $device -> {"screenok"} ? "success" : "alert",
+                                                    "%(screen-text)s"     => $device -> {"screentext"},
+                                                    "%(heartbeat-text)s"  => $self -> {"devices"} -> get_heartbeat_text($device -> {"heartbeat"}),
+                                                    "%(errors)s"        => $self -> _build_script_errors($device -> {"heartbeat"} -> {"errors"}),
+                                                    "%(command-color)s" => $commandcolors -> {$device -> {"command"} -> {"status"} // ""} // "secondary",
+                                                    "%(command-text)s"  => $self -> {"devices"} -> get_command_text($device -> {"command"}),
+                                                    "%(command-style)s" => $device -> {"command"} -> {"id"} ? "" : "display: none",
                                                     "%(alive-text)s"    => $device -> {"status"} -> {"alive"}   ? "{L_MANAGE_DEV_ALIVE_YES}"   : "{L_MANAGE_DEV_ALIVE_NO}",
                                                     "%(running-text)s"  => $device -> {"status"} -> {"running"} ? "{L_MANAGE_DEV_RUNNING_YES}" : "{L_MANAGE_DEV_RUNNING_NO}",
                                                     "%(working-text)s"  => $device -> {"status"} -> {"working"} ? "{L_MANAGE_DEV_WORKING_YES}" : "{L_MANAGE_DEV_WORKING_NO}",
+                                                    "%(power-text)s"    => $device -> {"status"} -> {"power"}   ? "{L_MANAGE_DEV_POWER_YES}"   : "{L_MANAGE_DEV_POWER_NO}",
                                                   });
 }
 
 
+## @method private $ _build_layout_list()
+# Generate the list of layouts the user can choose from for a device.
+#
+# @return A reference to an array of option hashes suitable for passing to
+#         build_optionlist() on success, undef on error.
+sub _build_layout_list {
+    my $self = shift;
+
+    my $layouts = $self -> {"layouts"} -> get_layouts()
+        or return $self -> self_error($self -> {"layouts"} -> errstr());
+
+    return [ { "name"  => "{L_MANAGE_DEV_LAYOUT_NONE}",
+               "value" => "" },
+             map { +{ "name"  => encode_entities($_ -> {"name"}),
+                      "value" => $_ -> {"id"} } } @{$layouts} ];
+}
+
+
 # ============================================================================
 #  Validators
 
@@ -120,11 +237,41 @@ sub _handle_default {
     my $devices = $self -> {"devices"} -> get_devices()
         or return $self -> _fatal_error("Unable to obtain a list of devices");
 
+    my $layouts = $self -> _build_layout_list()
+        or return $self -> _fatal_error("Unable to obtain a list of layouts: ".$self -> errstr());
+
+    # Devices checked recently by another page or the cron job don't need checking again
+    my $maxage = $self -> {"settings"} -> {"config"} -> {"Devices:pollinterval"} || 60;
+
     my $devlist = "";
     foreach my $device (@{$devices}) {
-        my $status = $self -> {"devices"} -> get_device_status($device -> {"id"})
+        my $status = $self -> {"devices"} -> get_device_status($device -> {"id"}, $maxage)
             or return $self -> api_errorhash("internal_error", $self -> {"template"} -> replace_langvar("API_ERROR", {"%(error)s" => $devices -> errstr()}));
 
+        my $history = $self -> {"devices"} -> get_device_history($device -> {"id"})
+            or return $self -> _fatal_error("Unable to obtain the device history: ".$self -> {"devices"} -> errstr());
+
+        my $heartbeat = $self -> {"devices"} -> get_heartbeat($device -> {"id"})
+            or return $self -> _fatal_error("Unable to obtain the device heartbeat: ".$self -> {"devices"} -> errstr());
+
+        my $command = $self -> {"devices"} -> get_command($device -> {"id"})
+            or return $self -> _fatal_error("Unable to obtain the device commands: ".$self -> {"devices"} -> errstr());
+
+        my $tags = $self -> {"devices"} -> get_device_tags($device)
+            or return $self -> _fatal_error("Unable to obtain the device tags: ".$self -> {"devices"} -> errstr());
+
+        my $playlist = $self -> {"sources"} -> get_playlist_sources($tags)
+            or return $self -> _fatal_error("Unable to obtain the device playlist: ".$self -> {"sources"} -> errstr());
+
+        my $screens = $self -> {"devices"} -> get_screen_history($device)
+            or return $self -> _fatal_error("Unable to obtain the device screenshots: ".$self -> {"devices"} -> errstr());
+
+        $status -> {"heartbeat"} = $heartbeat -> {"received"} && !$heartbeat -> {"stale"};
+
+        # This needs the screen status before it is replaced by the screenshot URLs below
+        my $screentext = $self -> {"devices"} -> get_screen_text($status);
+        my $screenok   = $status -> {"screen"} && !$status -> {"frozen"} && !$status -> {"blank"};
+
         if($status -> {"screen"}) {
             $status -> {"screen"} = {
                 "full"  => path_join($self -> {"settings"} -> {"config"} -> {"Devices:webdir"}, $device -> {"name"}, "full.png"),
@@ -142,7 +289,17 @@ sub _handle_default {
                                                  "ipaddr"      => $device -> {"ipaddr"},
                                                  "port"        => $device -> {"port"},
                                                  "description" => $device -> {"description"},
-                                                 "status"      => $status });
+                                                 "status"      => $status,
+                                                 "history"     => $history,
+                                                 "screens"     => $screens,
+                                                 "screentext"  => $screentext,
+                                                 "screenok"    => $screenok,
+                                                 "heartbeat"   => $heartbeat,
+                                                 "command"     => $command,
+                                                 "tags"        => $tags,
+                                                 "playlist"    => $playlist,
+                                                 "layout_id"   => $device -> {"layout_id"} },
+                                               $layouts);
     }
 
     return ("{L_SIDE_DEVICES}",
@@ -154,12 +311,17 @@ sub _handle_default {
                                                      "%(new-url)s"   => $self -> build_url(block => "devmng",
                                                                                            pathinfo => [ "new" ],
                                                                                            params   => ""),
+                                                     "%(schedule-days)s" => $self -> _build_schedule_days(),
                                                      }),
             $self -> {"template"} -> load_template("devices/extrahead.tem"),
             $self -> {"template"} -> load_template("devices/extrajs.tem",
-                                                   { "%(device-url)s" => $self -> build_url(block => "rest",
-                                                                                            pathinfo => [ "api", "devices" ],
-                                                                                            params   => "")
+                                                   { "%(device-url)s"   => $self -> build_url(block => "rest",
+                                                                                              pathinfo => [ "api", "devices" ],
+                                                                                              params   => ""),
+                                                     "%(poll-interval)s" => ($self -> {"settings"} -> {"config"} -> {"Devices:pollinterval"} || 60) * 1000,
+                                                     "%(poll-timeout)s"  => ($self -> {"settings"} -> {"config"} -> {"Devices:polltimeout"} || 30) * 1000,
+                                                     "%(bulk-limit)s"    => $self -> {"settings"} -> {"config"} -> {"Devices:bulklimit"} || 2,
+                                                     "%(command-watch)s" => ($self -> {"settings"} -> {"config"} -> {"Devices:commandwatch"} || 5) * 1000,
                                                    }),
         );
 }
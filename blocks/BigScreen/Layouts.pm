@@ -0,0 +1,526 @@
+# @file
+# This file contains the implementation of the screen layout management class
+#
+# @author  Chris Page &lt;chris@starforge.co.uk&gt;
+#
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+#
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+#
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+## @class
+package BigScreen::Layouts;
+
+use strict;
+use experimental 'smartmatch';
+use parent qw(BigScreen);
+use HTML::Entities;
+use v5.12;
+
+
+# ============================================================================
+#  Constructor
+
+## @cmethod $ new(%args)
+# Overloaded constructor for the Layouts, loads the System::Layouts model
+# and other classes required to generate layout management pages.
+#
+# @param args A hash of values to initialise the object with. See the Block docs
+#             for more information.
+# @return A reference to a new BigScreen::Layouts object on success, undef on error.
+sub new {
+    my $invocant = shift;
+    my $class    = ref($invocant) || $invocant;
+    my $self     = $class -> SUPER::new(@_)
+        or return undef;
+
+    $self -> {"layouts"} = $self -> {"module"} -> load_module("BigScreen::System::Layouts")
+        or return Webperl::SystemModule::set_error("Layouts module object creation failed: ".$self -> {"module"} -> errstr());
+
+    $self -> {"sources"} = $self -> {"module"} -> load_module("BigScreen::System::SlideSource")
+        or return Webperl::SystemModule::set_error("Layouts module object creation failed: ".$self -> {"module"} -> errstr());
+
+    return $self;
+}
+
+
+# ============================================================================
+#  Content generators
+
+## @method private @ _fatal_error($error)
+# Generate the tile and content for an error page.
+#
+# @param error A string containing the error message to display
+# @return The title of the error page and an error message to place in the page.
+sub _fatal_error {
+    my $self  = shift;
+    my $error = shift;
+
+    return ("{L_MANAGE_ERR_FATAL}", $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $error }));
+}
+
+
+## @method private $ _build_arrangement_list()
+# Generate the list of arrangements the user can base a layout on.
+#
+# @return A reference to an array of option hashes suitable for passing to
+#         build_optionlist() and validate_options().
+sub _build_arrangement_list {
+    my $self = shift;
+
+    return [ map { +{ "name"  => "{L_MANAGE_LAYOUT_ARR_".uc($_)."}",
+                      "value" => $_ } } @{$self -> {"layouts"} -> get_arrangements()} ];
+}
+
+
+## @method private $ _build_source_list($sources)
+# Generate the list of slide sources the user can choose to feed a zone.
+#
+# @param sources A reference to an array of slide source hashes.
+# @return A reference to an array of option hashes suitable for passing to
+#         build_optionlist() and validate_options().
+sub _build_source_list {
+    my $self    = shift;
+    my $sources = shift;
+
+    return [ { "name"  => "{L_MANAGE_LAYOUT_NOSOURCE}",
+               "value" => "" },
+             map { +{ "name"  => encode_entities($_ -> {"name"}.($_ -> {"notes"} ? ": ".$_ -> {"notes"} : "")),
+                      "value" => $_ -> {"id"} } } @{$sources} ];
+}
+
+
+## @method private $ _build_zone_fields($sources, $selected)
+# Generate the fields the user can use to choose the slide sources that
+# feed the zones in a layout. There is one field for each zone that may be
+# fed by a source, marked with the arrangements that contain the zone so
+# that only the relevant fields are enabled.
+#
+# @param sources  A reference to an array of slide source hashes.
+# @param selected A reference to a hash of zone names to selected source IDs.
+# @return A string containing the zone fields.
+sub _build_zone_fields {
+    my $self     = shift;
+    my $sources  = shift;
+    my $selected = shift // {};
+
+    my $srclist = $self -> _build_source_list($sources);
+
+    my $fields = "";
+    foreach my $zone (@{$self -> {"layouts"} -> get_feed_zones()}) {
+        my @arrangements = grep { $zone ~~ $self -> {"layouts"} -> get_feed_zones($_) } @{$self -> {"layouts"} -> get_arrangements()};
+
+        $fields .= $self -> {"template"} -> load_template("layouts/zonefield.tem",
+                                                          { "%(zone)s"         => $zone,
+                                                            "%(zonename)s"     => "{L_MANAGE_LAYOUT_ZONE_".uc($zone)."}",
+                                                            "%(arrangements)s" => join(" ", @arrangements),
+                                                            "%(sourceopts)s"   => $self -> {"template"} -> build_optionlist($srclist, $selected -> {$zone}),
+                                                          });
+    }
+
+    return $fields;
+}
+
+
+## @method private $ _build_layout_row($layout, $sources)
+# Generate a row to show in the layout list for the specified layout.
+#
+# @param layout  A reference to a hash containing the layout information.
+# @param sources A reference to a hash of slide source hashes, keyed by ID.
+# @return A string containing the HTML fragment for this layout.
+sub _build_layout_row {
+    my $self    = shift;
+    my $layout  = shift;
+    my $sources = shift;
+
+    my $zones = "";
+    foreach my $zone (@{$self -> {"layouts"} -> get_feed_zones($layout -> {"arrangement"}) // []}) {
+        my $source = $sources -> {$layout -> {"sources"} -> {$zone} // ""};
+
+        $zones .= $self -> {"template"} -> load_template("layouts/zone.tem",
+                                                         { "%(zonename)s" => "{L_MANAGE_LAYOUT_ZONE_".uc($zone)."}",
+                                                           "%(source)s"   => $source ? encode_entities($source -> {"name"}.($source -> {"notes"} ? ": ".$source -> {"notes"} : ""))
+                                                                                     : "{L_MANAGE_LAYOUT_NOSOURCE}",
+                                                         });
+    }
+
+    return $self -> {"template"} -> load_template("layouts/layout.tem",
+                                                  { "%(id)s"          => $layout -> {"id"},
+                                                    "%(name)s"        => encode_entities($layout -> {"name"}),
+                                                    "%(arrangement)s" => "{L_MANAGE_LAYOUT_ARR_".uc($layout -> {"arrangement"})."}",
+                                                    "%(devices)s"     => $self -> {"template"} -> replace_langvar("MANAGE_LAYOUT_DEVICES", { "%(count)s" => $layout -> {"devices"} }),
+                                                    "%(zones)s"       => $zones,
+                                                    "%(edit-url)s"    => $self -> build_url(block    => "layouts",
+                                                                                            pathinfo => [ "edit", $layout -> {"id"} ],
+                                                                                            params   => ""),
+                                                    "%(delete-url)s"  => $self -> build_url(block    => "layouts",
+                                                                                            pathinfo => [ "delete", $layout -> {"id"} ],
+                                                                                            params   => ""),
+                                                    "%(preview-url)s" => $self -> build_url(block    => "layouts",
+                                                                                            pathinfo => [ "preview", $layout -> {"id"} ],
+                                                                                            params   => ""),
+                                                  });
+}
+
+
+## @method private @ _build_form($mode, $args, $errors)
+# Generate the page containing the form the user can use to add or edit
+# a layout.
+#
+# @param mode   The form mode, either "new" or "edit".
+# @param args   A reference to a hash of layout settings to show in the form.
+# @param errors A string containing any errors to show in the page.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _build_form {
+    my $self   = shift;
+    my $mode   = shift;
+    my $args   = shift;
+    my $errors = shift;
+
+    my $sources = $self -> {"sources"} -> get_slide_sources(1)
+        or return $self -> _fatal_error("Unable to obtain a list of slide sources");
+
+    return ("{L_SIDE_LAYOUTS}",
+            $self -> {"template"} -> load_template("layouts/form.tem",
+                                                   { "%(manage-url)s"  => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ ],
+                                                                                             params   => ""),
+                                                     "%(front-url)s"   => $self -> build_url(block    => "layouts",
+                                                                                             pathinfo => [ ],
+                                                                                             params   => ""),
+                                                     "%(title)s"       => $mode eq "new" ? "{L_MANAGE_LAYOUT_NEW}" : "{L_MANAGE_LAYOUT_EDIT}",
+                                                     "%(mode)s"        => $mode,
+                                                     "%(errors)s"      => $errors,
+                                                     "%(name)s"        => $args -> {"name"} // "",
+                                                     "%(arrangeopts)s" => $self -> {"template"} -> build_optionlist($self -> _build_arrangement_list(), $args -> {"arrangement"}),
+                                                     "%(zonefields)s"  => $self -> _build_zone_fields($sources, $args -> {"sources"}),
+                                                   }),
+            $self -> {"template"} -> load_template("manage/extrahead.tem"),
+            $self -> {"template"} -> load_template("manage/extrajs.tem",
+                                                   { "%(preview-url)s" => $self -> build_url(block    => "layouts",
+                                                                                             pathinfo => [ "preview" ],
+                                                                                             params   => ""),
+                                                   }),
+        );
+}
+
+
+# ============================================================================
+#  Validators
+
+## @method private @ _validate_layout()
+# Check whether the layout settings submitted by the user are valid.
+#
+# @return A reference to a hash of validated settings, and a string
+#         containing any error messages.
+sub _validate_layout {
+    my $self = shift;
+    my ($args, $error, $errors) = ( { "sources" => {} }, "", "" );
+
+    ($args -> {"name"}, $error) = $self -> validate_string("name", { required   => 1,
+                                                                     default    => "",
+                                                                     maxlen     => 80,
+                                                                     nicename   => "{L_MANAGE_LAYOUT_NAME}" });
+    $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+        if($error);
+
+    ($args -> {"arrangement"}, $error) = $self -> validate_options("arrangement", { required   => 1,
+                                                                                    default    => "",
+                                                                                    source     => $self -> _build_arrangement_list(),
+                                                                                    nicename   => "{L_MANAGE_LAYOUT_ARRANGEMENT}" });
+    $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+        if($error);
+
+    # Only the zones in the selected arrangement are enabled in the form
+    if($args -> {"arrangement"}) {
+        my $sources = $self -> {"sources"} -> get_slide_sources(1)
+            or return ($args, $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"sources"} -> errstr() }));
+
+        foreach my $zone (@{$self -> {"layouts"} -> get_feed_zones($args -> {"arrangement"})}) {
+            ($args -> {"sources"} -> {$zone}, $error) = $self -> validate_options("zone-$zone", { required   => 0,
+                                                                                                   default    => "",
+                                                                                                   source     => $self -> _build_source_list($sources),
+                                                                                                   nicename   => "{L_MANAGE_LAYOUT_ZONE_".uc($zone)."}" });
+            $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+                if($error);
+        }
+    }
+
+    return ($args, $errors);
+}
+
+
+# ============================================================================
+#  Request handlers
+
+## @method private @ _handle_new()
+# Generate and process the form the user can use to add a layout.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_new {
+    my $self   = shift;
+    my $args   = { "arrangement" => "sidebar" };
+    my $errors = "";
+
+    if($self -> {"cgi"} -> param("new")) {
+        $self -> log("layouts.new", "User has submitted data for new layout");
+
+        ($args, $errors) = $self -> _validate_layout();
+        if(!$errors) {
+            $self -> {"layouts"} -> create_layout(decode_entities($args -> {"name"}), $args -> {"arrangement"}, $args -> {"sources"})
+                and return $self -> redirect($self -> build_url(block    => "layouts",
+                                                                pathinfo => [ ],
+                                                                params   => "",
+                                                                api      => [] ));
+
+            $errors = $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"layouts"} -> errstr() });
+        }
+
+        $self -> log("layouts.new", "Errors detected in new layout: $errors");
+
+        my $errorlist = $self -> {"template"} -> load_template("error/error_list.tem", {"%(message)s" => "{L_MANAGE_LAYOUT_ERR_NEW}",
+                                                                                        "%(errors)s"  => $errors });
+        $errors = $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $errorlist });
+    }
+
+    return $self -> _build_form("new", $args, $errors);
+}
+
+
+## @method private @ _handle_edit($layoutid)
+# Generate and process the form the user can use to edit an existing layout.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param layoutid The ID of the layout to edit.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_edit {
+    my $self     = shift;
+    my $layoutid = shift;
+    my $errors   = "";
+
+    return $self -> _fatal_error("{L_MANAGE_LAYOUT_ERR_BADID}")
+        unless($layoutid && $layoutid =~ /^\d+$/);
+
+    my $args = $self -> {"layouts"} -> get_layout($layoutid)
+        or return $self -> _fatal_error($self -> {"layouts"} -> errstr());
+    $args -> {"name"} = encode_entities($args -> {"name"});
+
+    if($self -> {"cgi"} -> param("edit")) {
+        $self -> log("layouts.edit", "User has submitted data for layout $layoutid");
+
+        ($args, $errors) = $self -> _validate_layout();
+        if(!$errors) {
+            $self -> {"layouts"} -> update_layout($layoutid, decode_entities($args -> {"name"}), $args -> {"arrangement"}, $args -> {"sources"})
+                and return $self -> redirect($self -> build_url(block    => "layouts",
+                                                                pathinfo => [ ],
+                                                                params   => "",
+                                                                api      => [] ));
+
+            $errors = $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"layouts"} -> errstr() });
+        }
+
+        $self -> log("layouts.edit", "Errors detected in layout edit: $errors");
+
+        my $errorlist = $self -> {"template"} -> load_template("error/error_list.tem", {"%(message)s" => "{L_MANAGE_LAYOUT_ERR_EDIT}",
+                                                                                        "%(errors)s"  => $errors });
+        $errors = $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $errorlist });
+    }
+
+    return $self -> _build_form("edit", $args, $errors);
+}
+
+
+## @method private @ _handle_delete($layoutid)
+# Remove the specified layout from the system. Devices using the layout go
+# back to showing their slides full screen.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param layoutid The ID of the layout to delete.
+# @return An array of values containing the page title, content, and extrahead.
+sub _handle_delete {
+    my $self     = shift;
+    my $layoutid = shift;
+
+    return $self -> _fatal_error("{L_MANAGE_LAYOUT_ERR_BADID}")
+        unless($layoutid && $layoutid =~ /^\d+$/);
+
+    $self -> log("layouts.delete", "User has deleted layout $layoutid");
+
+    $self -> {"layouts"} -> delete_layout($layoutid)
+        or return $self -> _fatal_error($self -> {"layouts"} -> errstr());
+
+    return $self -> redirect($self -> build_url(block    => "layouts",
+                                                pathinfo => [ ],
+                                                params   => "",
+                                                api      => [] ));
+}
+
+
+## @method private $ _handle_preview($layoutid)
+# Generate a slideshow page showing how the screens will look using a
+# layout. The main zone shows the slides for screens without tags. If a
+# layout ID is given, the saved layout is shown; otherwise the layout
+# settings submitted by the user are used, so that they can be checked
+# before the layout is saved.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param layoutid The ID of the layout to preview, or undef to use the
+#                 submitted layout settings.
+# @return A string containing the page HTML.
+sub _handle_preview {
+    my $self     = shift;
+    my $layoutid = shift;
+    my ($title, $body, $extrahead, $extrajs) = ("{L_MANAGE_LAYOUT_PREVIEW}", "", "", "");
+
+    my ($layout, $errors);
+    if($layoutid) {
+        if($layoutid =~ /^\d+$/) {
+            $layout = $self -> {"layouts"} -> get_layout($layoutid)
+                or $errors = $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"layouts"} -> errstr() });
+        } else {
+            $errors = $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => "{L_MANAGE_LAYOUT_ERR_BADID}" });
+        }
+    } else {
+        ($layout, $errors) = $self -> _validate_layout();
+    }
+
+    if(!$errors) {
+        $self -> log("layouts.preview", "User previewing layout ".($layoutid // "settings"));
+
+        my $slides = $self -> {"sources"} -> get_slides();
+        my $slideshow = $self -> {"module"} -> load_module("BigScreen::SlideShow");
+        if(!$slides) {
+            ($title, $body) = $self -> _fatal_error($self -> {"sources"} -> errstr());
+        } elsif($slideshow) {
+            ($body, $extrahead, $extrajs) = $slideshow -> build_slideshow($slides, undef, 1, $layout);
+        } else {
+            ($title, $body) = $self -> _fatal_error("Unable to load slideshow: ".$self -> {"module"} -> errstr());
+        }
+    } else {
+        ($title, $body) = $self -> _fatal_error($self -> {"template"} -> load_template("error/error_list.tem", {"%(message)s" => "{L_MANAGE_LAYOUT_ERR_PREVIEW}",
+                                                                                                               "%(errors)s"  => $errors }));
+    }
+
+    return $self -> generate_bigscreen_page(title     => $title,
+                                            content   => $body,
+                                            extrahead => $extrahead || $self -> {"template"} -> load_template("manage/extrahead.tem"),
+                                            extrajs   => $extrajs,
+                                            nouserbar => 1);
+}
+
+
+## @method private @ _handle_default()
+# Generate a page listing the defined layouts, and the controls to manage them.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @return An array of values containing the page title, content, and extrahead.
+sub _handle_default {
+    my $self = shift;
+
+    my $layouts = $self -> {"layouts"} -> get_layouts()
+        or return $self -> _fatal_error("Unable to obtain a list of layouts: ".$self -> {"layouts"} -> errstr());
+
+    my $sources = $self -> {"sources"} -> get_slide_sources(1)
+        or return $self -> _fatal_error("Unable to obtain a list of slide sources");
+    my %sourcemap = map { $_ -> {"id"} => $_ } @{$sources};
+
+    return ("{L_SIDE_LAYOUTS}",
+            $self -> {"template"} -> load_template("layouts/front.tem",
+                                                   { "%(front-url)s"   => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ ],
+                                                                                             params   => ""),
+                                                     "%(new-url)s"     => $self -> build_url(block    => "layouts",
+                                                                                             pathinfo => [ "new" ],
+                                                                                             params   => ""),
+                                                     "%(layout-list)s" => join("", map { $self -> _build_layout_row($_, \%sourcemap) } @{$layouts}) ||
+                                                                            $self -> {"template"} -> load_template("layouts/listempty.tem"),
+                                                   }),
+            $self -> {"template"} -> load_template("manage/extrahead.tem"),
+        );
+}
+
+
+## @method private $ _dispatch_ui()
+# Implements the core behaviour dispatcher for non-api functions. This will
+# inspect the state of the pathinfo and invoke the appropriate handler
+# function to generate content for the user.
+#
+# @return A string containing the page HTML.
+sub _dispatch_ui {
+    my $self = shift;
+
+    # We need to determine what the page title should be, and the content to shove in it...
+    my ($title, $body, $extrahead, $extrajs) = ("", "", "", "");
+    my @pathinfo = $self -> {"cgi"} -> multi_param("pathinfo");
+
+    # All the _handle_* functions require manage permission, so check it once here.
+    if($self -> check_permission("manage")) {
+        # Previews are complete slideshow pages rather than management pages
+        return $self -> _handle_preview($pathinfo[1])
+            if(($pathinfo[0] // "") eq "preview");
+
+        given($pathinfo[0]) {
+            when("new")    { ($title, $body, $extrahead, $extrajs) = $self -> _handle_new(); }
+            when("edit")   { ($title, $body, $extrahead, $extrajs) = $self -> _handle_edit($pathinfo[1]); }
+            when("delete") { ($title, $body, $extrahead, $extrajs) = $self -> _handle_delete($pathinfo[1]); }
+            default        { ($title, $body, $extrahead, $extrajs) = $self -> _handle_default(); }
+        }
+    } else {
+        ($title, $body) = $self -> _fatal_error("{L_MANAGE_ERR_PERMISSION}");
+    }
+
+    # Done generating the page content, return the filled in page template
+    return $self -> generate_bigscreen_page(title     => $title,
+                                            content   => $body,
+                                            extrahead => $extrahead,
+                                            extrajs   => $extrajs,
+                                            nouserbar => 0);
+}
+
+
+# ============================================================================
+#  Module interface functions
+
+## @method $ page_display()
+# Generate the page content for this module.
+sub page_display {
+    my $self = shift;
+
+    my $error = $self -> check_login();
+    return $error if($error);
+
+    # Is this an API call, or a normal page operation?
+    my $apiop = $self -> is_api_operation();
+    if(defined($apiop)) {
+        # API call - dispatch to appropriate handler.
+        given($apiop) {
+            default {
+                return $self -> api_response($self -> api_errorhash('bad_op',
+                                                                    $self -> {"template"} -> replace_langvar("API_BAD_OP")))
+            }
+        }
+    } else {
+        return $self -> _dispatch_ui();
+    }
+}
+
+1;
@@ -41,12 +41,24 @@ use v5.12;
 sub new {
     my $invocant = shift;
     my $class    = ref($invocant) || $invocant;
-    my $self     = $class -> SUPER::new(@_)
+    my $self     = $class -> SUPER::new(slideicons   => { "approve" => "check",
+                                                          "pin"     => "thumb-tack",
+                                                          "hide"    => "eye-slash",
+                                                          "reset"   => "undo" },
+                                        slidecolours => { "shown"    => "success",
+                                                          "approved" => "success",
+                                                          "pinned"   => "primary",
+                                                          "pending"  => "warning",
+                                                          "hidden"   => "alert" },
+                                        @_)
         or return undef;
 
     $self -> {"sources"} = $self -> {"module"} -> load_module("BigScreen::System::SlideSource")
         or return Webperl::SystemModule::set_error("Slide show module object creation failed: ".$self -> {"module"} -> errstr());
 
+    $self -> {"playback"} = $self -> {"module"} -> load_module("BigScreen::System::Playback")
+        or return Webperl::SystemModule::set_error("Playback module object creation failed: ".$self -> {"module"} -> errstr());
+
     return $self;
 }
 
@@ -67,6 +79,116 @@ sub _fatal_error {
 }
 
 
+## @method private $ _format_time($time)
+# Convert a time to a string suitable for showing in the sources list.
+#
+# @param time The time to convert, in seconds since the epoch.
+# @return A string containing the formatted time.
+sub _format_time {
+    my $self = shift;
+    my $time = shift;
+
+    return DateTime -> from_epoch(epoch     => $time,
+                                  time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"}) -> strftime("%a %d %b %Y %H:%M");
+}
+
+
+## @method private $ _format_duration($duration)
+# Convert a duration to a string suitable for showing in the reports.
+#
+# @param duration The duration to convert, in milliseconds.
+# @return A string containing the duration as hours, minutes, and seconds.
+sub _format_duration {
+    my $self     = shift;
+    my $duration = int((shift // 0) / 1000);
+
+    return sprintf("%d:%02d:%02d", $duration / 3600, ($duration / 60) % 60, $duration % 60);
+}
+
+
+## @method private @ _report_period()
+# Work out the period the reports should cover from the `from` and `to`
+# dates set in the request. If they are not set, are not valid, or cover more
+# days than the `Playback:maxreportdays` setting (default 366) allows, the
+# reports cover the last seven days, including today.
+#
+# @return An array containing the start and end of the period in seconds
+#         since the epoch, the first and last days of the period as
+#         YYYY-MM-DD strings, and a string containing an error message if
+#         the dates set in the request were not valid.
+sub _report_period {
+    my $self = shift;
+    my $zone = $self -> {"settings"} -> {"config"} -> {"time_zone"};
+
+    my $today = DateTime -> now(time_zone => $zone) -> truncate(to => "day");
+    my @days  = ( $today -> clone() -> subtract(days => 6), $today );
+    my $error = "";
+
+    my @dates = ( $self -> {"cgi"} -> param("from"), $self -> {"cgi"} -> param("to") );
+    if(defined($dates[0]) || defined($dates[1])) {
+        my @parsed = map { my ($year, $month, $day) = ($_ // "") =~ /^\s*(\d{4})-(\d{2})-(\d{2})\s*$/;
+                           $year ? eval { DateTime -> new(year => $year, month => $month, day => $day, time_zone => $zone) } : undef;
+                         } @dates;
+
+        my $maxdays = $self -> {"settings"} -> {"config"} -> {"Playback:maxreportdays"} || 366;
+        if(!$parsed[0] || !$parsed[1] || $parsed[0] > $parsed[1]) {
+            $error = $self -> {"template"} -> load_template("error/error_box.tem", { "%(message)s" => "{L_MANAGE_REPORTS_BADDATE}" });
+        } elsif($parsed[0] -> delta_days($parsed[1]) -> in_units("days") >= $maxdays) {
+            $error = $self -> {"template"} -> load_template("error/error_box.tem", { "%(message)s" => $self -> {"template"} -> replace_langvar("MANAGE_REPORTS_TOOLONG", { "%(days)s" => $maxdays }) });
+        } else {
+            @days = @parsed;
+        }
+    }
+
+    return ($days[0] -> epoch(), $days[1] -> clone() -> add(days => 1) -> epoch(), $days[0] -> ymd(), $days[1] -> ymd(), $error);
+}
+
+
+## @method private $ _report_source($row)
+# Generate the name to show for the slide source in a row of a report.
+#
+# @param row A reference to a hash containing the report row.
+# @return A string containing the name of the source.
+sub _report_source {
+    my $self = shift;
+    my $row  = shift;
+
+    return $row -> {"name"} if($row -> {"name"});
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_REPORTS_DELETED", { "%(id)s" => $row -> {"source_id"} })
+        if($row -> {"source_id"});
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_REPORTS_UNKNOWN");
+}
+
+
+## @method private $ _build_health($source)
+# Generate the fragment of HTML showing whether the specified source is
+# generating slides successfully.
+#
+# @param source A reference to a hash containing the slide source information.
+# @return A string containing the HTML fragment for the source health.
+sub _build_health {
+    my $self   = shift;
+    my $source = shift;
+
+    my ($state, $colour) = !$source -> {"last_checked"} ? ("UNKNOWN", "secondary") :
+                            $source -> {"last_error"}   ? ("FAILING", "alert") :
+                                                          ("WORKING", "success");
+
+    return $self -> {"template"} -> load_template("manage/health.tem",
+                                                  { "%(colour)s"  => $colour,
+                                                    "%(state)s"   => "{L_MANAGE_HEALTH_$state}",
+                                                    "%(count)s"   => $source -> {"slide_count"} // 0,
+                                                    "%(success)s" => $source -> {"last_success"} ? $self -> _format_time($source -> {"last_success"})
+                                                                                                 : "{L_MANAGE_HEALTH_NEVER}",
+                                                    "%(error)s"   => $source -> {"last_error"} ? $self -> {"template"} -> load_template("manage/healtherror.tem",
+                                                                                                                                       { "%(error)s" => encode_entities($source -> {"last_error"}) })
+                                                                                               : "",
+                                                  });
+}
+
+
 ## @method private $ _build_arg_row($arg, $value)
 # Given an feed argument and the value set for it, produce a HTML fragment to
 # include in the feed row.
@@ -85,16 +207,34 @@ sub _build_arg_row {
 }
 
 
-## @method private $ _build_source_row($source)
+## @method private $ _build_tag_list($tags)
+# Generate the list of tags attached to a slide source to show in its row in
+# the sources list.
+#
+# @param tags A reference to an array of tag names.
+# @return A string containing the HTML fragment for the tag list.
+sub _build_tag_list {
+    my $self = shift;
+    my $tags = shift;
+
+    return join(" ", map { $self -> {"template"} -> load_template("manage/feedtag.tem", { "%(tag)s" => encode_entities($_) }) } @{$tags}) ||
+        $self -> {"template"} -> load_template("manage/feedtagsempty.tem");
+}
+
+
+## @method private $ _build_source_row($source, $share)
 # Generate a row to show in the sources list for the specified source. This will
 # create a fragment of HTML representing the provided source, along with controls
-# to manage its status and settings, and to delete it.
+# to manage its status, weight, and settings, and to delete it.
 #
 # @param source A reference to a hash containing the slide source information.
+# @param share  The estimated share of the rotation the source gets, from 0 to 1,
+#               or undef if the share is not known.
 # @return A string containing the HTML fragment for this source.
 sub _build_source_row {
     my $self   = shift;
     my $source = shift;
+    my $share  = shift;
 
     my @args = ();
     foreach my $arg (sort keys %{$source -> {"args"}}) {
@@ -111,7 +251,20 @@ sub _build_source_row {
                                                     "%(mode-title)s" => $source -> {"enabled"} ? "{L_MANAGE_DISABLE}" : "{L_MANAGE_ENABLE}",
                                                     "%(module)s"     => $source -> {"name"},
                                                     "%(notes)s"      => $source -> {"notes"},
+                                                    "%(tags)s"       => $self -> _build_tag_list($source -> {"tags"}),
                                                     "%(arguments)s"  => $arglist,
+                                                    "%(health)s"     => $self -> _build_health($source),
+                                                    "%(approval)s"       => $source -> {"require_approval"} ? "on" : "off",
+                                                    "%(approval-title)s" => $source -> {"require_approval"} ? "{L_MANAGE_APPROVAL_OFF}" : "{L_MANAGE_APPROVAL_ON}",
+                                                    "%(approval-url)s"   => $self -> build_url(block    => "manage",
+                                                                                               pathinfo => [ "approval", $source -> {"id"}, $source -> {"require_approval"} ? 0 : 1 ],
+                                                                                               params   => ""),
+                                                    "%(weightopts)s" => $self -> {"template"} -> build_optionlist($self -> _build_weight_list(), $source -> {"weight"} || 1),
+                                                    "%(share)s"      => defined($share) ? $self -> {"template"} -> replace_langvar("MANAGE_SHARE", { "%(share)s" => sprintf("%.0f", $share * 100) })
+                                                                                        : "{L_MANAGE_SHARE_NONE}",
+                                                    "%(weight-url)s" => $self -> build_url(block    => "manage",
+                                                                                           pathinfo => [ "weight", $source -> {"id"} ],
+                                                                                           params   => ""),
                                                     "%(edit-url)s"   => $self -> build_url(block => "manage",
                                                                                            pathinfo => [ "edit", $source -> {"id"} ],
                                                                                            params   => ""),
@@ -125,15 +278,314 @@ sub _build_source_row {
 }
 
 
+## @method private $ _build_weight_list()
+# Generate the list of weights that may be set for slide sources.
+#
+# @return A reference to an array of weight options, suitable for passing to
+#         build_optionlist() and validate_options().
+sub _build_weight_list {
+    my $self = shift;
+
+    return [ map { +{ "name" => $_, "value" => $_ } } (1 .. $self -> {"sources"} -> {"maxweight"}) ];
+}
+
+
+## @method private $ _build_ordering_list()
+# Generate the list of ways the slides may be ordered in the rotation.
+#
+# @return A reference to an array of ordering options, suitable for passing to
+#         build_optionlist() and validate_options().
+sub _build_ordering_list {
+    my $self = shift;
+
+    return [ map { +{ "name" => "{L_MANAGE_ORDER_".uc($_)."}", "value" => $_ } } @{$self -> {"sources"} -> {"orderings"}} ];
+}
+
+
+## @method private $ _build_argument_field($moduleid, $slidemod, $arg, $value)
+# Generate the form field used to set the value of a slide source argument.
+# The field carries the same format checks as the server applies, so that the
+# browser can report problems before the form is submitted.
+#
+# @param moduleid The ID of the module the argument belongs to.
+# @param slidemod A reference to the slide source module object.
+# @param arg      A reference to the argument hash, as returned by the module's
+#                 arguments() function.
+# @param value    The current value of the argument, if any.
+# @return A string containing the HTML for the field.
+sub _build_argument_field {
+    my $self     = shift;
+    my $moduleid = shift;
+    my $slidemod = shift;
+    my $arg      = shift;
+    my $value    = shift // "";
+
+    my $vars = { "%(id)s"       => "arg-$moduleid-".$arg -> {"name"},
+                 "%(name)s"     => $arg -> {"name"},
+                 "%(help)s"     => $arg -> {"help"} // "",
+                 "%(required)s" => $arg -> {"required"} ? "required" : "",
+                 "%(default)s"  => encode_entities($arg -> {"default"} // ""),
+    };
+
+    if($arg -> {"type"} eq "select") {
+        $vars -> {"%(options)s"} = $self -> {"template"} -> build_optionlist([ map { +{ "name" => $_, "value" => $_ } } @{$arg -> {"values"}} ], $value);
+
+        return $self -> {"template"} -> load_template("manage/argselect.tem", $vars);
+    }
+
+    $vars -> {"%(type)s"}    = $arg -> {"type"} eq "url" ? "url" : "text";
+    $vars -> {"%(value)s"}   = encode_entities($value);
+    $vars -> {"%(pattern)s"} = encode_entities($slidemod -> argument_format($arg) // "");
+
+    return $self -> {"template"} -> load_template("manage/argfield.tem", $vars);
+}
+
+
+## @method private @ _build_argument_forms($modules, $selected, $values)
+# Generate the argument forms for each of the slide source modules. Only the
+# form for the selected module is enabled; the others are switched in when
+# the user changes the module. Values for arguments the selected module does
+# not declare are returned separately, to be edited as free-form settings.
+#
+# @param modules  A reference to an array of slide module hashes.
+# @param selected The ID of the currently selected module, if any.
+# @param values   A reference to a hash of the current argument values.
+# @return The HTML for the argument forms, and a string containing any
+#         settings the selected module does not declare; undef on error.
+sub _build_argument_forms {
+    my $self     = shift;
+    my $modules  = shift;
+    my $selected = shift || $modules -> [0] -> {"id"};
+    my $values   = shift // {};
+
+    my @forms = ();
+    my %extra = %{$values};
+    foreach my $module (@{$modules}) {
+        my $slidemod = $self -> {"sources"} -> load_source_module($module -> {"id"})
+            or return $self -> self_error($self -> {"sources"} -> errstr());
+
+        my $active = ($module -> {"id"} eq $selected);
+        my $fields = "";
+        foreach my $arg (@{$slidemod -> arguments()}) {
+            $fields .= $self -> _build_argument_field($module -> {"id"}, $slidemod, $arg, $values -> {$arg -> {"name"}});
+
+            delete $extra{$arg -> {"name"}} if($active);
+        }
+
+        push(@forms, $self -> {"template"} -> load_template("manage/argset.tem",
+                                                            { "%(module)s"   => $module -> {"id"},
+                                                              "%(disabled)s" => $active ? "" : "disabled",
+                                                              "%(style)s"    => $active ? "" : "display: none",
+                                                              "%(fields)s"   => $fields,
+                                                            }));
+    }
+
+    return (join("", @forms), $self -> {"sources"} -> format_args(\%extra));
+}
+
+
+## @method private @ _build_module_lists($modules)
+# Generate the lists of modules used by the new and edit forms.
+#
+# @param modules A reference to an array of slide module hashes.
+# @return A reference to an array of module options, suitable for passing to
+#         build_optionlist(), and a string containing the module descriptions.
+sub _build_module_lists {
+    my $self    = shift;
+    my $modules = shift;
+
+    my @modlist = ();
+    my @moddesc = ();
+    foreach my $module (@{$modules}) {
+        push(@modlist, { "name"  => $module -> {"name"},
+                         "value" => $module -> {"id"} });
+
+        push(@moddesc, $self -> {"template"} -> load_template("manage/moddesc.tem",
+                                                              { "%(name)s"        => $module -> {"name"},
+                                                                "%(description)s" => $module -> {"description"},
+                                                                "%(arginfo)s"     => $module -> {"arginfo"}
+                                                              }));
+    }
+
+    return (\@modlist, join("", @moddesc));
+}
+
+
+## @method private $ _build_slide_row($source, $slide)
+# Generate a row to show in the current slides list for the specified slide,
+# along with the controls to moderate it.
+#
+# @param source A reference to a hash containing the slide source information.
+# @param slide  A reference to a hash containing the slide data.
+# @return A string containing the HTML fragment for this slide.
+sub _build_slide_row {
+    my $self   = shift;
+    my $source = shift;
+    my $slide  = shift;
+
+    my $summary = $self -> {"template"} -> html_strip($slide -> {"slide"} // "");
+    $summary =~ s/\s+/ /g;
+    $summary =~ s/^\s+//;
+    $summary = substr($summary, 0, 200)."..."
+        if(length($summary) > 200);
+
+    my $actions = "";
+    foreach my $action ("approve", "pin", "hide", "reset") {
+        # Only offer actions that would change the state of the slide
+        next if(($action eq "approve" && $slide -> {"state"} ne "pending") ||
+                ($action eq "pin"     && $slide -> {"state"} eq "pinned") ||
+                ($action eq "hide"    && $slide -> {"state"} eq "hidden") ||
+                ($action eq "reset"   && $slide -> {"state"} ~~ [ "shown", "pending" ]));
+
+        $actions .= $self -> {"template"} -> load_template("manage/slideaction.tem",
+                                                           { "%(action)s" => $action,
+                                                             "%(title)s"  => "{L_MANAGE_SLIDE_".uc($action)."}",
+                                                             "%(icon)s"   => $self -> {"slideicons"} -> {$action},
+                                                             "%(url)s"    => $self -> build_url(block    => "manage",
+                                                                                                pathinfo => [ "slides", $action, $source -> {"id"}, $slide -> {"key"} ],
+                                                                                                params   => ""),
+                                                           });
+    }
+
+    return $self -> {"template"} -> load_template("manage/slide.tem",
+                                                  { "%(state)s"   => $slide -> {"state"},
+                                                    "%(colour)s"  => $self -> {"slidecolours"} -> {$slide -> {"state"}},
+                                                    "%(status)s"  => "{L_MANAGE_SLIDE_STATE_".uc($slide -> {"state"})."}",
+                                                    "%(summary)s" => encode_entities($summary),
+                                                    "%(actions)s" => $actions,
+                                                  });
+}
+
+
+## @method private $ _build_source_report_row($row)
+# Generate a row of the per-source screen time report.
+#
+# @param row A reference to a hash containing the source's report data.
+# @return A string containing the HTML fragment for the row.
+sub _build_source_report_row {
+    my $self = shift;
+    my $row  = shift;
+
+    return $self -> {"template"} -> load_template("manage/reportsource.tem",
+                                                  { "%(source)s"   => encode_entities($self -> _report_source($row).($row -> {"notes"} ? ": ".$row -> {"notes"} : "")),
+                                                    "%(displays)s" => $row -> {"displays"},
+                                                    "%(slides)s"   => $row -> {"slides"},
+                                                    "%(devices)s"  => $row -> {"devices"},
+                                                    "%(duration)s" => $self -> _format_duration($row -> {"duration"}),
+                                                    "%(paused)s"   => $self -> _format_duration($row -> {"paused"}),
+                                                  });
+}
+
+
+## @method private $ _build_slide_report_row($row)
+# Generate a row of the per-slide screen time report.
+#
+# @param row A reference to a hash containing the slide's report data.
+# @return A string containing the HTML fragment for the row.
+sub _build_slide_report_row {
+    my $self = shift;
+    my $row  = shift;
+
+    return $self -> {"template"} -> load_template("manage/reportslide.tem",
+                                                  { "%(title)s"    => encode_entities($row -> {"slide_title"} || $row -> {"slide_id"}),
+                                                    "%(slideid)s"  => encode_entities($row -> {"slide_id"}),
+                                                    "%(source)s"   => encode_entities($self -> _report_source($row).($row -> {"notes"} ? ": ".$row -> {"notes"} : "")),
+                                                    "%(displays)s" => $row -> {"displays"},
+                                                    "%(devices)s"  => $row -> {"devices"},
+                                                    "%(last)s"     => $self -> _format_time($row -> {"last"}),
+                                                    "%(duration)s" => $self -> _format_duration($row -> {"duration"}),
+                                                    "%(paused)s"   => $self -> _format_duration($row -> {"paused"}),
+                                                  });
+}
+
+
+## @method private $ _build_report_csv($report, $rows)
+# Generate the CSV export of one of the screen time reports. Times are given
+# in the local time zone, and durations in seconds.
+#
+# @param report The report to export, either "sources" or "slides".
+# @param rows   A reference to an array of report row hashes.
+# @return A string containing the CSV data.
+sub _build_report_csv {
+    my $self   = shift;
+    my $report = shift;
+    my $rows   = shift;
+
+    my @columns = $report eq "sources" ? ( "SOURCEID", "SOURCE", "NOTES", "DISPLAYS", "SLIDES", "DEVICES", "TIME", "PAUSED" )
+                                       : ( "SOURCEID", "SOURCE", "NOTES", "SLIDEID", "SLIDE", "DISPLAYS", "DEVICES", "FIRST", "LAST", "TIME", "PAUSED" );
+
+    my @lines = ( [ map { my $column = $self -> {"template"} -> replace_langvar("MANAGE_REPORTS_$_");
+                          $_ ~~ [ "TIME", "PAUSED" ] ? $self -> {"template"} -> replace_langvar("MANAGE_REPORTS_SECONDS", { "%(column)s" => $column })
+                                                     : $column;
+                        } @columns ] );
+
+    foreach my $row (@{$rows}) {
+        my %values = ( "SOURCEID" => $row -> {"source_id"},
+                       "SOURCE"   => $self -> _report_source($row),
+                       "NOTES"    => $row -> {"notes"},
+                       "SLIDEID"  => $row -> {"slide_id"},
+                       "SLIDE"    => $row -> {"slide_title"},
+                       "DISPLAYS" => $row -> {"displays"},
+                       "SLIDES"   => $row -> {"slides"},
+                       "DEVICES"  => $row -> {"devices"},
+                       "TIME"     => int(($row -> {"duration"} // 0) / 1000),
+                       "PAUSED"   => int(($row -> {"paused"} // 0) / 1000),
+            );
+
+        foreach my $key ("FIRST", "LAST") {
+            $values{$key} = DateTime -> from_epoch(epoch     => $row -> {lc($key)},
+                                                   time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"}) -> strftime("%Y-%m-%d %H:%M:%S")
+                if($row -> {lc($key)});
+        }
+
+        push(@lines, [ map { $values{$_} } @columns ]);
+    }
+
+    # Quote everything, and stop spreadsheets treating text from slides as formulae
+    return join("", map { join(",", map { my $value = $_ // "";
+                                          $value = "'$value" if($value =~ /^[=+\-@]/);
+                                          $value =~ s/"/""/g;
+                                          "\"$value\"";
+                                        } @{$_})."\r\n"
+                        } @lines);
+}
+
+
+## @method private $ _build_slide_set($set)
+# Generate the list of slides for a slide source in the current slides list.
+#
+# @param set A reference to a hash containing the source and its slides.
+# @return A string containing the HTML fragment for the source's slides.
+sub _build_slide_set {
+    my $self = shift;
+    my $set  = shift;
+
+    my $slides = join("", map { $self -> _build_slide_row($set -> {"source"}, $_) } @{$set -> {"slides"}}) ||
+        $self -> {"template"} -> load_template("manage/slidesempty.tem");
+
+    return $self -> {"template"} -> load_template("manage/slideset.tem",
+                                                  { "%(module)s"   => $set -> {"source"} -> {"name"},
+                                                    "%(notes)s"    => $set -> {"source"} -> {"notes"},
+                                                    "%(approval)s" => $set -> {"source"} -> {"require_approval"} ? $self -> {"template"} -> load_template("manage/slideapproval.tem") : "",
+                                                    "%(slides)s"   => $slides,
+                                                  });
+}
+
+
 # ============================================================================
 #  Validators
 
 ## @method private @ _validate_source($modlist)
-# Check whether the values submitted for a slide source are valid.
+# Check whether the values submitted for a slide source are valid. Arguments
+# declared by the selected module are taken from its argument form, and any
+# others from the free-form settings; the module then checks the values.
 #
 # @param modlist A reference to an array of valid module ids
 # @return A reference to a hash of validated arguments, and a string containing
-#         any error messages.
+#         any error messages. The `args` value in the hash is the argument
+#         string to store for the source, `values` is a reference to a hash
+#         of the individual argument values, and `tags` is a reference to an
+#         array of the tags to attach to the source.
 sub _validate_source {
     my $self    = shift;
     my $modlist = shift;
@@ -146,18 +598,61 @@ sub _validate_source {
     $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
         if($error);
 
-    ($args -> {"args"}, $error) = $self -> validate_string("args", { required   => 0,
-                                                                     default    => "",
-                                                                     nicename   => "{L_MANAGE_ARGS}" });
+    my $extra;
+    ($extra, $error) = $self -> validate_string("args", { required   => 0,
+                                                          default    => "",
+                                                          nicename   => "{L_MANAGE_ARGS}" });
     $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
         if($error);
 
+    $args -> {"values"} = $self -> {"sources"} -> parse_args(decode_entities($extra));
+    s/^\s+|\s+$//g foreach(values(%{$args -> {"values"}}));
+
+    my @order = ();
+    if($args -> {"module_id"}) {
+        my $slidemod = $self -> {"sources"} -> load_source_module($args -> {"module_id"});
+        if($slidemod) {
+            foreach my $arg (@{$slidemod -> arguments()}) {
+                my $value;
+                ($value, $error) = $self -> validate_string("arg_".$arg -> {"name"}, { required => 0,
+                                                                                        default  => "",
+                                                                                        nicename => $arg -> {"name"} });
+                $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+                    if($error);
+
+                # Values set in the argument form take precedence over free-form ones
+                $value = decode_entities($value // "");
+                $value =~ s/^\s+|\s+$//g;
+                $args -> {"values"} -> {$arg -> {"name"}} = $value
+                    if($value ne "");
+
+                push(@order, $arg -> {"name"});
+            }
+
+            $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $_ })
+                foreach(@{$slidemod -> check_arguments($args -> {"values"})});
+        } else {
+            $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"sources"} -> errstr() });
+        }
+    }
+
+    $args -> {"args"} = $self -> {"sources"} -> format_args($args -> {"values"}, \@order);
+
     ($args -> {"notes"}, $error) = $self -> validate_string("notes", { required   => 0,
                                                                        default    => "",
                                                                        nicename   => "{L_MANAGE_NOTES}" });
     $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
         if($error);
 
+    ($args -> {"tagstr"}, $error) = $self -> validate_string("tags", { required   => 0,
+                                                                       default    => "",
+                                                                       nicename   => "{L_MANAGE_TAGS}" });
+    $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $error })
+        if($error);
+
+    $args -> {"tags"} = $self -> {"system"} -> {"tags"} -> split_tags(decode_entities($args -> {"tagstr"} // ""))
+        or $errors .= $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => encode_entities($self -> {"system"} -> {"tags"} -> errstr()) });
+
     return ($args, $errors);
 }
 
@@ -178,9 +673,12 @@ sub _validate_new {
         if($errors);
 
     $self -> log("manage.new", "User added slide source ".$args -> {"module"}." with note ".$args -> {"notes"} // "not set");
-    $self -> {"sources"} -> create($args -> {"module_id"},
-                                   decode_entities($args -> {"args"}),
-                                   $args -> {"notes"})
+    my $sourceid = $self -> {"sources"} -> create($args -> {"module_id"},
+                                                  $args -> {"args"},
+                                                  $args -> {"notes"})
+        or return ($args, $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"sources"} -> errstr() }));
+
+    $self -> {"sources"} -> set_source_tags($sourceid, $args -> {"tags"}, $self -> {"session"} -> get_session_userid())
         or return ($args, $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"sources"} -> errstr() }));
 
     return (undef, undef);
@@ -207,10 +705,13 @@ sub _validate_edit {
     $self -> log("manage.edit", "User updated slide source $sourceid, module ".$args -> {"module"}." with note ".$args -> {"notes"} // "not set");
     $self -> {"sources"} -> update($sourceid,
                                    $args -> {"module_id"},
-                                   decode_entities($args -> {"args"}),
+                                   $args -> {"args"},
                                    $args -> {"notes"})
         or return ($args, $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"sources"} -> errstr() }));
 
+    $self -> {"sources"} -> set_source_tags($sourceid, $args -> {"tags"}, $self -> {"session"} -> get_session_userid())
+        or return ($args, $self -> {"template"} -> load_template("error/error_item.tem", { "%(error)s" => $self -> {"sources"} -> errstr() }));
+
     return (undef, undef);
 }
 
@@ -254,13 +755,263 @@ sub _handle_state_change {
 }
 
 
+## @method private @ _handle_weight($sourceid)
+# Set the weight of a slide source, which controls its share of the rotation
+# when the slides are ordered by weighted interleave.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param sourceid The ID of the slide source to set the weight of.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_weight {
+    my $self     = shift;
+    my $sourceid = shift;
+
+    # Check that the source ID seems valid
+    return $self -> _fatal_error("{L_MANAGE_ERR_NOSID}")
+        unless($sourceid);
+
+    return $self -> _fatal_error("{L_MANAGE_ERR_BADSID}")
+        unless($sourceid =~ /^\d+$/);
+
+    my ($weight, $error) = $self -> validate_options("weight", { required => 1,
+                                                                 default  => "",
+                                                                 source   => $self -> _build_weight_list(),
+                                                                 nicename => "{L_MANAGE_WEIGHT}" });
+    return $self -> _fatal_error($error)
+        if($error);
+
+    $self -> log("manage.weight", "User has set the weight of slide source $sourceid to $weight");
+
+    $self -> {"sources"} -> set_slide_weight($sourceid, $weight)
+        or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+
+    return $self -> _handle_default();
+}
+
+
+## @method private @ _handle_ordering()
+# Set how the slides from the slide sources are ordered in the rotation.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_ordering {
+    my $self = shift;
+
+    my ($ordering, $error) = $self -> validate_options("ordering", { required => 1,
+                                                                     default  => "",
+                                                                     source   => $self -> _build_ordering_list(),
+                                                                     nicename => "{L_MANAGE_ORDERING}" });
+    return $self -> _fatal_error($error)
+        if($error);
+
+    $self -> log("manage.ordering", "User has set the slide ordering to $ordering");
+
+    $self -> {"sources"} -> set_ordering($ordering)
+        or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+
+    return $self -> _handle_default();
+}
+
+
+## @method private @ _handle_approval($sourceid, $required)
+# Set whether new items from a slide source must be approved before they are
+# shown on the screens.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param sourceid The ID of the slide source to modify.
+# @param required 1 if items need approval, 0 if not.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_approval {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $required = shift;
+
+    # Check that the source ID seems valid
+    return $self -> _fatal_error("{L_MANAGE_ERR_NOSID}")
+        unless($sourceid);
+
+    return $self -> _fatal_error("{L_MANAGE_ERR_BADSID}")
+        unless($sourceid =~ /^\d+$/);
+
+    return $self -> _fatal_error("{L_MANAGE_ERR_BADSTATE}")
+        unless(defined($required) && $required =~ /^[01]$/);
+
+    $self -> log("manage.approval", "User has set approval required for slide source $sourceid to $required");
+
+    $self -> {"sources"} -> set_slide_approval($sourceid, $required, $self -> {"session"} -> get_session_userid())
+        or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+
+    return $self -> _handle_default();
+}
+
+
+## @method private @ _handle_moderate($action, $sourceid, $itemkey)
+# Record a moderation decision about a slide.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param action   The action to take: one of `hide`, `pin`, `approve`, or `reset`.
+# @param sourceid The ID of the slide source the slide comes from.
+# @param itemkey  The key identifying the item shown in the slide.
+# @return An error title and message on error, an empty list on success.
+sub _handle_moderate {
+    my $self     = shift;
+    my $action   = shift;
+    my $sourceid = shift;
+    my $itemkey  = shift;
+    my %states   = ( "hide" => "hidden", "pin" => "pinned", "approve" => "approved" );
+
+    return $self -> _fatal_error("{L_MANAGE_ERR_BADSID}")
+        unless($sourceid && $sourceid =~ /^\d+$/);
+
+    return $self -> _fatal_error("{L_MANAGE_ERR_BADITEM}")
+        unless($itemkey && $itemkey =~ /^[0-9a-f]{32}$/);
+
+    $self -> log("manage.moderate", "User has chosen to $action item $itemkey from slide source $sourceid");
+
+    if($action eq "reset") {
+        $self -> {"sources"} -> clear_slide_moderation($sourceid, $itemkey)
+            or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+    } else {
+        # Keep a copy of the slide, so pinned items can outlive their source entry
+        my $slide = $self -> {"sources"} -> find_slide($sourceid, $itemkey);
+        return $self -> _fatal_error($self -> {"sources"} -> errstr())
+            if(!$slide && $action eq "pin");
+
+        $self -> {"sources"} -> set_slide_moderation($sourceid, $itemkey, $states{$action}, $self -> {"session"} -> get_session_userid(), $slide ? $slide -> {"slide"} : undef)
+            or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+    }
+
+    return ();
+}
+
+
+## @method private @ _handle_slides($action, $sourceid, $itemkey)
+# Generate a page listing every slide the enabled sources currently generate,
+# with controls to hide, pin, or approve individual slides.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param action   Optional moderation action to take before listing the slides.
+# @param sourceid The ID of the slide source the action applies to.
+# @param itemkey  The key identifying the item the action applies to.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_slides {
+    my $self     = shift;
+    my $action   = shift;
+    my $sourceid = shift;
+    my $itemkey  = shift;
+
+    if($action) {
+        return $self -> _fatal_error("{L_MANAGE_ERR_BADACTION}")
+            unless($action ~~ [ "hide", "pin", "approve", "reset" ]);
+
+        my @error = $self -> _handle_moderate($action, $sourceid, $itemkey);
+        return @error if(scalar(@error));
+
+        # Redirect so that reloading the list does not repeat the action
+        return $self -> redirect($self -> build_url(block    => "manage",
+                                                    pathinfo => [ "slides" ],
+                                                    params   => "",
+                                                    api      => [] ));
+    }
+
+    my $sets = $self -> {"sources"} -> get_current_slides()
+        or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+
+    my $slidelist = join("", map { $self -> _build_slide_set($_) } @{$sets}) ||
+        $self -> {"template"} -> load_template("manage/listempty.tem");
+
+    return ("{L_MANAGE_SLIDES}",
+            $self -> {"template"} -> load_template("manage/slides.tem",
+                                                   { "%(front-url)s"  => $self -> build_url(block    => "manage",
+                                                                                            pathinfo => [ ],
+                                                                                            params   => ""),
+                                                     "%(slide-list)s" => $slidelist,
+                                                   }),
+            $self -> {"template"} -> load_template("manage/extrahead.tem"),
+        );
+}
+
+
+## @method private @ _handle_reports($export, $report)
+# Generate a page showing how much screen time the slides from each source,
+# and each individual slide, have had over the period selected by the user,
+# or export one of the reports as a CSV file.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @param export If set to "csv", the report is sent as a CSV file instead of
+#               showing the page.
+# @param report The report to export, either "sources" or "slides".
+# @return An array of values containing the page title, content, extrahead, and extrajs.
+sub _handle_reports {
+    my $self   = shift;
+    my $export = shift;
+    my $report = shift // "";
+
+    my ($start, $end, $from, $to, $errors) = $self -> _report_period();
+
+    if($export) {
+        return $self -> _fatal_error("{L_MANAGE_ERR_BADREPORT}")
+            unless($export eq "csv" && $report ~~ [ "sources", "slides" ]);
+
+        my $rows = ($report eq "sources" ? $self -> {"playback"} -> get_source_report($start, $end)
+                                         : $self -> {"playback"} -> get_slide_report($start, $end))
+            or return $self -> _fatal_error($self -> {"playback"} -> errstr());
+
+        return $self -> download_response($self -> _build_report_csv($report, $rows), "text/csv", "screentime-$report-$from-$to.csv");
+    }
+
+    my $sources = $self -> {"playback"} -> get_source_report($start, $end)
+        or return $self -> _fatal_error($self -> {"playback"} -> errstr());
+
+    my $slides = $self -> {"playback"} -> get_slide_report($start, $end)
+        or return $self -> _fatal_error($self -> {"playback"} -> errstr());
+
+    return ("{L_MANAGE_REPORTS}",
+            $self -> {"template"} -> load_template("manage/reports.tem",
+                                                   { "%(front-url)s"   => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ ],
+                                                                                             params   => ""),
+                                                     "%(reports-url)s" => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ "reports" ],
+                                                                                             params   => ""),
+                                                     "%(sources-csv)s" => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ "reports", "csv", "sources" ],
+                                                                                             params   => { "from" => $from, "to" => $to }),
+                                                     "%(slides-csv)s"  => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ "reports", "csv", "slides" ],
+                                                                                             params   => { "from" => $from, "to" => $to }),
+                                                     "%(errors)s"      => $errors,
+                                                     "%(from)s"        => $from,
+                                                     "%(to)s"          => $to,
+                                                     "%(source-rows)s" => join("", map { $self -> _build_source_report_row($_) } @{$sources}) ||
+                                                                              $self -> {"template"} -> load_template("manage/reportempty.tem", { "%(columns)s" => 6 }),
+                                                     "%(slide-rows)s"  => join("", map { $self -> _build_slide_report_row($_) } @{$slides}) ||
+                                                                              $self -> {"template"} -> load_template("manage/reportempty.tem", { "%(columns)s" => 7 }),
+                                                   }),
+            $self -> {"template"} -> load_template("manage/extrahead.tem"),
+        );
+}
+
+
 ## @method private @ _handle_new()
 # Generate and process the form the user can use to add slide sources to the system.
 #
 # @note This does no permissions checks - it relies on the manage permission
 #       being checked by the caller.
 #
-# @return An array of values containing the page title, content, and extrahead.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
 sub _handle_new {
     my $self   = shift;
     my $args   = {};
@@ -270,25 +1021,14 @@ sub _handle_new {
         or return $self -> _fatal_error("Unable to obtain a list of slide modules");
 
     # process the module list into something usable
-    my @modlist = ();
-    my @moddesc = ();
-    foreach my $module (@{$modules}) {
-        push(@modlist, { "name"  => $module -> {"name"},
-                         "value" => $module -> {"id"} });
-
-        push(@moddesc, $self -> {"template"} -> load_template("manage/moddesc.tem",
-                                                              { "%(name)s"        => $module -> {"name"},
-                                                                "%(description)s" => $module -> {"description"},
-                                                                "%(arginfo)s"     => $module -> {"arginfo"}
-                                                              }));
-    }
+    my ($modlist, $moddesc) = $self -> _build_module_lists($modules);
 
     # Now pick up and handle validation
     if($self -> {"cgi"} -> param("new")) {
         $self -> log("manage.new", "User has submitted data for new source");
 
         # Validate the submission - passing the module list so it can be used for validation
-        ($args, $errors) = $self -> _validate_new(\@modlist);
+        ($args, $errors) = $self -> _validate_new($modlist);
 
         return $self -> redirect($self -> build_url(block    => "manage",
                                                     pathinfo => [ ],
@@ -305,18 +1045,29 @@ sub _handle_new {
         $errors = $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $errorlist });
     }
 
+    my ($argforms, $extra) = $self -> _build_argument_forms($modules, $args -> {"module_id"}, $args -> {"values"});
+    return $self -> _fatal_error($self -> errstr())
+        unless(defined($argforms));
+
     return ("{L_SIDE_MANAGE}",
             $self -> {"template"} -> load_template("manage/new.tem",
                                                    { "%(front-url)s" => $self -> build_url(block => "manage",
                                                                                            pathinfo => [ ],
                                                                                            params   => ""),
-                                                     "%(modopts)s" => $self -> {"template"} -> build_optionlist(\@modlist, $args -> {"module_id"}),
-                                                     "%(errors)s"  => $errors,
-                                                     "%(args)s"    => encode_entities($args -> {"args"}),
-                                                     "%(notes)s"   => $args -> {"notes"},
-                                                     "%(moddesc)s" => join("", @moddesc),
+                                                     "%(modopts)s"  => $self -> {"template"} -> build_optionlist($modlist, $args -> {"module_id"}),
+                                                     "%(errors)s"   => $errors,
+                                                     "%(argforms)s" => $argforms,
+                                                     "%(args)s"     => encode_entities($extra),
+                                                     "%(notes)s"    => $args -> {"notes"},
+                                                     "%(tags)s"     => $args -> {"tagstr"},
+                                                     "%(moddesc)s"  => $moddesc,
                                                    }),
             $self -> {"template"} -> load_template("manage/extrahead.tem"),
+            $self -> {"template"} -> load_template("manage/extrajs.tem",
+                                                   { "%(preview-url)s" => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ "preview" ],
+                                                                                             params   => ""),
+                                                   }),
         );
 }
 
@@ -329,7 +1080,7 @@ sub _handle_new {
 #       being checked by the caller.
 #
 # @param sourceid The ID of the slide source to edit.
-# @return An array of values containing the page title, content, and extrahead.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
 sub _handle_edit {
     my $self     = shift;
     my $sourceid = shift;
@@ -344,22 +1095,15 @@ sub _handle_edit {
     my $args = $self -> {"sources"} -> get_slide_source($sourceid)
         or return $self -> _fatal_error($self -> {"sources"} -> errstr());
 
+    my $tags = $self -> {"sources"} -> get_source_tags($args)
+        or return $self -> _fatal_error($self -> {"sources"} -> errstr());
+    $args -> {"tagstr"} = join(", ", @{$tags});
+
     my $modules = $self -> {"sources"} -> get_slide_modules()
         or return $self -> _fatal_error("Unable to obtain a list of slide modules");
 
     # process the module list into something usable
-    my @modlist = ();
-    my @moddesc = ();
-    foreach my $module (@{$modules}) {
-        push(@modlist, { "name"  => $module -> {"name"},
-                         "value" => $module -> {"id"} });
-
-        push(@moddesc, $self -> {"template"} -> load_template("manage/moddesc.tem",
-                                                              { "%(name)s"        => $module -> {"name"},
-                                                                "%(description)s" => $module -> {"description"},
-                                                                "%(arginfo)s"     => $module -> {"arginfo"}
-                                                              }));
-    }
+    my ($modlist, $moddesc) = $self -> _build_module_lists($modules);
 
     # Now pick up and handle validation
     my $errors = "";
@@ -367,7 +1111,7 @@ sub _handle_edit {
         $self -> log("manage.edit", "User has submitted data for source edit");
 
         # Validate the submission - passing the module list so it can be used for validation
-        ($args, $errors) = $self -> _validate_edit($sourceid, \@modlist);
+        ($args, $errors) = $self -> _validate_edit($sourceid, $modlist);
 
         return $self -> redirect($self -> build_url(block    => "manage",
                                                     pathinfo => [ ],
@@ -385,18 +1129,29 @@ sub _handle_edit {
         $errors = $self -> {"template"} -> load_template("error/page_error.tem", { "%(message)s" => $errorlist });
     }
 
+    my ($argforms, $extra) = $self -> _build_argument_forms($modules, $args -> {"module_id"}, $args -> {"values"} // $self -> {"sources"} -> parse_args($args -> {"args"}));
+    return $self -> _fatal_error($self -> errstr())
+        unless(defined($argforms));
+
     return ("{L_SIDE_MANAGE}",
             $self -> {"template"} -> load_template("manage/edit.tem",
                                                    { "%(front-url)s" => $self -> build_url(block => "manage",
                                                                                            pathinfo => [ ],
                                                                                            params   => ""),
-                                                     "%(modopts)s" => $self -> {"template"} -> build_optionlist(\@modlist, $args -> {"module_id"}),
-                                                     "%(errors)s"  => $errors,
-                                                     "%(args)s"    => encode_entities($args -> {"args"}),
-                                                     "%(notes)s"   => $args -> {"notes"},
-                                                     "%(moddesc)s" => join("", @moddesc),
+                                                     "%(modopts)s"  => $self -> {"template"} -> build_optionlist($modlist, $args -> {"module_id"}),
+                                                     "%(errors)s"   => $errors,
+                                                     "%(argforms)s" => $argforms,
+                                                     "%(args)s"     => encode_entities($extra),
+                                                     "%(notes)s"    => $args -> {"notes"},
+                                                     "%(tags)s"     => $args -> {"tagstr"},
+                                                     "%(moddesc)s"  => $moddesc,
                                                    }),
             $self -> {"template"} -> load_template("manage/extrahead.tem"),
+            $self -> {"template"} -> load_template("manage/extrajs.tem",
+                                                   { "%(preview-url)s" => $self -> build_url(block    => "manage",
+                                                                                             pathinfo => [ "preview" ],
+                                                                                             params   => ""),
+                                                   }),
         );
 }
 
@@ -423,25 +1178,79 @@ sub _handle_delete {
     $self -> log("manage.delete", "User has deleted slide source $sourceid");
 
     # And away we go
-    $self -> {"sources"} -> delete($sourceid)
+    $self -> {"sources"} -> delete($sourceid, $self -> {"session"} -> get_session_userid())
         or return $self -> _fatal_error($self -> {"sources"} -> errstr());
 
     return $self -> _handle_default();
 }
 
 
+## @method private $ _handle_preview()
+# Generate a slideshow page showing the slides that would be generated by the
+# slide source module and arguments submitted by the user. This allows the
+# user to check the settings for a source before saving it; the page is
+# intended to be shown in a scaled-down frame within the new and edit forms.
+#
+# @note This does no permissions checks - it relies on the manage permission
+#       being checked by the caller.
+#
+# @return A string containing the page HTML.
+sub _handle_preview {
+    my $self = shift;
+    my ($title, $body, $extrahead, $extrajs) = ("{L_MANAGE_PREVIEW}", "", "", "");
+
+    my $modules = $self -> {"sources"} -> get_slide_modules();
+    if($modules) {
+        my ($modlist) = $self -> _build_module_lists($modules);
+
+        my ($args, $errors) = $self -> _validate_source($modlist);
+        if(!$errors) {
+            $self -> log("manage.preview", "User previewing slides for module ".$args -> {"module_id"});
+
+            my $slides = $self -> {"sources"} -> preview_slides($args -> {"module_id"}, $args -> {"args"});
+            if(!$slides) {
+                ($title, $body) = $self -> _fatal_error($self -> {"sources"} -> errstr());
+            } elsif(!scalar(@{$slides})) {
+                ($title, $body) = $self -> _fatal_error("{L_MANAGE_PREVIEW_EMPTY}");
+            } else {
+                my $slideshow = $self -> {"module"} -> load_module("BigScreen::SlideShow");
+                if($slideshow) {
+                    ($body, $extrahead, $extrajs) = $slideshow -> build_slideshow($slides, undef, 1);
+                } else {
+                    ($title, $body) = $self -> _fatal_error("Unable to load slideshow: ".$self -> {"module"} -> errstr());
+                }
+            }
+        } else {
+            ($title, $body) = $self -> _fatal_error($self -> {"template"} -> load_template("error/error_list.tem", {"%(message)s" => "{L_MANAGE_ERR_PREVIEWERR}",
+                                                                                                                   "%(errors)s"  => $errors }));
+        }
+    } else {
+        ($title, $body) = $self -> _fatal_error("Unable to obtain a list of slide modules");
+    }
+
+    return $self -> generate_bigscreen_page(title     => $title,
+                                            content   => $body,
+                                            extrahead => $extrahead || $self -> {"template"} -> load_template("manage/extrahead.tem"),
+                                            extrajs   => $extrajs,
+                                            nouserbar => 1);
+}
+
+
 ## @method private @ _handle_default()
 # Generate a page listing the currently defined slide sources, and presenting the
 # controls to allow the sources to be managed.
 #
-# @return An array of values containing the page title, content, and extrahead.
+# @return An array of values containing the page title, content, extrahead, and extrajs.
 sub _handle_default {
     my $self = shift;
 
     my $sources = $self -> {"sources"} -> get_slide_sources(1) # Set all argument to get disabled sources
         or return $self -> _fatal_error("Unable to obtain a list of slide sources");
 
-    my $feedlist = join("", map { $self -> _build_source_row($_) } @{$sources}) ||
+    my $ordering = $self -> {"sources"} -> get_ordering();
+    my $shares   = $self -> {"sources"} -> get_rotation_shares($sources, $ordering);
+
+    my $feedlist = join("", map { $self -> _build_source_row($_, $shares -> {$_ -> {"id"}}) } @{$sources}) ||
                      $self -> {"template"} -> load_template("manage/listempty.tem");
 
     return ("{L_SIDE_MANAGE}",
@@ -453,8 +1262,20 @@ sub _handle_default {
                                                      "%(new-url)s"   => $self -> build_url(block => "manage",
                                                                                            pathinfo => [ "new" ],
                                                                                            params   => ""),
+                                                     "%(slides-url)s"   => $self -> build_url(block    => "manage",
+                                                                                              pathinfo => [ "slides" ],
+                                                                                              params   => ""),
+                                                     "%(reports-url)s"  => $self -> build_url(block    => "manage",
+                                                                                              pathinfo => [ "reports" ],
+                                                                                              params   => ""),
+                                                     "%(ordering-url)s" => $self -> build_url(block    => "manage",
+                                                                                              pathinfo => [ "ordering" ],
+                                                                                              params   => ""),
+                                                     "%(orderopts)s"    => $self -> {"template"} -> build_optionlist($self -> _build_ordering_list(), $ordering),
                                                    }),
             $self -> {"template"} -> load_template("manage/extrahead.tem"),
+            $self -> {"template"} -> load_template("manage/extrajs.tem",
+                                                   { "%(preview-url)s" => "" }),
         );
 }
 
@@ -474,12 +1295,21 @@ sub _dispatch_ui {
 
     # All the _handle_* functions require manage permission, so check it once here.
     if($self -> check_permission("manage")) {
+        # Previews are complete slideshow pages rather than management pages
+        return $self -> _handle_preview()
+            if(($pathinfo[0] // "") eq "preview");
+
         given($pathinfo[0]) {
-            when("enable")  { ($title, $body, $extrahead, $extrajs) = $self -> _handle_state_change($pathinfo[1], 1); }
-            when("disable") { ($title, $body, $extrahead, $extrajs) = $self -> _handle_state_change($pathinfo[1], 0); }
-            when("new")     { ($title, $body, $extrahead, $extrajs) = $self -> _handle_new(); }
-            when("edit")    { ($title, $body, $extrahead, $extrajs) = $self -> _handle_edit($pathinfo[1]); }
-            when("delete")  { ($title, $body, $extrahead, $extrajs) = $self -> _handle_delete($pathinfo[1]); }
+            when("enable")   { ($title, $body, $extrahead, $extrajs) = $self -> _handle_state_change($pathinfo[1], 1); }
+            when("disable")  { ($title, $body, $extrahead, $extrajs) = $self -> _handle_state_change($pathinfo[1], 0); }
+            when("new")      { ($title, $body, $extrahead, $extrajs) = $self -> _handle_new(); }
+            when("edit")     { ($title, $body, $extrahead, $extrajs) = $self -> _handle_edit($pathinfo[1]); }
+            when("delete")   { ($title, $body, $extrahead, $extrajs) = $self -> _handle_delete($pathinfo[1]); }
+            when("weight")   { ($title, $body, $extrahead, $extrajs) = $self -> _handle_weight($pathinfo[1]); }
+            when("ordering") { ($title, $body, $extrahead, $extrajs) = $self -> _handle_ordering(); }
+            when("approval") { ($title, $body, $extrahead, $extrajs) = $self -> _handle_approval($pathinfo[1], $pathinfo[2]); }
+            when("slides")   { ($title, $body, $extrahead, $extrajs) = $self -> _handle_slides($pathinfo[1], $pathinfo[2], $pathinfo[3]); }
+            when("reports")  { ($title, $body, $extrahead, $extrajs) = $self -> _handle_reports($pathinfo[1], $pathinfo[2]); }
             default { ($title, $body, $extrahead, $extrajs) = $self -> _handle_default();    }
         }
     } else {
@@ -23,7 +23,9 @@ use strict;
 use experimental 'smartmatch';
 use parent qw(BigScreen);
 use BigScreen::System::SlideSource;
+use HTML::Entities;
 use DateTime;
+use JSON;
 use v5.12;
 
 
@@ -46,6 +48,12 @@ sub new {
     $self -> {"sources"} = $self -> {"module"} -> load_module("BigScreen::System::SlideSource")
         or return Webperl::SystemModule::set_error("Slide show module object creation failed: ".$self -> {"module"} -> errstr());
 
+    $self -> {"devices"} = $self -> {"module"} -> load_module("BigScreen::System::Devices")
+        or return Webperl::SystemModule::set_error("Slide show module object creation failed: ".$self -> {"module"} -> errstr());
+
+    $self -> {"layouts"} = $self -> {"module"} -> load_module("BigScreen::System::Layouts")
+        or return Webperl::SystemModule::set_error("Slide show module object creation failed: ".$self -> {"module"} -> errstr());
+
     return $self;
 }
 
@@ -66,16 +74,15 @@ sub _fatal_error {
 }
 
 
-## @method private @ _handle_default()
-# Generate the default page content. This will generate the slideshow page
-# by loading each of the slide sources, collating the slide data they provide,
-# and returning a HTML page containing the slideshow.
+## @method private @ _build_slides($slides)
+# Convert a list of slide HTML fragments into the slides and bullet buttons
+# for a carousel. The first slide is made the active one.
 #
-# @return An array containing the page title, content, extrahead, and extrajs
-sub _handle_default {
+# @param slides A reference to an array of slide HTML fragments.
+# @return A string containing the slides, and a string containing the buttons.
+sub _build_slides {
     my $self   = shift;
-
-    my $slides = $self -> {"sources"} -> get_slides();
+    my $slides = shift;
 
     # Handle buttons
     my $buttons = "";
@@ -102,28 +109,244 @@ sub _handle_default {
              ++$slide;
     }
 
+    return (join("", @outslides), $buttons);
+}
+
+
+## @method private $ _build_layout($layout, $slides)
+# Generate the zones in the specified layout, and place them in the page
+# arrangement the layout is based on. If the layout can not be used, the
+# main slideshow is shown on its own instead.
+#
+# @param layout A reference to the layout hash.
+# @param slides A reference to an array of slide HTML fragments to show in
+#               the main slideshow.
+# @return A string containing the layout HTML.
+sub _build_layout {
+    my $self   = shift;
+    my $layout = shift;
+    my $slides = shift;
+
+    my $zones = $self -> {"layouts"} -> get_zones($layout -> {"arrangement"});
+    if(!$zones) {
+        $self -> log("slideshow", "Unable to use layout ".($layout -> {"id"} // "preview").": ".$self -> {"layouts"} -> errstr());
+
+        $layout = { "arrangement" => "fullscreen", "sources" => {} };
+        $zones  = $self -> {"layouts"} -> get_zones($layout -> {"arrangement"});
+    }
+
+    my $content = $self -> {"layouts"} -> get_zone_content($layout, $self -> {"sources"});
+
+    my $zonehtml = {};
+    foreach my $zone (@{$zones}) {
+        my $name = $zone -> {"name"};
+
+        given($zone -> {"type"}) {
+            when("main") {
+                my ($outslides, $buttons) = $self -> _build_slides($slides);
+
+                $zonehtml -> {"%(zone-$name)s"} = $self -> {"template"} -> load_template("slideshow/zone-main.tem",
+                                                                                          { "%(slides)s"      => $outslides,
+                                                                                            "%(buttons)s"     => $buttons,
+                                                                                            "%(orbit-delay)s" => $self -> {"settings"} -> {"config"} -> {"Orbit:delay"} // 10,
+                                                                                          });
+            }
+            when("carousel") {
+                my ($outslides) = $self -> _build_slides($content -> {$name});
+
+                $zonehtml -> {"%(zone-$name)s"} = $self -> {"template"} -> load_template("slideshow/zone-carousel.tem",
+                                                                                          { "%(zone)s"   => $name,
+                                                                                            "%(slides)s" => $outslides,
+                                                                                          });
+            }
+            when("ticker") {
+                my $items = join("", map { $self -> {"template"} -> load_template("slideshow/ticker-item.tem",
+                                                                                   { "%(headline)s" => encode_entities($_) })
+                                         } @{$content -> {$name}});
+
+                $zonehtml -> {"%(zone-$name)s"} = $self -> {"template"} -> load_template("slideshow/zone-ticker.tem",
+                                                                                          { "%(zone)s"  => $name,
+                                                                                            "%(items)s" => $items,
+                                                                                          });
+            }
+            when("clock") {
+                $zonehtml -> {"%(zone-$name)s"} = $self -> {"template"} -> load_template("slideshow/zone-clock.tem");
+            }
+        }
+    }
+
+    return $self -> {"template"} -> load_template("slideshow/layouts/".$layout -> {"arrangement"}.".tem", $zonehtml);
+}
+
+
+## @method private $ _type_transitions()
+# Convert the `Orbit:typeTransitions` setting into the selectors and transition
+# names the slideshow expects. The setting is a comma separated list of
+# `type=transition` pairs, eg: `typeF=crossfade,type4=zoom`.
+#
+# @return A string containing a JSON object mapping slide type selectors to
+#         transition names.
+sub _type_transitions {
+    my $self = shift;
+    my %transitions;
+
+    foreach my $pair (split(/\s*,\s*/, $self -> {"settings"} -> {"config"} -> {"Orbit:typeTransitions"} // "")) {
+        my ($type, $transition) = $pair =~ /^\s*(\w+)\s*=\s*(\w+)\s*$/;
+
+        if($type) {
+            $transitions{".$type"} = $transition;
+        } elsif($pair =~ /\S/) {
+            $self -> log("warning", "Ignoring unrecognised slide type transition '$pair'");
+        }
+    }
+
+    return encode_json(\%transitions);
+}
+
+
+## @method @ build_slideshow($slides, $device, $preview, $layout, $visitor)
+# Generate the content of a slideshow page showing the specified slides. This
+# is used to generate the big screen slideshow itself, and previews of the
+# slides generated by a slide source or of a layout.
+#
+# @param slides  A reference to an array of slide HTML fragments.
+# @param device  The name of the device the slideshow is being shown on, if
+#                known. Screens that identify themselves report what they are
+#                showing, log each slide they show for the playback reports,
+#                and take remote commands.
+# @param preview If true, the slideshow only shows the specified slides; it
+#                does not fetch new slides, work offline, or show alerts.
+# @param layout  A reference to the hash of the layout to show the slides in.
+#                If this is not set, the slides fill the screen.
+# @param visitor If true, the slideshow is being shown to a visitor rather
+#                than on a screen. Visitors get controls to move through the
+#                slides and a link to each slide, and do not see alerts.
+# @return An array containing the page content, extrahead, and extrajs
+sub build_slideshow {
+    my $self    = shift;
+    my $slides  = shift;
+    my $device  = shift // "";
+    my $preview = shift;
+    my $layout  = shift // { "arrangement" => "fullscreen", "sources" => {} };
+    my $visitor = shift;
+
     my @options = ( "minDelay: ".(($self -> {"settings"} -> {"config"} -> {"Orbit:delay"} // 10) * 1000),
         );
 
+    my ($transition) = ($self -> {"settings"} -> {"config"} -> {"Orbit:transition"} // "") =~ /^\s*(\w+)\s*$/;
 
-    return ("{L_SLIDES_TITLE}",
-            $self -> {"template"} -> load_template("slideshow/content.tem",
-                                                   { "%(slides)s"        => join("", @outslides),
-                                                     "%(buttons)s"       => $buttons,
+    my ($slidesurl, $alerturl, $heartbeaturl, $commandsurl, $playbackurl) = ("", "", "", "", "");
+    if(!$preview) {
+        $slidesurl = $self -> build_url(block    => "rest",
+                                        pathinfo => [ "api", "slides" ],
+                                        params   => $device =~ /^\w+$/ ? { "device" => $device } : "");
+        $alerturl  = $self -> build_url(block    => "rest",
+                                        pathinfo => [ "api", "alert" ],
+                                        params   => "")
+            unless($visitor);
+
+        if($device =~ /^\w+$/) {
+            $heartbeaturl = $self -> build_url(block    => "rest",
+                                               pathinfo => [ "api", "devices", $device, "heartbeat" ],
+                                               params   => "");
+            $commandsurl  = $self -> build_url(block    => "rest",
+                                               pathinfo => [ "api", "devices", $device, "commands" ],
+                                               params   => "");
+            $playbackurl  = $self -> build_url(block    => "rest",
+                                               pathinfo => [ "api", "devices", $device, "playback" ],
+                                               params   => "")
+                unless($visitor);
+        }
+    }
+
+    return ($self -> {"template"} -> load_template("slideshow/content.tem",
+                                                   { "%(layout)s"        => $self -> _build_layout($layout, $slides),
+                                                     "%(controls)s"      => $visitor ? $self -> {"template"} -> load_template("slideshow/visitor-controls.tem") : "",
                                                      "%(options)s"       => join(";", @options),
-                                                     "%(orbit-delay)s"   => $self -> {"settings"} -> {"config"} -> {"Orbit:delay"} // 10,
                                                    }),
             $self -> {"template"} -> load_template("slideshow/extrahead.tem"),
             $self -> {"template"} -> load_template("slideshow/extrajs.tem",
                                                    {"%(orbit-maxdelay)s"   => $self -> {"settings"} -> {"config"} -> {"Orbit:maxDelay"} // 10,
                                                     "%(orbit-mindelayms)s" => ($self -> {"settings"} -> {"config"} -> {"Orbit:minDelay"} // 10) * 1000,
                                                     "%(orbit-maxdelayms)s" => ($self -> {"settings"} -> {"config"} -> {"Orbit:maxDelay"} // 10) * 1000,
+                                                    "%(orbit-wpm)s"        => $self -> {"settings"} -> {"config"} -> {"Orbit:wpm"} // 200,
+                                                    "%(orbit-imgdelayms)s" => ($self -> {"settings"} -> {"config"} -> {"Orbit:imageDelay"} // 2) * 1000,
+                                                    "%(orbit-mediams)s"    => ($self -> {"settings"} -> {"config"} -> {"Orbit:maxMediaDelay"} // 300) * 1000,
                                                     "%(orbit-loops)s"      => $self -> {"settings"} -> {"config"} -> {"Orbit:loops"} // 3,
+                                                    "%(orbit-retryms)s"    => ($self -> {"settings"} -> {"config"} -> {"Orbit:retry"} // 60) * 1000,
+                                                    "%(ticker-speed)s"     => $self -> {"settings"} -> {"config"} -> {"Orbit:tickerspeed"} // 100,
+                                                    "%(orbit-transition)s" => $transition // "slide",
+                                                    "%(orbit-types)s"      => $self -> _type_transitions(),
+                                                    "%(fit-minfont)s"      => $self -> {"settings"} -> {"config"} -> {"Orbit:fitMinFont"} // 70,
+                                                    "%(fit-maxfont)s"      => $self -> {"settings"} -> {"config"} -> {"Orbit:fitMaxFont"} // 100,
+                                                    "%(generated)s"        => time(),
+                                                    "%(visitor)s"          => $visitor ? "true" : "false",
+                                                    "%(slides-url)s"       => $slidesurl,
+                                                    "%(alert-url)s"        => $alerturl,
+                                                    "%(alert-pollms)s"     => ($self -> {"settings"} -> {"config"} -> {"Orbit:alertpoll"} // 5) * 1000,
+                                                    "%(heartbeat-url)s"    => $heartbeaturl,
+                                                    "%(commands-url)s"     => $commandsurl,
+                                                    "%(command-pollms)s"   => ($self -> {"settings"} -> {"config"} -> {"Orbit:commandpoll"} // 10) * 1000,
+                                                    "%(playback-url)s"     => $playbackurl,
+                                                    "%(playback-batch)s"   => $self -> {"settings"} -> {"config"} -> {"Orbit:playbackbatch"} || 20,
                                                    })
            );
 }
 
 
+## @method private @ _handle_default()
+# Generate the default page content. This will generate the slideshow page
+# by loading each of the slide sources in the playlist for the device the
+# page is being shown on, collating the slide data they provide, and returning
+# a HTML page containing the slideshow, arranged using the device's layout.
+# The device is identified by the `device` parameter if set, or by the address
+# of the request otherwise.
+#
+# @return An array containing the page title, content, extrahead, and extrajs
+sub _handle_default {
+    my $self    = shift;
+    my $devname = $self -> {"cgi"} -> param("device");
+
+    # If the device can't be identified, it gets the slides for untagged screens
+    my ($tags, $layout);
+    my $device = $self -> {"devices"} -> find_device($devname, $self -> {"cgi"} -> remote_addr());
+    if($device) {
+        $devname = $device -> {"name"};
+        $tags    = $self -> {"devices"} -> get_device_tags($device);
+    }
+
+    $self -> log("slideshow", "Unable to determine the playlist for device '".($devname // "unknown")."': ".$self -> {"devices"} -> errstr())
+        if($self -> {"devices"} -> errstr());
+
+    if($device && $device -> {"layout_id"}) {
+        $layout = $self -> {"layouts"} -> get_layout($device -> {"layout_id"})
+            or $self -> log("slideshow", "Unable to load the layout for device '$devname': ".$self -> {"layouts"} -> errstr());
+    }
+
+    my $slides = $self -> {"sources"} -> get_slides($tags);
+
+    return ("{L_SLIDES_TITLE}",
+            $self -> build_slideshow($slides, $devname, 0, $layout));
+}
+
+
+## @method private @ _handle_visitor()
+# Generate the slideshow page for visitors. This shows the slides shown on
+# screens that have no playlist tags, with controls that let the visitor
+# pause the slideshow, move between slides, link to a slide, and see all the
+# slides as a list.
+#
+# @return An array containing the page title, content, extrahead, and extrajs
+sub _handle_visitor {
+    my $self = shift;
+
+    my $slides = $self -> {"sources"} -> get_slides();
+
+    return ("{L_SLIDES_VISITOR_TITLE}",
+            $self -> build_slideshow($slides, undef, 0, undef, 1));
+}
+
+
 ## @method private $ _dispatch_ui()
 # Implements the core behaviour dispatcher for non-api functions. This will
 # inspect the state of the pathinfo and invoke the appropriate handler
@@ -138,7 +361,8 @@ sub _dispatch_ui {
     my @pathinfo = $self -> {"cgi"} -> multi_param("pathinfo");
 
     given($pathinfo[0]) {
-        default { ($title, $body, $extrahead, $extrajs) = $self -> _handle_default();    }
+        when("view") { ($title, $body, $extrahead, $extrajs) = $self -> _handle_visitor(); }
+        default      { ($title, $body, $extrahead, $extrajs) = $self -> _handle_default(); }
     }
 
     # Done generating the page content, return the filled in page template
@@ -22,6 +22,50 @@
 #
 # - `maxage`: The maximum age of any entries to display, in days. This
 #             may be fractional, so 12 hours = 0.5, 6 hours = 0.25, etc.
+# - `delay`: If set, slides from the source are always shown for this
+#            many seconds, rather than having their delay estimated.
+# - `mindelay`: The minimum time to show slides from the source for, in
+#               seconds. Overrides the slideshow's default minimum.
+# - `maxdelay`: The maximum time to show slides from the source for, in
+#               seconds. Overrides the slideshow's default maximum.
+# - `showfrom`: Slides from the source will not be shown before this date,
+#               given as `YYYY-MM-DD` or `YYYY-MM-DD HH:MM`.
+# - `showuntil`: Slides from the source will not be shown after this date,
+#                given as `YYYY-MM-DD` or `YYYY-MM-DD HH:MM`.
+# - `showdays`: A comma separated list of the days of the week on which
+#               slides from the source should be shown, eg: `mon-fri,sun`
+# - `showtimes`: A comma separated list of the times of day during which
+#                slides from the source should be shown, eg: `08:00-10:30`
+# - `transition`: The transition to bring slides from the source on screen
+#                 with, overriding the one set for the slideshow. One of the
+#                 values in @TRANSITIONS.
+#
+# Note that the schedule set by `showfrom`, `showuntil`, `showdays`, and
+# `showtimes` is enforced by the slideshow itself, so slides will appear and
+# disappear as needed without the page being reloaded. Modules showing items
+# written by people, rather than generated, can let the authors set the
+# schedule of individual items with item_schedule().
+#
+# Modules generate slides as hashes containing:
+#
+# - `slide`: The HTML for the slide.
+# - `duplicate`: How many times more often than other slides to show the slide.
+# - `timestamp`: Optionally, when the item shown in the slide was posted.
+# - `itemid`: Optionally, an ID for the item shown in the slide that will not
+#             change if the item is edited. This is used to keep track of
+#             moderation decisions about the item; if it is not set, the
+#             slide content is used instead.
+# - `headline`: Optionally, a short plain-text version of the item shown in
+#               the slide, used when the item appears in a layout's ticker.
+#               If it is not set, the text of the slide is used instead.
+#
+# Slides may link to the full version of the item they show, by including the
+# attribute generated by slide_link() in the slide element. The slideshow
+# shows a QR code for the link while the slide is up.
+#
+# Modules declare the arguments they accept, including the common ones above,
+# via arguments(), so that the manage pages can present a form for them and
+# check submitted values with check_arguments().
 #
 package BigScreen::SlideSource;
 
@@ -33,8 +77,28 @@ use LWP::UserAgent;
 use DateTime;
 use Digest;
 use Encode;
+use HTML::Entities;
 use v5.12;
 
+# The formats values of each argument type must match. These are used both
+# here and as the pattern attribute of the form inputs, so they must be
+# written so that Perl and JavaScript interpret them the same way. Neither
+# can be told to ignore case, so day names spell out both cases of each letter.
+my $day  = '(?:'.join('|', map { join('', map { '['.uc($_).$_.']' } split(//, $_)) } qw(mon tue wed thu fri sat sun)).')';
+my $time = '(?:[01]?\d|2[0-3]):[0-5]\d';
+our %ARG_FORMATS = ( "text"    => '[^;]*',
+                     "url"     => 'https?://[^;\s]+',
+                     "number"  => '\d+(?:\.\d+)?',
+                     "integer" => '\d+',
+                     "date"    => '\d{4}-\d\d-\d\d(?:[T ]\d\d:\d\d)?',
+                     "days"    => "$day(?:-$day)?(?:\\s*,\\s*$day(?:-$day)?)*",
+                     "times"   => "$time-$time(?:\\s*,\\s*$time-$time)*",
+    );
+
+# The transitions the slideshow supports. These must match the names in
+# TimedOrbit.transitions.
+our @TRANSITIONS = ("slide", "crossfade", "zoom", "pushup", "kenburns", "none");
+
 
 # ============================================================================
 #  Constructor
@@ -63,9 +127,118 @@ sub new {
 }
 
 
+# ============================================================================
+#  Argument handling
+
+## @method $ arguments(%defaults)
+# Obtain the list of arguments this module accepts. Subclasses should override
+# this to add their own arguments to the ones common to all modules. Each
+# argument is a hash containing:
+#
+# - `name`: The name of the argument, as used in the slide source settings.
+# - `type`: One of the keys of %ARG_FORMATS, or `select`.
+# - `required`: True if the argument must be set.
+# - `default`: The value used if the argument is not set, if any.
+# - `help`: A description of the argument to show in the manage forms.
+# - `values`: For `select` arguments, a reference to an array of allowed values.
+# - `pattern`: Optionally, a format the value must match, used instead of the
+#              format for the argument type.
+#
+# @param defaults A hash of default values to report for the common arguments,
+#                 for modules that use different defaults to the base class.
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self     = shift;
+    my %defaults = @_;
+
+    my @args = ( { "name" => "maxage",    "type" => "number",  "help" => "{L_MANAGE_ARG_MAXAGE}" },
+                 { "name" => "duplicate", "type" => "integer", "help" => "{L_MANAGE_ARG_DUPLICATE}", "default" => 1 },
+                 { "name" => "delay",     "type" => "number",  "help" => "{L_MANAGE_ARG_DELAY}" },
+                 { "name" => "mindelay",  "type" => "number",  "help" => "{L_MANAGE_ARG_MINDELAY}" },
+                 { "name" => "maxdelay",  "type" => "number",  "help" => "{L_MANAGE_ARG_MAXDELAY}" },
+                 { "name" => "showfrom",  "type" => "date",    "help" => "{L_MANAGE_ARG_SHOWFROM}" },
+                 { "name" => "showuntil", "type" => "date",    "help" => "{L_MANAGE_ARG_SHOWUNTIL}" },
+                 { "name" => "showdays",  "type" => "days",    "help" => "{L_MANAGE_ARG_SHOWDAYS}" },
+                 { "name" => "showtimes", "type" => "times",   "help" => "{L_MANAGE_ARG_SHOWTIMES}" },
+                 { "name" => "transition", "type" => "select", "help" => "{L_MANAGE_ARG_TRANSITION}", "values" => \@TRANSITIONS },
+        );
+
+    foreach my $arg (@args) {
+        $arg -> {"default"} = $defaults{$arg -> {"name"}}
+            if(defined($defaults{$arg -> {"name"}}));
+    }
+
+    return \@args;
+}
+
+
+## @method $ argument_format($arg)
+# Obtain the format the value of the specified argument must match.
+#
+# @param arg A reference to an argument hash, as returned by arguments().
+# @return A string containing the format the value must match, or undef if
+#         the argument has no fixed format.
+sub argument_format {
+    my $self = shift;
+    my $arg  = shift;
+
+    return $arg -> {"pattern"} // $ARG_FORMATS{$arg -> {"type"}};
+}
+
+
+## @method $ check_arguments($values)
+# Determine whether the specified argument values are acceptable for this
+# module. Values for arguments the module does not declare are not checked.
+#
+# @param values A reference to a hash of argument values, keyed by name.
+# @return A reference to an array of error messages, empty if the values
+#         are all acceptable.
+sub check_arguments {
+    my $self   = shift;
+    my $values = shift;
+    my @errors = ();
+
+    foreach my $arg (@{$self -> arguments()}) {
+        my $value = $values -> {$arg -> {"name"}} // "";
+
+        if($value eq "") {
+            push(@errors, $self -> {"template"} -> replace_langvar("MANAGE_ARG_ERR_REQUIRED", { "%(name)s" => $arg -> {"name"} }))
+                if($arg -> {"required"});
+            next;
+        }
+
+        if($arg -> {"type"} eq "select") {
+            push(@errors, $self -> {"template"} -> replace_langvar("MANAGE_ARG_ERR_OPTION", { "%(name)s"   => $arg -> {"name"},
+                                                                                                "%(values)s" => join(", ", @{$arg -> {"values"}}) }))
+                unless($value ~~ $arg -> {"values"});
+            next;
+        }
+
+        my $format = $self -> argument_format($arg);
+        push(@errors, $self -> {"template"} -> replace_langvar("MANAGE_ARG_ERR_FORMAT", { "%(name)s" => $arg -> {"name"} }))
+            if($value =~ /;/ || ($format && $value !~ /^(?:$format)$/));
+    }
+
+    return \@errors;
+}
+
+
 # ============================================================================
 #  Support functions
 
+## @method $ fetch_timeout()
+# Obtain the number of seconds requests made while generating slides may wait
+# for the server to respond. Slides are generated while the slideshow waits,
+# so a source that does not respond must not hold it up for long.
+#
+# @return The timeout, from the `Orbit:sourcetimeout` setting (default 10).
+sub fetch_timeout {
+    my $self = shift;
+
+    return $self -> {"settings"} -> {"config"} -> {"Orbit:sourcetimeout"} || 10;
+}
+
+
 ## @method $ fetch_xml($url)
 # Request the XML at the specified URL, and parse it into a usable
 # form.
@@ -80,7 +253,7 @@ sub fetch_xml {
     $self -> clear_error();
 
     # Fetch the specifed URL.
-    my $ua  = LWP::UserAgent -> new();
+    my $ua  = LWP::UserAgent -> new(timeout => $self -> fetch_timeout());
     my $resp = $ua -> get($url);
 
     # If the request for the content was successful, parse the XML into a usable form
@@ -113,6 +286,127 @@ sub determine_type {
 }
 
 
+## @method $ slide_timing()
+# Generate the data attributes that control how long slides from this module
+# are shown for, based on the `delay`, `mindelay`, and `maxdelay` arguments,
+# and how they are brought on screen, based on the `transition` argument.
+#
+# @return A string containing the attributes to add to the slide element.
+sub slide_timing {
+    my $self = shift;
+    my @attrs = ();
+
+    foreach my $arg ("delay", "mindelay", "maxdelay") {
+        my ($value) = ($self -> {$arg} // "") =~ /^\s*(\d+(?:\.\d+)?)\s*$/;
+        next unless($value);
+
+        my ($limit) = $arg =~ /^(min|max)/;
+        push(@attrs, "data-".($limit ? "$limit-" : "")."delay=\"$value\"");
+    }
+
+    my ($transition) = ($self -> {"transition"} // "") =~ /^\s*(\w+)\s*$/;
+    push(@attrs, "data-transition=\"$transition\"")
+        if($transition && $transition ~~ \@TRANSITIONS);
+
+    return join(" ", @attrs);
+}
+
+
+## @method $ slide_schedule(%overrides)
+# Generate the data attributes that control when slides from this module
+# may be shown, based on the `showfrom`, `showuntil`, `showdays`, and
+# `showtimes` arguments. Modules that know when an individual slide should
+# be shown may override any of the arguments for that slide.
+#
+# @param overrides A hash of schedule arguments to use in place of the
+#                  module's arguments.
+# @return A string containing the attributes to add to the slide element.
+sub slide_schedule {
+    my $self      = shift;
+    my %overrides = @_;
+    my @attrs     = ();
+
+    my %args = map { $_ => $overrides{$_} // $self -> {$_} } ("showfrom", "showuntil", "showdays", "showtimes");
+    foreach my $arg (keys(%args)) {
+        next unless(defined($args{$arg}));
+
+        ($args{$arg}) = $args{$arg} =~ /^\s*(.*?)\s*$/;
+    }
+
+    foreach my $arg ("showfrom", "showuntil") {
+        next unless($args{$arg});
+
+        my $date = $self -> _schedule_date($args{$arg});
+        if($date) {
+            push(@attrs, "data-show-".substr($arg, 4)."=\"$date\"");
+        } else {
+            $self -> log("warning", "Ignoring unrecognised $arg date '".$args{$arg}."'");
+        }
+    }
+
+    if($args{"showdays"}) {
+        if($args{"showdays"} =~ /^$day(?:-$day)?(?:\s*,\s*$day(?:-$day)?)*$/i) {
+            (my $days = lc($args{"showdays"})) =~ s/\s+//g;
+            push(@attrs, "data-show-days=\"$days\"");
+        } else {
+            $self -> log("warning", "Ignoring unrecognised showdays '".$args{"showdays"}."'");
+        }
+    }
+
+    if($args{"showtimes"}) {
+        if($args{"showtimes"} =~ /^$time-$time(?:\s*,\s*$time-$time)*$/) {
+            (my $times = $args{"showtimes"}) =~ s/\s+//g;
+            push(@attrs, "data-show-times=\"$times\"");
+        } else {
+            $self -> log("warning", "Ignoring unrecognised showtimes '".$args{"showtimes"}."'");
+        }
+    }
+
+    return join(" ", @attrs);
+}
+
+
+## @method @ item_schedule($body)
+# Pull the schedule for an individual item out of its body. Authors may
+# limit when an item is shown by including paragraphs like
+# `Show until: 2026-10-20 09:00` in it, with `from`, `until`, `days`, or
+# `times` following `Show`, taking the same values as the corresponding
+# arguments. The paragraphs are removed from the body.
+#
+# @param body The HTML body of the item.
+# @return The body with the schedule paragraphs removed, and a reference to
+#         a hash of schedule arguments suitable for passing to slide_schedule().
+sub item_schedule {
+    my $self = shift;
+    my $body = shift // "";
+    my %schedule;
+
+    while($body =~ s{<p[^>]*>\s*show\s+(from|until|days|times)\s*:\s*([^<]*?)\s*</p>\s*}{}i) {
+        $schedule{"show".lc($1)} = $2;
+    }
+
+    return ($body, \%schedule);
+}
+
+
+## @method $ slide_link($url)
+# Generate the data attribute that links a slide to the full version of the
+# item it shows, so that viewers can follow it from the screen.
+#
+# @param url The URL of the item. Only http and https URLs are used.
+# @return A string containing the attribute to add to the slide element, or
+#         an empty string if the URL is not set or not usable.
+sub slide_link {
+    my $self = shift;
+    my $url  = shift // "";
+
+    ($url) = $url =~ /^\s*(https?:\/\/\S+?)\s*$/
+        or return "";
+
+    return "data-link=\"".encode_entities($url)."\"";
+}
+
+
 ## @method $ in_age_limit($date)
 # Determine whether the specified date is within the module's defined age limit
 # or not. If maxage has not been set for the module, this will always return
@@ -127,4 +421,33 @@ sub in_age_limit {
     return (!$self -> {"maxage"} || $date >= $self -> {"maxage"});
 }
 
+
+## @method private $ _schedule_date($datestr)
+# Convert a date given in a schedule argument into an ISO 8601 date string
+# that includes the timezone offset, so that the slideshow interprets it
+# correctly regardless of the timezone the screen is set to.
+#
+# @param datestr A date string in the format `YYYY-MM-DD` or `YYYY-MM-DD HH:MM`
+# @return An ISO 8601 date string on success, undef if the date is not valid.
+sub _schedule_date {
+    my $self    = shift;
+    my $datestr = shift;
+
+    my ($year, $month, $day, $hour, $minute) = $datestr =~ /^(\d{4})-(\d\d)-(\d\d)(?:[T ](\d\d):(\d\d))?$/
+        or return undef;
+
+    my $date = eval { DateTime -> new(year      => $year,
+                                      month     => $month,
+                                      day       => $day,
+                                      hour      => $hour // 0,
+                                      minute    => $minute // 0,
+                                      time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"}); };
+    return undef if($@ || !$date);
+
+    my $offset = $date -> strftime("%z");
+    $offset =~ s/(\d\d)$/:$1/;
+
+    return $date -> strftime("%Y-%m-%dT%H:%M:%S").$offset;
+}
+
 1;
\ No newline at end of file
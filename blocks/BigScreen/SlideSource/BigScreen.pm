@@ -47,10 +47,28 @@ sub new {
 # ============================================================================
 #  Interface methods
 
+## @method $ arguments()
+# This module takes no arguments of its own, but only shows recent slides by
+# default.
+#
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self = shift;
+
+    return $self -> SUPER::arguments(maxage => 1);
+}
+
+
 sub generate_slides {
     my $self = shift;
 
-    return [ { "slide"     => $self -> {"template"} -> load_template("slideshow/bigscreen-slide.tem"),
+    return [ { "slide"     => $self -> {"template"} -> load_template("slideshow/bigscreen-slide.tem",
+                                                                     { "%(timing)s"   => $self -> slide_timing(),
+                                                                       "%(schedule)s" => $self -> slide_schedule(),
+                                                                       "%(view-url)s" => $self -> build_url(block    => $self -> {"settings"} -> {"config"} -> {"default_block"},
+                                                                                                            fullurl  => 1,
+                                                                                                            pathinfo => [ "view" ],
+                                                                                                            params   => {}) }),
                "duplicate" => 1
              }
            ];
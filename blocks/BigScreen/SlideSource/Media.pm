@@ -0,0 +1,111 @@
+# @file
+# This file contains the implementation of the Media class
+#
+# @author  Chris Page &lt;chris@starforge.co.uk&gt;
+#
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+#
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+#
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+## @class
+# A slide source that shows a single video or animated image, filling the
+# slide. Videos are played, muted, when the slide is shown, and the slideshow
+# moves on when the video ends, up to the slide's maximum delay (which
+# defaults to the slideshow's `Orbit:maxMediaDelay` setting rather than its
+# normal maximum). Browsers can not report how long an animated image takes
+# to play, so the `duration` argument should be set for those.
+#
+# If the media can not be loaded or played, the slide is shown for the delay
+# it would have had as an ordinary slide.
+package BigScreen::SlideSource::Media;
+
+use strict;
+use experimental 'smartmatch';
+use base qw(BigScreen::SlideSource);
+use HTML::Entities;
+use Digest;
+use v5.12;
+
+# The media types supported, keyed by file extension.
+my %MEDIA_TYPES = ( "mp4"  => "video",
+                    "m4v"  => "video",
+                    "webm" => "video",
+                    "ogv"  => "video",
+                    "gif"  => "image",
+                    "webp" => "image",
+                    "png"  => "image",
+                    "apng" => "image",
+    );
+
+
+# ============================================================================
+#  Interface methods
+
+## @method $ arguments()
+# Media sources need the URL of the media to show, and may optionally set a
+# caption to show with it and, for animated images, how long it takes to play.
+#
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self = shift;
+
+    # Not a url type argument, as browsers refuse site-relative urls in those
+    return [ { "name" => "url",      "type" => "text",   "required" => 1, "help" => "{L_MANAGE_ARG_MEDIA_URL}",
+               "pattern" => '(?:https?://|/)[^;\s]+' },
+             { "name" => "title",    "type" => "text",   "help" => "{L_MANAGE_ARG_MEDIA_TITLE}" },
+             { "name" => "duration", "type" => "number", "help" => "{L_MANAGE_ARG_MEDIA_DURATION}" },
+             @{$self -> SUPER::arguments()}
+           ];
+}
+
+
+sub generate_slides {
+    my $self = shift;
+
+    $self -> clear_error();
+
+    my ($ext) = ($self -> {"url"} // "") =~ /\.(\w+)(?:[?#].*)?$/;
+    my $type  = $ext ? $MEDIA_TYPES{lc($ext)} : undef
+        or return $self -> self_error("Unsupported media type for '".($self -> {"url"} // "")."'");
+
+    my $url   = encode_entities($self -> {"url"});
+    my $title = encode_entities($self -> {"title"} // "");
+
+    my $attrs = "data-media=\"$type\"";
+    my ($duration) = ($self -> {"duration"} // "") =~ /^\s*(\d+(?:\.\d+)?)\s*$/;
+    $attrs .= " data-media-duration=\"$duration\"" if($duration);
+
+    my $digest = Digest -> new("MD5");
+    $digest -> add($self -> {"url"});
+
+    my $slide = $self -> {"template"} -> load_template("slideshow/media-slide.tem",
+                                                       { "%(id)s"       => "media-".$digest -> hexdigest(),
+                                                         "%(media)s"    => $attrs,
+                                                         "%(content)s"  => $self -> {"template"} -> load_template("slideshow/media-$type.tem",
+                                                                                                                  { "%(url)s"   => $url,
+                                                                                                                    "%(title)s" => $title }),
+                                                         "%(caption)s"  => $title ? $self -> {"template"} -> load_template("slideshow/media-caption.tem",
+                                                                                                                           { "%(title)s" => $title })
+                                                                                  : "",
+                                                         "%(timing)s"   => $self -> slide_timing(),
+                                                         "%(schedule)s" => $self -> slide_schedule(),
+                                                       });
+
+    return [ { "slide"     => $slide,
+               "duplicate" => $self -> {"duplicate"} // 1,
+               "itemid"    => $self -> {"url"},
+               "headline"  => $self -> {"title"},
+             }
+           ];
+}
+
+1;
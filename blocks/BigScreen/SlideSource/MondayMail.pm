@@ -90,6 +90,20 @@ sub _newsagent_to_datetime {
 # ============================================================================
 #  Interface methods
 
+## @method $ arguments()
+# Monday Mail sources need the URL of the feed to fetch, in addition to the
+# common arguments.
+#
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self = shift;
+
+    return [ { "name" => "url", "type" => "url", "required" => 1, "help" => "{L_MANAGE_ARG_MONDAYMAIL_URL}" },
+             @{$self -> SUPER::arguments()}
+           ];
+}
+
+
 sub generate_slides {
     my $self = shift;
 
@@ -109,6 +123,7 @@ sub generate_slides {
         my ($desc)    = $item -> findnodes('./description');
         my ($author)  = $item -> findnodes('./author');
         my ($avatar)  = $item -> findnodes('./newsagent:gravatar');
+        my ($link)    = $item -> findnodes('./link');
 
         # Convert the avatar to an image tag
         my $slide_avatar = $self -> {"template"} -> load_template("slideshow/avatar.tem",
@@ -127,6 +142,10 @@ sub generate_slides {
 
             ++$partnum;
 
+            # Each section may set its own schedule, overriding the source's
+            my $schedule;
+            ($part, $schedule) = $self -> item_schedule($part);
+
             # Does this slide contain a paragraph containing just an image? If so, assume it
             # is the article image
             my ($img) = $part =~ m|<p[^>]*><img.*?src="([^"]+)"[^>]*></p>|;
@@ -152,9 +171,14 @@ sub generate_slides {
                                                                  "%(slide-avatar)s" => $slide_avatar,
                                                                  "%(content)s"      => $part,
                                                                  "%(type)s"         => $self -> determine_type($part),
+                                                                 "%(timing)s"       => $self -> slide_timing(),
+                                                                 "%(schedule)s"     => $self -> slide_schedule(%{$schedule}),
+                                                                 "%(link)s"         => $self -> slide_link($link ? $link -> to_literal : undef),
                                                                });
             push(@slides, { "slide"     => $slide,
                             "duplicate" => $self -> {"duplicate"} // 1,
+                            "timestamp" => $timestamp -> epoch(),
+                            "headline"  => $title -> to_literal,
                           }
                 )
         }
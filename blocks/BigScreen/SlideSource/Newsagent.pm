@@ -114,6 +114,20 @@ sub _image_only {
 # ============================================================================
 #  Interface methods
 
+## @method $ arguments()
+# Newsagent sources need the URL of the feed to fetch, in addition to the
+# common arguments.
+#
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self = shift;
+
+    return [ { "name" => "url", "type" => "url", "required" => 1, "help" => "{L_MANAGE_ARG_NEWSAGENT_URL}" },
+             @{$self -> SUPER::arguments()}
+           ];
+}
+
+
 sub generate_slides {
     my $self = shift;
 
@@ -135,6 +149,7 @@ sub generate_slides {
         my ($author)  = $item -> findnodes('./author');
         my ($avatar)  = $item -> findnodes('./newsagent:gravatar');
         my ($image)   = $item -> findnodes('(./newsagent:images/newsagent:image[@type=\'article\'])[1]');
+        my ($link)    = $item -> findnodes('./link');
 
         # Convert the avatar to an image tag
         my $slide_avatar = $self -> {"template"} -> load_template("slideshow/avatar.tem",
@@ -145,15 +160,18 @@ sub generate_slides {
 
         my $slide_content;
 
+        # Articles may set their own schedule, overriding the source's
+        my ($body, $schedule) = $self -> item_schedule($desc -> to_literal);
+
         # Is this an image-only slide?
-        my $imgbody = $self -> _image_only($desc -> to_literal, $item);
+        my $imgbody = $self -> _image_only($body, $item);
         if($imgbody) {
             $slide_content = $self -> {"template"} -> load_template("slideshow/content-noimage.tem",
                                                                     {"%(content)s" => $imgbody });
         } else {
             my $image_mode = $image ? "slideshow/content-image.tem" : "slideshow/content-noimage.tem";
             $slide_content = $self -> {"template"} -> load_template($image_mode,
-                                                                    {"%(content)s" => $self -> _strip_summary($desc -> to_literal),
+                                                                    {"%(content)s" => $self -> _strip_summary($body),
                                                                      "%(url)s"     => $image ? $image -> getAttribute('src') : undef });
         }
 
@@ -170,9 +188,15 @@ sub generate_slides {
                                                              "%(slide-avatar)s" => $slide_avatar,
                                                              "%(content)s"      => $slide_content,
                                                              "%(type)s"         => $self -> determine_type($slide_content),
+                                                             "%(timing)s"       => $self -> slide_timing(),
+                                                             "%(schedule)s"     => $self -> slide_schedule(%{$schedule}),
+                                                             "%(link)s"         => $self -> slide_link($link ? $link -> to_literal : undef),
                                                            });
         push(@slides, { "slide"     => $slide,
                         "duplicate" => $self -> {"duplicate"} // 1,
+                        "timestamp" => $timestamp -> epoch(),
+                        "itemid"    => $aid -> to_literal,
+                        "headline"  => $title -> to_literal,
                       }
             );
     }
@@ -90,6 +90,20 @@ sub _newsagent_to_datetime {
 # ============================================================================
 #  Interface methods
 
+## @method $ arguments()
+# Newsletter sources need the URL of the feed to fetch, in addition to the
+# common arguments.
+#
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self = shift;
+
+    return [ { "name" => "url", "type" => "url", "required" => 1, "help" => "{L_MANAGE_ARG_NEWSLETTER_URL}" },
+             @{$self -> SUPER::arguments()}
+           ];
+}
+
+
 sub generate_slides {
     my $self = shift;
 
@@ -106,6 +120,7 @@ sub generate_slides {
 
         # Pull out the bits of the item we're interesed in
         my ($desc)    = $item -> findnodes('./description');
+        my ($link)    = $item -> findnodes('./link');
 
         my $parser = HTML::TreeBuilder -> new();
         $parser -> parse_content($desc -> to_literal);
@@ -128,6 +143,11 @@ sub generate_slides {
                                                                       {"%(url)s" => $src });
 
             my $id = $title -> attr('id');
+
+            # Articles are anchored within the newsletter by their title
+            my $url = $link ? $link -> to_literal : undef;
+            $url .= "#$id" if($url && $id);
+
             $id =~ s/article-//;
 
             # And now create the slide
@@ -141,9 +161,14 @@ sub generate_slides {
                                                                  "%(slide-avatar)s" => $slide_avatar,
                                                                  "%(content)s"      => $content -> as_HTML(),
                                                                  "%(type)s"         => $self -> determine_type("1234"),
+                                                                 "%(timing)s"       => $self -> slide_timing(),
+                                                                 "%(schedule)s"     => $self -> slide_schedule(),
+                                                                 "%(link)s"         => $self -> slide_link($url),
                                                                });
             push(@slides, { "slide"     => $slide,
                                 "duplicate" => $self -> {"duplicate"} // 1,
+                                "timestamp" => $timestamp -> epoch(),
+                                "headline"  => $title -> as_text(),
                  }
                 );
         }
@@ -24,6 +24,7 @@ use experimental 'smartmatch';
 use base qw(BigScreen::SlideSource);
 use Net::Twitter::Lite::WithAPIv1_1;
 use DateTime::Format::CLDR;
+use HTML::Entities;
 use v5.12;
 
 # ============================================================================
@@ -79,6 +80,24 @@ sub _twitter_to_datetime {
 # ============================================================================
 #  Interface methods
 
+## @method $ arguments()
+# Twitter sources need the account name to show, and the API credentials to
+# fetch its timeline with. Only recent tweets are shown by default.
+#
+# @return A reference to an array of argument hashes.
+sub arguments {
+    my $self = shift;
+
+    return [ { "name" => "account",         "type" => "text", "required" => 1, "help" => "{L_MANAGE_ARG_TWITTER_ACCOUNT}", "pattern" => '@?\w{1,15}' },
+             { "name" => "consumer_key",    "type" => "text", "required" => 1, "help" => "{L_MANAGE_ARG_TWITTER_CKEY}" },
+             { "name" => "consumer_secret", "type" => "text", "required" => 1, "help" => "{L_MANAGE_ARG_TWITTER_CSECRET}" },
+             { "name" => "access_token",    "type" => "text", "required" => 1, "help" => "{L_MANAGE_ARG_TWITTER_TOKEN}" },
+             { "name" => "token_secret",    "type" => "text", "required" => 1, "help" => "{L_MANAGE_ARG_TWITTER_TSECRET}" },
+             @{$self -> SUPER::arguments(maxage => 1)}
+           ];
+}
+
+
 sub generate_slides {
     my $self = shift;
 
@@ -87,6 +106,7 @@ sub generate_slides {
                                                          access_token        => $self -> {"access_token"},
                                                          access_token_secret => $self -> {"token_secret"},
                                                          ssl                 => 1,
+                                                         useragent_args      => { timeout => $self -> fetch_timeout() },
                                                          wrap_result         => 1);
 
     my $results = eval { $twitter -> user_timeline({ tweet_mode => "extended", # extended mode includes media in the results
@@ -98,7 +118,8 @@ sub generate_slides {
         my $timestamp = $self -> _twitter_to_datetime($status -> {"created_at"});
         last unless($self -> in_age_limit($timestamp));
 
-        my $text = "<p>".( $status -> {"retweeted_status"} -> {"full_text"} || $status -> {"full_text"} )."</p>";
+        my $tweet = $status -> {"retweeted_status"} -> {"full_text"} || $status -> {"full_text"};
+        my $text  = "<p>$tweet</p>";
 
         # Expand URLs...
         my $urls = $status-> {"retweeted_status"} -> {"entities"} -> {"urls"} || $status -> {"entities"} -> {"urls"};
@@ -134,9 +155,15 @@ sub generate_slides {
                                                                "%(byline)s"       => $byline,
                                                                "%(content)s"      => $content,
                                                                "%(type)s"         => $self -> determine_type($text),
+                                                               "%(timing)s"       => $self -> slide_timing(),
+                                                               "%(schedule)s"     => $self -> slide_schedule(),
+                                                               "%(link)s"         => $self -> slide_link("https://twitter.com/".$status -> {"user"} -> {"screen_name"}."/status/".$status -> {"id"}),
                                                              });
         push(@slides, { "slide"     => $slide,
                         "duplicate" => $self -> {"duplicate"} // 1,
+                        "timestamp" => $timestamp -> epoch(),
+                        "itemid"    => $status -> {"id"},
+                        "headline"  => decode_entities($tweet),
                       }
             );
     }
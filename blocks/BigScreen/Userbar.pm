@@ -74,6 +74,14 @@ sub block_display {
                                                          fullurl  => 1,
                                                          pathinfo => [],
                                                          params   => {}),
+                 "%(url-alerts)s"  => $self -> build_url(block    => "alerts",
+                                                         fullurl  => 1,
+                                                         pathinfo => [],
+                                                         params   => {}),
+                 "%(url-layouts)s" => $self -> build_url(block    => "layouts",
+                                                         fullurl  => 1,
+                                                         pathinfo => [],
+                                                         params   => {}),
     };
 
     my ($userprofile, $sidemenu);
@@ -520,6 +520,36 @@ sub api_response {
 }
 
 
+## @method void download_response($content, $type, $filename)
+# Send the specified content to the client as a file to be saved, rather
+# than as a page. This function will not return.
+#
+# @param content  A string containing the content of the file.
+# @param type     The MIME type of the file.
+# @param filename The name the client should suggest saving the file as.
+sub download_response {
+    my $self     = shift;
+    my $content  = shift;
+    my $type     = shift;
+    my $filename = shift;
+
+    print $self -> {"cgi"} -> header(-type       => $type,
+                                     -charset    => 'utf-8',
+                                     -attachment => $filename);
+    print Encode::encode_utf8($content);
+
+    $self -> {"template"} -> set_module_obj(undef);
+    $self -> {"messages"} -> set_module_obj(undef);
+    $self -> {"system"} -> clear() if($self -> {"system"});
+    $self -> {"session"} -> {"auth"} -> {"app"} -> set_system(undef) if($self -> {"session"} -> {"auth"} -> {"app"});
+
+    $self -> {"dbh"} -> disconnect();
+    $self -> {"logger"} -> end_log();
+
+    exit;
+}
+
+
 ## @method $ api_token_login()
 # Determine whether the client has sent an API token as part of the http request, and
 # if so establish whether the key is valid and corresponds to a user in the system.
@@ -27,6 +27,7 @@ use parent qw(Webperl::System);
 
 use BigScreen::System::Metadata;
 use BigScreen::System::Roles;
+use BigScreen::System::Tags;
 
 
 ## @method $ init(%args)
@@ -64,6 +65,11 @@ sub init {
                                                       metadata => $self -> {"metadata"})
         or return $self -> self_error("Roles system init failed: ".$Webperl::SystemModule::errstr);
 
+    $self -> {"tags"} = BigScreen::System::Tags -> new(dbh      => $self -> {"dbh"},
+                                                    settings => $self -> {"settings"},
+                                                    logger   => $self -> {"logger"},
+                                                    metadata => $self -> {"metadata"})
+        or return $self -> self_error("Tags system init failed: ".$Webperl::SystemModule::errstr);
 
     return 1;
 }
@@ -0,0 +1,172 @@
+# @file
+# This file contains the implementation of the emergency alerts class
+#
+# @author  Chris Page &lt;chris@starforge.co.uk&gt;
+#
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+#
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+#
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+## @class
+# Emergency alerts replace the slides on every big screen with a single
+# message until they expire or are cleared. Alerts are never deleted, so
+# the alerts table also serves as a log of who raised and cleared them.
+package BigScreen::System::Alerts;
+
+use strict;
+use experimental 'smartmatch';
+use parent qw(BigScreen);
+use v5.12;
+
+
+# ============================================================================
+#  Constructor
+
+## @cmethod $ new(%args)
+# Overloaded constructor for the Alerts.
+#
+# @param args A hash of values to initialise the object with.
+# @return A reference to a new BigScreen::System::Alerts object on success, undef on error.
+sub new {
+    my $invocant = shift;
+    my $class    = ref($invocant) || $invocant;
+    my $self     = $class -> SUPER::new(severities => [ "info", "warning", "critical" ],
+                                        @_)
+        or return undef;
+
+    return $self;
+}
+
+
+# ============================================================================
+#  Interface
+
+## @method $ create_alert($userid, $message, $severity, $expires)
+# Raise a new alert. The alert will be shown on the big screens as soon as
+# they next check for alerts, until it expires or is cleared.
+#
+# @param userid   The ID of the user raising the alert.
+# @param message  The message to show on the screens.
+# @param severity The severity of the alert, see the severities constructor
+#                 argument for the supported values.
+# @param expires  The time the alert should expire, in seconds since the epoch.
+# @return The ID of the new alert on success, undef on error.
+sub create_alert {
+    my $self     = shift;
+    my $userid   = shift;
+    my $message  = shift;
+    my $severity = shift;
+    my $expires  = shift;
+
+    $self -> clear_error();
+
+    return $self -> self_error("No alert message specified")
+        unless($message);
+
+    return $self -> self_error("Unsupported alert severity '$severity'")
+        unless($severity && $severity ~~ $self -> {"severities"});
+
+    return $self -> self_error("The alert expiry time must be in the future")
+        unless($expires && $expires =~ /^\d+$/ && $expires > time());
+
+    my $newh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"alerts"}."`
+                                            (`message`, `severity`, `created`, `expires`, `raised_by`)
+                                            VALUES(?, ?, UNIX_TIMESTAMP(), ?, ?)");
+    my $rows = $newh -> execute($message, $severity, $expires, $userid);
+    return $self -> self_error("Unable to create alert: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Alert insert failed, no rows inserted") if($rows eq "0E0");
+
+    return $self -> {"dbh"} -> {"mysql_insertid"};
+}
+
+
+## @method $ clear_alert($id, $userid)
+# Clear the specified alert before it expires, returning the screens to their
+# normal slides.
+#
+# @param id     The ID of the alert to clear.
+# @param userid The ID of the user clearing the alert.
+# @return true on success, undef on error.
+sub clear_alert {
+    my $self   = shift;
+    my $id     = shift;
+    my $userid = shift;
+
+    $self -> clear_error();
+
+    my $clearh = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"alerts"}."`
+                                              SET `cleared` = UNIX_TIMESTAMP(), `cleared_by` = ?
+                                              WHERE `id` = ?
+                                              AND `cleared` IS NULL
+                                              AND `expires` > UNIX_TIMESTAMP()");
+    my $rows = $clearh -> execute($userid, $id);
+    return $self -> self_error("Unable to clear alert: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Alert $id does not exist, or is no longer active") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ get_current_alert()
+# Fetch the alert that should currently be shown on the screens. If more than
+# one alert is active, the most severe is shown, and the most recent of those.
+#
+# @return A reference to the alert hash on success, an empty hash if there is
+#         no active alert, or undef on error.
+sub get_current_alert {
+    my $self = shift;
+
+    $self -> clear_error();
+
+    my $alerth = $self -> {"dbh"} -> prepare("SELECT `id`, `message`, `severity`, `created`, `expires`
+                                              FROM `".$self -> {"settings"} -> {"database"} -> {"alerts"}."`
+                                              WHERE `cleared` IS NULL
+                                              AND `expires` > UNIX_TIMESTAMP()
+                                              ORDER BY FIELD(`severity`, ".join(", ", map { "?" } @{$self -> {"severities"}}).") DESC, `created` DESC
+                                              LIMIT 1");
+    $alerth -> execute(@{$self -> {"severities"}})
+        or return $self -> self_error("Unable to fetch current alert: ".$self -> {"dbh"} -> errstr());
+
+    return $alerth -> fetchrow_hashref() || {};
+}
+
+
+## @method $ get_alerts($count)
+# Fetch the most recently raised alerts, including those that have expired or
+# been cleared.
+#
+# @param count The maximum number of alerts to fetch, defaults to 50.
+# @return A reference to an array of alert hashes, newest first, on success,
+#         undef on error. Each alert has an `active` flag set if it has not
+#         yet expired or been cleared.
+sub get_alerts {
+    my $self  = shift;
+    my $count = shift || 50;
+
+    $self -> clear_error();
+
+    my $alerth = $self -> {"dbh"} -> prepare("SELECT *
+                                              FROM `".$self -> {"settings"} -> {"database"} -> {"alerts"}."`
+                                              ORDER BY `created` DESC
+                                              LIMIT ?");
+    $alerth -> execute($count)
+        or return $self -> self_error("Unable to fetch alerts: ".$self -> {"dbh"} -> errstr());
+
+    my $alerts = $alerth -> fetchall_arrayref({});
+    foreach my $alert (@{$alerts}) {
+        $alert -> {"active"} = (!$alert -> {"cleared"} && $alert -> {"expires"} > time()) ? 1 : 0;
+    }
+
+    return $alerts;
+}
+
+1;
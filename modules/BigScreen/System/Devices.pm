@@ -27,6 +27,9 @@ use Webperl::Utils qw(path_join);
 use Text::Sprintf::Named qw(named_sprintf);
 use File::Path qw(make_path);
 use Net::Ping::External qw(ping);
+use DateTime;
+use JSON;
+use HTML::Entities;
 
 
 # ============================================================================
@@ -44,8 +47,15 @@ sub new {
                                         running   => "/usr/bin/ssh -p%(port)s %(user)s\@%(ipaddr)s 'ps -ef | grep kiosk | grep -v grep'",
                                         screencap => "/usr/bin/ssh -p%(port)s %(user)s\@%(ipaddr)s '%(cmd)s' > %(outfile)s",
                                         thumb     => "/usr/bin/convert %(source)s -resize 240x180 %(dest)s",
+                                        keepshot  => "/usr/bin/convert %(source)s -resize 960x720 -quality 80 %(dest)s",
+                                        greyscale => "/usr/bin/convert %(source)s -colorspace Gray -resize %(size)s! -depth 8 gray:-",
                                         pishot    => "/usr/bin/raspi2png -c 8 -s",
                                         reboot    => "/usr/bin/ssh -p%(port)s %(user)s\@%(ipaddr)s 'sudo reboot &' 2>&1",
+                                        power     => "/usr/bin/ssh -p%(port)s %(user)s\@%(ipaddr)s 'tvservice -s' 2>&1",
+                                        screen    => "/usr/bin/ssh -p%(port)s %(user)s\@%(ipaddr)s 'sudo /home/pi/screen.sh %(state)s' 2>&1",
+                                        weekdays  => [ "mon", "tue", "wed", "thu", "fri", "sat", "sun" ],
+                                        commands  => [ "goto", "next", "previous", "pause", "resume", "reload" ],
+                                        checkexpire => 300,
                                         @_)
         or return undef;
 
@@ -122,38 +132,380 @@ sub get_device_byname {
 }
 
 
-## @method $ get_device_status(id)
+## @method $ get_device_byip($ipaddr)
+# Given an IP address, fetch the stored information about the device using
+# that address. If more than one device has the address (which should not
+# happen), only the first one is returned.
+#
+# @param ipaddr The IP address of the device to fetch.
+# @return A reference to a hash containing the device data, or undef if no
+#         device has the address or an error occurred.
+sub get_device_byip {
+    my $self   = shift;
+    my $ipaddr = shift;
+
+    $self -> clear_error();
+
+    my $devh = $self -> {"dbh"} -> prepare("SELECT *
+                                            FROM `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                            WHERE `ipaddr` = ?
+                                            ORDER BY `id`
+                                            LIMIT 1");
+    $devh -> execute($ipaddr)
+        or return $self -> self_error("Unable to fetch device information: ".$self -> {"dbh"} -> errstr());
+
+    return $devh -> fetchrow_hashref();
+}
+
+
+## @method $ find_device($name, $ipaddr)
+# Work out which device a slideshow is running on. If the slideshow was given
+# a device name, the device with that name is used, otherwise the device is
+# looked up by the address the request came from.
+#
+# @param name   The name of the device, if known.
+# @param ipaddr The IP address the request came from.
+# @return A reference to a hash containing the device data, or undef if the
+#         device could not be identified or an error occurred.
+sub find_device {
+    my $self   = shift;
+    my $name   = shift;
+    my $ipaddr = shift;
+
+    return $self -> get_device_byname($name)
+        if($name && $name =~ /^\w+$/);
+
+    return $self -> get_device_byip($ipaddr)
+        if($ipaddr);
+
+    return undef;
+}
+
+
+## @method $ get_device_tags($device)
+# Fetch the names of the tags set for the specified device. These determine
+# which slide sources the device shows: see
+# BigScreen::System::SlideSource::get_playlist_sources().
+#
+# @param device A reference to a hash containing the device information.
+# @return A reference to an array of tag names, sorted alphabetically, on
+#         success. undef on error.
+sub get_device_tags {
+    my $self   = shift;
+    my $device = shift;
+
+    $self -> clear_error();
+
+    return $self -> {"system"} -> {"tags"} -> get_tag_names($device -> {"metadata_id"})
+        || $self -> self_error("Unable to fetch device tags: ".$self -> {"system"} -> {"tags"} -> errstr());
+}
+
+
+## @method $ set_device_tags($id, $tags, $userid)
+# Set the tags for the specified device, changing the playlist it shows.
+#
+# @param id     The ID of the device to set the tags for.
+# @param tags   A reference to an array of tag names. Any tags set for the
+#               device that are not in the list are removed.
+# @param userid The ID of the user setting the tags.
+# @return true on success, undef on error.
+sub set_device_tags {
+    my $self   = shift;
+    my $id     = shift;
+    my $tags   = shift;
+    my $userid = shift;
+
+    my $device = $self -> get_device($id)
+        or return $self -> self_error($self -> errstr() || "Unknown device $id");
+
+    # Devices added before tagging was supported need a metadata context
+    my $metadataid = $device -> {"metadata_id"} || $self -> _create_device_metadata($id)
+        or return undef;
+
+    $self -> {"system"} -> {"tags"} -> set_tags($metadataid, $tags, $userid)
+        or return $self -> self_error("Unable to set device tags: ".$self -> {"system"} -> {"tags"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ update_device($id, $values)
+# Update the settings for the specified device. Only the settings present in
+# the values hash are changed, and only `description`, `ipaddr`, `port`,
+# `powerschedule`, and `layout_id` may be updated this way. The values must
+# be validated by the caller.
+#
+# @param id     The ID of the device to update.
+# @param values A reference to a hash containing the new settings.
+# @return true on success, undef on error.
+sub update_device {
+    my $self   = shift;
+    my $id     = shift;
+    my $values = shift;
+
+    $self -> clear_error();
+
+    my @fields = grep { exists($values -> {$_}) } ("description", "ipaddr", "port", "powerschedule", "layout_id");
+    return $self -> self_error("No device settings to update")
+        unless(scalar(@fields));
+
+    # The power schedule is stored as JSON, and removing it turns scheduling off
+    $values = { %{$values}, "powerschedule" => $values -> {"powerschedule"} ? encode_json($values -> {"powerschedule"}) : undef }
+        if(exists($values -> {"powerschedule"}));
+
+    my $update = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                              SET ".join(", ", map { "`$_` = ?" } @fields)."
+                                              WHERE `id` = ?");
+    $update -> execute((map { $values -> {$_} } @fields), $id)
+        or return $self -> self_error("Unable to update device information: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ delete_device($id, $userid)
+# Remove the specified device, its status history, its last heartbeat, its
+# screenshot history, its tags, and any commands sent to it, from the system.
+#
+# @param id     The ID of the device to delete.
+# @param userid The ID of the user deleting the device.
+# @return true on success, undef on error.
+sub delete_device {
+    my $self   = shift;
+    my $id     = shift;
+    my $userid = shift;
+
+    $self -> clear_error();
+
+    my $device = $self -> get_device($id)
+        or return $self -> self_error($self -> errstr() || "Unknown device $id");
+
+    if($device -> {"metadata_id"}) {
+        $self -> {"system"} -> {"tags"} -> set_tags($device -> {"metadata_id"}, [], $userid)
+            or return $self -> self_error("Unable to remove device tags: ".$self -> {"system"} -> {"tags"} -> errstr());
+
+        $self -> {"system"} -> {"metadata"} -> detach($device -> {"metadata_id"})
+            or return $self -> self_error("Unable to release device metadata: ".$self -> {"system"} -> {"metadata"} -> errstr());
+    }
+
+    my $histh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"devicehistory"}."`
+                                             WHERE `device_id` = ?");
+    $histh -> execute($id)
+        or return $self -> self_error("Unable to remove device status history: ".$self -> {"dbh"} -> errstr());
+
+    my $beath = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"heartbeats"}."`
+                                             WHERE `device_id` = ?");
+    $beath -> execute($id)
+        or return $self -> self_error("Unable to remove device heartbeat: ".$self -> {"dbh"} -> errstr());
+
+    my $cmdh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"devicecommands"}."`
+                                            WHERE `device_id` = ?");
+    $cmdh -> execute($id)
+        or return $self -> self_error("Unable to remove device commands: ".$self -> {"dbh"} -> errstr());
+
+    $self -> _prune_screenshots($device, 0)
+        or return undef;
+
+    my $nukeh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                             WHERE `id` = ?");
+    my $rows = $nukeh -> execute($id);
+    return $self -> self_error("Unable to remove device: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Device removal failed: no rows deleted") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ get_device_status($id, $maxage)
 # Obtain the status indicators for the specified device. This will attempt
 # to determine whethet the device is powered up, responding, showing the
-# big screen display, and grab a screenshot of its display.
+# big screen display, and grab a screenshot of its display. Checking a device
+# is slow, so if it was checked within the last `maxage` seconds, or another
+# check of it is still under way, the status recorded by the last check is
+# returned instead. A check is considered abandoned after the number of
+# seconds set in the checkexpire constructor argument.
 #
-# @param id The ID of the device to fetch the status data for.
-# @return A reference to a hash containing the device status indicators.
+# @param id     The ID of the device to fetch the status data for.
+# @param maxage The number of seconds the recorded status may be reused for.
+#               If this is 0, the device is checked unless a check is under way.
+# @return A reference to a hash containing the device status indicators, and
+#         the time they were `checked`, or an empty hash if the device has
+#         never been checked.
 sub get_device_status {
-    my $self = shift;
-    my $id   = shift;
-    my $status;
+    my $self   = shift;
+    my $id     = shift;
+    my $maxage = shift // 0;
 
     my $device = $self -> get_device($id)
         or return undef;
 
-    $self -> log("devices:status", "Checking device: ".$device -> {"name"});
+    return $self -> _recorded_status($device)
+        if($maxage && ($device -> {"checked"} // 0) > time() - $maxage);
 
-    $status -> {"alive"}   = $self -> _check_alive($device -> {"ipaddr"}, $device -> {"port"})
-        or return {};
+    # Only one check of a device may run at a time, as checks share its screenshot files
+    my $claimh = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                              SET `checking` = UNIX_TIMESTAMP()
+                                              WHERE `id` = ?
+                                              AND (`checking` IS NULL OR `checking` < ?)");
+    my $rows = $claimh -> execute($id, time() - $self -> {"checkexpire"});
+    return $self -> self_error("Unable to start device check: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> _recorded_status($device) if($rows eq "0E0");
 
-    $status -> {"working"} = $self -> _check_working($device -> {"ipaddr"}, $device -> {"port"}, $device -> {"username"})
-        or return $status;
+    $self -> log("devices:status", "Checking device: ".$device -> {"name"});
 
-    $status -> {"running"} = $self -> _check_running($device -> {"ipaddr"}, $device -> {"port"}, $device -> {"username"})
-        or return $status;
+    my $status = $self -> _check_status($device);
+    $status -> {"checked"} = time();
 
-    $status -> {"screen"} = $self -> _fetch_screenshot($device, $device -> {"port"});
+    # Failing to record the status shouldn't prevent it from being reported
+    my $doneh = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                             SET `checking` = NULL, `checked` = ?, `status` = ?
+                                             WHERE `id` = ?");
+    $self -> log("devices:status", "Unable to store status: ".$self -> {"dbh"} -> errstr())
+        unless($doneh -> execute($status -> {"checked"}, encode_json($status), $id));
+
+    $self -> log("devices:status", "Unable to record status: ".$self -> errstr())
+        unless($self -> record_device_status($device -> {"id"}, $status));
 
     return $status;
 }
 
 
+## @method $ record_device_status($id, $status)
+# Add the specified status to the status history for the device, and remove
+# any entries in the history that are older than the history period.
+#
+# @param id     The ID of the device to record the status for.
+# @param status A reference to a hash containing the device status indicators.
+# @return true on success, undef on error.
+sub record_device_status {
+    my $self   = shift;
+    my $id     = shift;
+    my $status = shift;
+
+    $self -> clear_error();
+
+    my $addh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"devicehistory"}."`
+                                            (`device_id`, `checked`, `alive`, `working`, `running`)
+                                            VALUES(?, UNIX_TIMESTAMP(), ?, ?, ?)");
+    $addh -> execute($id, $status -> {"alive"} ? 1 : 0, $status -> {"working"} ? 1 : 0, $status -> {"running"} ? 1 : 0)
+        or return $self -> self_error("Unable to record device status: ".$self -> {"dbh"} -> errstr());
+
+    my $pruneh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"devicehistory"}."`
+                                              WHERE `device_id` = ?
+                                              AND `checked` < ?");
+    $pruneh -> execute($id, time() - $self -> _history_period())
+        or return $self -> self_error("Unable to prune device status history: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ get_device_history($id, $slots)
+# Fetch the status history for the specified device. The history period is
+# divided into the specified number of equally sized slots, and the state of
+# the device during each slot is summarised as one of 'up' (all status checks
+# passed), 'degraded' (the device was powered but not fully working), 'down'
+# (the device was not responding), or 'unknown' (the device was not checked).
+# If the device was checked more than once during a slot, the worst state wins.
+#
+# @param id    The ID of the device to fetch the history for.
+# @param slots The number of slots to divide the history period into.
+# @return A reference to an array of slot hashes, oldest first, each containing
+#         the `start` time of the slot and the `state` of the device.
+sub get_device_history {
+    my $self  = shift;
+    my $id    = shift;
+    my $slots = shift || 48;
+
+    $self -> clear_error();
+
+    my $period = $self -> _history_period();
+    my $start  = time() - $period;
+
+    my $histh = $self -> {"dbh"} -> prepare("SELECT `checked`, `alive`, `working`, `running`
+                                             FROM `".$self -> {"settings"} -> {"database"} -> {"devicehistory"}."`
+                                             WHERE `device_id` = ?
+                                             AND `checked` >= ?
+                                             ORDER BY `checked`");
+    $histh -> execute($id, $start)
+        or return $self -> self_error("Unable to fetch device status history: ".$self -> {"dbh"} -> errstr());
+
+    my %rank = ( "unknown" => 0, "up" => 1, "degraded" => 2, "down" => 3 );
+    my @history = map { { "start" => int($start + (($_ * $period) / $slots)), "state" => "unknown" } } (0 .. $slots - 1);
+
+    while(my $check = $histh -> fetchrow_hashref()) {
+        my $slot = int((($check -> {"checked"} - $start) * $slots) / $period);
+        $slot = $slots - 1 if($slot >= $slots);
+
+        my $state = !$check -> {"alive"} ? "down" :
+                    ($check -> {"working"} && $check -> {"running"}) ? "up" : "degraded";
+
+        $history[$slot] -> {"state"} = $state
+            if($rank{$state} > $rank{$history[$slot] -> {"state"}});
+    }
+
+    return \@history;
+}
+
+
+## @method $ get_screen_history($device)
+# Fetch the screenshots kept for the specified device, so that the devices
+# page can step through what the screen has shown recently.
+#
+# @param device A reference to a hash containing the device information.
+# @return A reference to an array of screenshot hashes, oldest first, each
+#         containing the time the screenshot was `taken`, the URL of the
+#         `image`, whether the screen was `blank`, and whether it had
+#         `changed` since the previous screenshot. undef on error.
+sub get_screen_history {
+    my $self   = shift;
+    my $device = shift;
+
+    $self -> clear_error();
+
+    my $shots = $self -> _get_screenshots($device -> {"id"})
+        or return undef;
+
+    my $distance = $self -> _screen_distance();
+    my @history  = ();
+    my $previous;
+    foreach my $shot (reverse(@{$shots})) {
+        push(@history, { "taken"   => $shot -> {"taken"},
+                         "image"   => path_join($self -> {"settings"} -> {"config"} -> {"Devices:webdir"}, $device -> {"name"}, "history", $shot -> {"image"}),
+                         "blank"   => $shot -> {"blank"} ? 1 : 0,
+                         "changed" => (!$previous || _hash_distance($previous -> {"phash"}, $shot -> {"phash"}) > $distance) ? 1 : 0 });
+        $previous = $shot;
+    }
+
+    return \@history;
+}
+
+
+## @method $ get_screen_text($status)
+# Generate the text describing whether the screen of a device is changing
+# as the slideshow runs, based on the last status check.
+#
+# @param status A reference to the device status hash.
+# @return A string describing the state of the screen.
+sub get_screen_text {
+    my $self   = shift;
+    my $status = shift;
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_SCREEN_UNKNOWN")
+        unless($status -> {"screen"});
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_SCREEN_BLANK")
+        if($status -> {"blank"});
+
+    if($status -> {"frozen"}) {
+        my $since = DateTime -> from_epoch(epoch => $status -> {"frozen"}, time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"});
+        return $self -> {"template"} -> replace_langvar("MANAGE_DEV_SCREEN_FROZEN", { "%(time)s" => $since -> strftime("%a %H:%M") });
+    }
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_SCREEN_OK");
+}
+
+
 ## @method $ reboot_device($device)
 # Reboot the device specified.
 #
@@ -179,6 +531,380 @@ sub reboot_device {
 }
 
 
+## @method $ record_heartbeat($id, $heartbeat)
+# Store the latest heartbeat sent by the slideshow running on the specified
+# device. Only the most recent heartbeat for each device is kept.
+#
+# @param id        The ID of the device the heartbeat came from.
+# @param heartbeat A reference to a hash containing the `slide` id and `title`
+#                  of the slide being shown, the number of slides (`count`), the
+#                  time the slides were last `loaded`, whether the slideshow is
+#                  `paused` by remote control or showing an `alert`, and a
+#                  reference to an array of recent script `errors`. The values
+#                  must be validated by the caller.
+# @return true on success, undef on error.
+sub record_heartbeat {
+    my $self      = shift;
+    my $id        = shift;
+    my $heartbeat = shift;
+
+    $self -> clear_error();
+
+    my $beath = $self -> {"dbh"} -> prepare("REPLACE INTO `".$self -> {"settings"} -> {"database"} -> {"heartbeats"}."`
+                                             (`device_id`, `received`, `slide_id`, `slide_title`, `slide_count`, `loaded`, `paused`, `alert`, `errors`)
+                                             VALUES(?, UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?, ?)");
+    $beath -> execute($id, $heartbeat -> {"slide"}, $heartbeat -> {"title"}, $heartbeat -> {"count"}, $heartbeat -> {"loaded"},
+                      $heartbeat -> {"paused"} ? 1 : 0, $heartbeat -> {"alert"} ? 1 : 0, encode_json($heartbeat -> {"errors"} // []))
+        or return $self -> self_error("Unable to record device heartbeat: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ get_heartbeat($id)
+# Fetch the latest heartbeat sent by the slideshow on the specified device.
+# The heartbeat is considered stale if it is older than the number of seconds
+# set in the `Devices:heartbeatstale` setting (default 300).
+#
+# @param id The ID of the device to fetch the heartbeat for.
+# @return A reference to a hash containing the heartbeat on success, or an
+#         empty hash if the device has not sent a heartbeat. undef on error.
+sub get_heartbeat {
+    my $self = shift;
+    my $id   = shift;
+
+    $self -> clear_error();
+
+    my $beath = $self -> {"dbh"} -> prepare("SELECT `received`, `slide_id`, `slide_title`, `slide_count`, `loaded`, `paused`, `alert`, `errors`
+                                             FROM `".$self -> {"settings"} -> {"database"} -> {"heartbeats"}."`
+                                             WHERE `device_id` = ?");
+    $beath -> execute($id)
+        or return $self -> self_error("Unable to fetch device heartbeat: ".$self -> {"dbh"} -> errstr());
+
+    my $beat = $beath -> fetchrow_hashref()
+        or return {};
+
+    my $stale = $self -> {"settings"} -> {"config"} -> {"Devices:heartbeatstale"} || 300;
+
+    return { "received" => $beat -> {"received"},
+             "slide"    => { "id"    => $beat -> {"slide_id"},
+                             "title" => $beat -> {"slide_title"} },
+             "count"    => $beat -> {"slide_count"},
+             "loaded"   => $beat -> {"loaded"},
+             "paused"   => $beat -> {"paused"} ? 1 : 0,
+             "alert"    => $beat -> {"alert"} ? 1 : 0,
+             "errors"   => eval { decode_json($beat -> {"errors"} // "[]") } // [],
+             "stale"    => ($beat -> {"received"} < time() - $stale) ? 1 : 0 };
+}
+
+
+## @method $ get_heartbeat_text($heartbeat)
+# Generate the text describing the latest heartbeat from a device.
+#
+# @param heartbeat A reference to the heartbeat hash for the device, as
+#                  returned by get_heartbeat().
+# @return A string describing what the device is showing, or when it was
+#         last heard from.
+sub get_heartbeat_text {
+    my $self      = shift;
+    my $heartbeat = shift;
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_HEARTBEAT_NONE")
+        unless($heartbeat -> {"received"});
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_HEARTBEAT_OK", { "%(title)s" => encode_entities($heartbeat -> {"slide"} -> {"title"} || $heartbeat -> {"slide"} -> {"id"}) })
+        unless($heartbeat -> {"stale"});
+
+    my $received = DateTime -> from_epoch(epoch => $heartbeat -> {"received"}, time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"});
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_HEARTBEAT_STALE", { "%(time)s" => $received -> strftime("%a %H:%M") });
+}
+
+
+## @method $ get_playlist_text($tags, $sources)
+# Generate the text describing the playlist a device shows.
+#
+# @param tags    A reference to an array of the tags set for the device.
+# @param sources A reference to an array of the slide sources in the device's
+#                playlist.
+# @return A string describing the playlist.
+sub get_playlist_text {
+    my $self    = shift;
+    my $tags    = shift;
+    my $sources = shift;
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_PLAYLIST_ALL", { "%(count)s" => scalar(@{$sources}) })
+        unless(scalar(@{$tags}));
+
+    return $self -> {"template"} -> replace_langvar(scalar(@{$sources}) ? "MANAGE_DEV_PLAYLIST" : "MANAGE_DEV_PLAYLIST_EMPTY",
+                                                    { "%(tags)s"  => encode_entities(join(", ", @{$tags})),
+                                                      "%(count)s" => scalar(@{$sources}) });
+}
+
+
+## @method $ queue_command($id, $command, $argument)
+# Queue a command to be sent to the slideshow running on the specified device.
+# The slideshow polls for commands, so this will not take effect immediately;
+# the command's status can be checked with get_command().
+#
+# @param id       The ID of the device to send the command to.
+# @param command  The command to send. See the commands constructor argument
+#                 for the supported commands.
+# @param argument The argument for the command. For `goto` this is the ID of
+#                 the slide to show; other commands do not take an argument.
+# @return The ID of the new command on success, undef on error.
+sub queue_command {
+    my $self     = shift;
+    my $id       = shift;
+    my $command  = shift;
+    my $argument = shift;
+
+    $self -> clear_error();
+
+    return $self -> self_error("Unsupported command '$command'")
+        unless($command && $command ~~ $self -> {"commands"});
+
+    return $self -> self_error("The goto command requires a slide ID")
+        if($command eq "goto" && !$argument);
+
+    my $queueh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"devicecommands"}."`
+                                              (`device_id`, `command`, `argument`, `created`, `status`)
+                                              VALUES(?, ?, ?, UNIX_TIMESTAMP(), 'pending')");
+    my $rows = $queueh -> execute($id, $command, $command eq "goto" ? $argument : undef);
+    return $self -> self_error("Unable to queue device command: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Device command insert failed, no rows inserted") if($rows eq "0E0");
+
+    return $self -> {"dbh"} -> {"mysql_insertid"};
+}
+
+
+## @method $ get_pending_commands($id)
+# Fetch the commands waiting to be sent to the slideshow on the specified
+# device, oldest first, and mark them as sent. Commands that have been waiting
+# longer than the Devices:commandexpire setting are never sent, as they are
+# unlikely to still be wanted.
+#
+# @param id The ID of the device to fetch the commands for.
+# @return A reference to an array of command hashes on success, undef on error.
+sub get_pending_commands {
+    my $self = shift;
+    my $id   = shift;
+
+    $self -> clear_error();
+
+    my $cmdh = $self -> {"dbh"} -> prepare("SELECT `id`, `command`, `argument`, `created`
+                                            FROM `".$self -> {"settings"} -> {"database"} -> {"devicecommands"}."`
+                                            WHERE `device_id` = ?
+                                            AND `status` = 'pending'
+                                            AND `created` >= ?
+                                            ORDER BY `id`");
+    $cmdh -> execute($id, time() - $self -> _command_expire())
+        or return $self -> self_error("Unable to fetch device commands: ".$self -> {"dbh"} -> errstr());
+
+    my $commands = $cmdh -> fetchall_arrayref({});
+
+    my $sendh = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devicecommands"}."`
+                                             SET `status` = 'sent', `sent` = UNIX_TIMESTAMP()
+                                             WHERE `id` = ?");
+    foreach my $command (@{$commands}) {
+        $sendh -> execute($command -> {"id"})
+            or return $self -> self_error("Unable to update device command: ".$self -> {"dbh"} -> errstr());
+    }
+
+    return $commands;
+}
+
+
+## @method $ ack_command($id, $cmdid, $status, $message)
+# Record whether the slideshow on the specified device was able to carry out
+# a command sent to it.
+#
+# @param id      The ID of the device the command was sent to.
+# @param cmdid   The ID of the command to acknowledge.
+# @param status  The result of the command, either 'done' or 'failed'.
+# @param message An optional message describing the result.
+# @return true on success, undef on error.
+sub ack_command {
+    my $self    = shift;
+    my $id      = shift;
+    my $cmdid   = shift;
+    my $status  = shift;
+    my $message = shift;
+
+    $self -> clear_error();
+
+    return $self -> self_error("Illegal command status '$status'")
+        unless($status && $status =~ /^(done|failed)$/);
+
+    my $ackh = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devicecommands"}."`
+                                            SET `status` = ?, `message` = ?, `acked` = UNIX_TIMESTAMP()
+                                            WHERE `id` = ? AND `device_id` = ?");
+    my $rows = $ackh -> execute($status, $message, $cmdid, $id);
+    return $self -> self_error("Unable to acknowledge device command: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Unknown command $cmdid for device $id") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ get_command($id, $cmdid)
+# Fetch the specified command sent to a device. If no command ID is given, the
+# most recent command sent to the device is returned. The status of commands
+# that have not been acknowledged within the Devices:commandexpire time is
+# reported as 'expired'.
+#
+# @param id    The ID of the device the command was sent to.
+# @param cmdid The ID of the command to fetch, or undef for the latest command.
+# @return A reference to the command hash on success, an empty hash if there
+#         is no matching command, or undef on error.
+sub get_command {
+    my $self  = shift;
+    my $id    = shift;
+    my $cmdid = shift;
+
+    $self -> clear_error();
+
+    my $cmdh = $self -> {"dbh"} -> prepare("SELECT `id`, `command`, `argument`, `created`, `status`, `message`, `acked`
+                                            FROM `".$self -> {"settings"} -> {"database"} -> {"devicecommands"}."`
+                                            WHERE `device_id` = ?".
+                                            ($cmdid ? " AND `id` = ?" : "")."
+                                            ORDER BY `id` DESC
+                                            LIMIT 1");
+    $cmdh -> execute($id, $cmdid ? ($cmdid) : ())
+        or return $self -> self_error("Unable to fetch device command: ".$self -> {"dbh"} -> errstr());
+
+    my $command = $cmdh -> fetchrow_hashref()
+        or return {};
+
+    $command -> {"status"} = "expired"
+        if($command -> {"status"} =~ /^(pending|sent)$/ && $command -> {"created"} < time() - $self -> _command_expire());
+
+    return $command;
+}
+
+
+## @method $ get_command_text($command)
+# Generate the text describing a command sent to a device, and its status.
+#
+# @param command A reference to the command hash, as returned by get_command().
+# @return A string describing the command, or an empty string if there is no
+#         command.
+sub get_command_text {
+    my $self    = shift;
+    my $command = shift;
+
+    return "" unless($command -> {"id"});
+
+    my $name = $self -> {"template"} -> replace_langvar("MANAGE_DEV_CMD_".uc($command -> {"command"}),
+                                                        { "%(argument)s" => encode_entities($command -> {"argument"} // "") });
+
+    return $self -> {"template"} -> replace_langvar("MANAGE_DEV_COMMAND_".uc($command -> {"status"}),
+                                                    { "%(command)s" => $name,
+                                                      "%(message)s" => encode_entities($command -> {"message"} // "") });
+}
+
+
+## @method $ get_power_schedule($device)
+# Obtain the power schedule set for the specified device. The schedule is a
+# hash that may contain `days`, a hash of day names (`mon` to `sun`) to hashes
+# containing the `on` and `off` times for that day as `HH:MM`, and `holidays`,
+# an array of dates (`YYYY-MM-DD`) or date ranges (`YYYY-MM-DD/YYYY-MM-DD`)
+# on which the screen should stay off. Days with no times set are off all day.
+#
+# @param device A reference to a hash containing the device information.
+# @return A reference to the schedule hash, or undef if the device has no
+#         power schedule.
+sub get_power_schedule {
+    my $self   = shift;
+    my $device = shift;
+
+    return undef unless($device -> {"powerschedule"});
+
+    my $schedule = eval { decode_json($device -> {"powerschedule"}) };
+    if($@ || ref($schedule) ne "HASH") {
+        $self -> log("devices:power", "Ignoring unparseable power schedule for ".$device -> {"name"}.": $@");
+        return undef;
+    }
+
+    return $schedule;
+}
+
+
+## @method $ get_power_state($device)
+# Work out whether the screen on the specified device should currently be on
+# or off, based on its power schedule and any manual override.
+#
+# @param device A reference to a hash containing the device information.
+# @return A reference to a hash containing the `state` the screen should be in,
+#         the `scheduled` state, the `override` state if one is in effect, the
+#         time `until` which the override applies, and the time of the `next`
+#         scheduled change. Times are in seconds since the epoch, and may be
+#         undef if there is no limit or no change is scheduled.
+sub get_power_state {
+    my $self   = shift;
+    my $device = shift;
+
+    my ($scheduled, $next) = $self -> _scheduled_power_state($self -> get_power_schedule($device), time());
+
+    my $override;
+    $override = $device -> {"poweroverride"}
+        if($device -> {"poweroverride"} && (!$device -> {"poweruntil"} || $device -> {"poweruntil"} > time()));
+
+    return { "state"     => $override // $scheduled,
+             "scheduled" => $scheduled,
+             "override"  => $override,
+             "until"     => $override ? $device -> {"poweruntil"} : undef,
+             "next"      => $next };
+}
+
+
+## @method $ set_device_power($id, $state)
+# Switch the screen on the specified device on or off. Once the screen has
+# been switched, the new state is kept as an override of the power schedule
+# until the next scheduled change. If the schedule never changes the state of
+# the screen, or the device has no schedule, the override lasts for the
+# number of hours set in the `Devices:overridehours` setting (default 12).
+#
+# @param id    The ID of the device to switch the screen on or off on.
+# @param state The state to set the screen to, either 'on' or 'off'.
+# @return true on success, undef on error.
+sub set_device_power {
+    my $self  = shift;
+    my $id    = shift;
+    my $state = shift;
+
+    $self -> clear_error();
+
+    return $self -> self_error("Illegal power state '$state'")
+        unless($state && $state =~ /^(on|off)$/);
+
+    my $device = $self -> get_device($id)
+        or return undef;
+
+    my $powercmd = named_sprintf($self -> {"screen"}, { "ipaddr" => $device -> {"ipaddr"},
+                                                        "port"   => $device -> {"port"},
+                                                        "user"   => $device -> {"username"},
+                                                        "state"  => $state });
+    my $result = `$powercmd`;
+    $self -> log("devices:power", "Power $state, response: $result");
+
+    return $self -> self_error("Screen power change failed. Response: '$result'")
+        unless($result =~ /Switched Screen/i);
+
+    # No override is needed if the schedule already wants the screen in this state
+    my ($scheduled, $next) = $self -> _scheduled_power_state($self -> get_power_schedule($device), time());
+    my $override = $scheduled eq $state ? undef : $state;
+    my $until    = $next // time() + (($self -> {"settings"} -> {"config"} -> {"Devices:overridehours"} || 12) * 3600);
+
+    my $update = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                              SET `poweroverride` = ?, `poweruntil` = ?
+                                              WHERE `id` = ?");
+    $update -> execute($override, $override ? $until : undef, $id)
+        or return $self -> self_error("Unable to update device power state: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
 ## @method $ set_device_ip($device, $ipaddr)
 # Set the IP address for the device. This will update the IP address for
 # the device with the specified ID.
@@ -206,6 +932,119 @@ sub set_device_ip {
 # ============================================================================
 #  Internals
 
+## @method private $ _history_period()
+# Determine how far back the device status history should go.
+#
+# @return The length of the status history period, in seconds.
+sub _history_period {
+    my $self = shift;
+
+    return ($self -> {"settings"} -> {"config"} -> {"Devices:historyhours"} || 24) * 3600;
+}
+
+
+## @method private $ _command_expire()
+# Determine how long commands sent to devices remain valid for.
+#
+# @return The number of seconds a command may wait to be carried out.
+sub _command_expire {
+    my $self = shift;
+
+    return $self -> {"settings"} -> {"config"} -> {"Devices:commandexpire"} || 300;
+}
+
+
+## @method private $ _create_device_metadata($id)
+# Create the metadata context used to attach tags to the specified device.
+# The device holds a reference to the context, so that it is kept even when
+# the device has no tags.
+#
+# @param id The ID of the device to create the context for.
+# @return The ID of the new metadata context on success, undef on error.
+sub _create_device_metadata {
+    my $self = shift;
+    my $id   = shift;
+
+    my $metadataid = $self -> {"system"} -> {"metadata"} -> create($self -> {"system"} -> {"roles"} -> {"root_context"})
+        or return $self -> self_error("Unable to create device metadata: ".$self -> {"system"} -> {"metadata"} -> errstr());
+
+    $self -> {"system"} -> {"metadata"} -> attach($metadataid)
+        or return $self -> self_error("Unable to attach to device metadata: ".$self -> {"system"} -> {"metadata"} -> errstr());
+
+    my $seth = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                            SET `metadata_id` = ?
+                                            WHERE `id` = ?");
+    $seth -> execute($metadataid, $id)
+        or return $self -> self_error("Unable to set device metadata: ".$self -> {"dbh"} -> errstr());
+
+    return $metadataid;
+}
+
+
+## @method private $ _check_status($device)
+# Run the status checks on the specified device. The checks are run in
+# order, and later checks are skipped if an earlier one fails.
+#
+# @param device A reference to a hash containing the device information
+# @return A reference to a hash containing the device status indicators.
+sub _check_status {
+    my $self   = shift;
+    my $device = shift;
+    my $status;
+
+    $status -> {"alive"}   = $self -> _check_alive($device -> {"ipaddr"}, $device -> {"port"})
+        or return {};
+
+    $status -> {"working"} = $self -> _check_working($device -> {"ipaddr"}, $device -> {"port"}, $device -> {"username"})
+        or return $status;
+
+    # The screen being off doesn't stop the other checks from working
+    $status -> {"power"}   = $self -> _check_power($device -> {"ipaddr"}, $device -> {"port"}, $device -> {"username"});
+
+    $status -> {"running"} = $self -> _check_running($device -> {"ipaddr"}, $device -> {"port"}, $device -> {"username"})
+        or return $status;
+
+    $status -> {"screen"} = $self -> _fetch_screenshot($device, $device -> {"port"});
+
+    # Compare the screen with the recent screenshots to catch displays that
+    # have stopped changing, or show nothing, while everything else looks fine
+    if($status -> {"screen"}) {
+        my $check = $self -> _check_screen($device);
+        if($check) {
+            $status -> {"frozen"} = $check -> {"frozen"};
+            $status -> {"blank"}  = $check -> {"blank"};
+        } else {
+            $self -> log("devices:screen", "Screen check failed: ".$self -> errstr());
+        }
+    }
+
+    return $status;
+}
+
+
+## @method private $ _recorded_status($device)
+# Fetch the status recorded by the last check of the specified device.
+#
+# @param device A reference to a hash containing the device information.
+# @return A reference to a hash containing the device status indicators, and
+#         the time they were `checked`, or an empty hash if the device has
+#         never been checked.
+sub _recorded_status {
+    my $self   = shift;
+    my $device = shift;
+
+    return {} unless($device -> {"status"});
+
+    my $status = eval { decode_json($device -> {"status"}) };
+    if($@ || ref($status) ne "HASH") {
+        $self -> log("devices:status", "Unable to decode recorded status for ".$device -> {"name"}.": $@");
+        return {};
+    }
+
+    return $status;
+}
+
+
 ## @method private $ _check_alive($ipaddr)
 # Determine whether the device at the specified IP address is alive. This
 # will try to ping the device and return true if it responds. Note that
@@ -281,6 +1120,105 @@ sub _check_running {
 }
 
 
+## @method private $ _check_power($ipaddr, $port, $username)
+# Determine whether the screen attached to the device is switched on.
+#
+# @param ipaddr The IP address (or hostname) of the device to check.
+# @param port   The port to use for ssh.
+# @return true if the screen is on, false otherwise.
+sub _check_power {
+    my $self     = shift;
+    my $ipaddr   = shift;
+    my $port     = shift;
+    my $username = shift;
+
+    my $checkcmd = named_sprintf($self -> {"power"}, { "ipaddr" => $ipaddr,
+                                                       "port"   => $port,
+                                                       "user"   => $username });
+    my $result = `$checkcmd`;
+
+    $self -> log("devices:power", "Power check, response: $result");
+
+    return ($result =~ /^state / && $result !~ /TV is off/);
+}
+
+
+## @method private @ _scheduled_power_state($schedule, $time)
+# Work out whether the power schedule says the screen should be on or off at
+# the specified time, and when that will next change.
+#
+# @param schedule A reference to the power schedule hash, or undef if there
+#                 is no schedule, in which case the screen is always on.
+# @param time     The time to check, in seconds since the epoch.
+# @return The state the screen should be in, and the time of the next change
+#         in seconds since the epoch (or undef if it will not change).
+sub _scheduled_power_state {
+    my $self     = shift;
+    my $schedule = shift;
+    my $time     = shift;
+
+    return ("on", undef) unless($schedule);
+
+    my $now   = DateTime -> from_epoch(epoch => $time, time_zone => $self -> {"settings"} -> {"config"} -> {"time_zone"});
+    my $state = $self -> _schedule_state_at($schedule, $now);
+
+    # The state can only change at midnight, or at one of the on or off times, so
+    # check those for the next couple of weeks to find the next change.
+    my $day = $now -> clone() -> truncate(to => "day");
+    for(my $offset = 0; $offset < 14; ++$offset) {
+        my @points = ( $day -> clone() );
+
+        my $times = $schedule -> {"days"} -> {$self -> {"weekdays"} -> [$day -> day_of_week() - 1]};
+        foreach my $change ($times ? ($times -> {"on"}, $times -> {"off"}) : ()) {
+            my ($hour, $minute) = $change =~ /^(\d\d):(\d\d)$/
+                or next;
+
+            # Times that do not exist because of a clock change are skipped
+            my $point = eval { $day -> clone() -> set(hour => $hour, minute => $minute) };
+            push(@points, $point) if($point);
+        }
+
+        foreach my $point (sort { $a <=> $b } @points) {
+            next unless($point > $now);
+
+            return ($state, $point -> epoch())
+                if($self -> _schedule_state_at($schedule, $point) ne $state);
+        }
+
+        $day -> add(days => 1);
+    }
+
+    return ($state, undef);
+}
+
+
+## @method private $ _schedule_state_at($schedule, $when)
+# Determine whether the power schedule says the screen should be on or off
+# at the specified time.
+#
+# @param schedule A reference to the power schedule hash.
+# @param when     A DateTime object representing the time to check.
+# @return 'on' if the screen should be on, 'off' if it should be off.
+sub _schedule_state_at {
+    my $self     = shift;
+    my $schedule = shift;
+    my $when     = shift;
+
+    my $date = $when -> ymd();
+    foreach my $holiday (@{$schedule -> {"holidays"} // []}) {
+        my ($start, $end) = split(m|/|, $holiday);
+
+        return "off" if($date ge $start && $date le ($end // $start));
+    }
+
+    my $times = $schedule -> {"days"} -> {$self -> {"weekdays"} -> [$when -> day_of_week() - 1]}
+        or return "off";
+
+    my $time = $when -> strftime("%H:%M");
+    return ($time ge $times -> {"on"} && $time lt $times -> {"off"}) ? "on" : "off";
+}
+
+
 ## @method private $ _fetch_screenshot($device)
 # Invoke a command on the device to take a screenshot, and generate a
 # scaled-down version to show on the status page.
@@ -323,5 +1261,281 @@ sub _fetch_screenshot {
     return 1;
 }
 
+## @method private $ _check_screen($device)
+# Work out whether the screen of the specified device has stopped changing,
+# or is blank, by comparing the latest screenshot with the screenshots taken
+# during earlier status checks. Screenshots are compared using a perceptual
+# hash, so that small changes like the slide timer do not count as the screen
+# changing. The screen is frozen if it has not changed for longer than any
+# slide may be shown for (see _longest_delay()), over at least the number of
+# checks in a row set in the `Devices:frozenchecks` setting (default 3), and
+# blank if it is entirely black or white. A screen is never frozen if its latest
+# heartbeat shows the slideshow is meant to be still: paused by remote
+# control, showing an alert, or with only one slide to show.
+#
+# The latest screenshot is added to the screenshot history, which keeps the
+# number of screenshots set in the `Devices:screenhistory` setting (default 12).
+#
+# @param device A reference to a hash containing the device information.
+# @return A reference to a hash containing `frozen`, the time the screen
+#         last changed if it is frozen or 0 if it is not, and `blank`, true
+#         if the screen is blank. undef on error.
+sub _check_screen {
+    my $self   = shift;
+    my $device = shift;
+
+    $self -> clear_error();
+
+    my $outpath = path_join($self -> {"settings"} -> {"config"} -> {"Devices:basedir"}, $device -> {"name"});
+    my $pngsrc  = path_join($outpath, "full.png");
+
+    my $hash = $self -> _screen_hash($pngsrc)
+        or return undef;
+
+    my $blank = $self -> _screen_blank($pngsrc);
+    return undef unless(defined($blank));
+
+    # Keep a smaller copy of the screenshot for the history
+    my $histpath = path_join($outpath, "history");
+    eval { make_path($histpath); };
+    return $self -> self_error("Unable to create screenshot history directory: $@")
+        if($@);
+
+    # Status checks may overlap, so the time alone does not make the name unique
+    my $taken = time();
+    my $image = sprintf("%d-%06d.jpg", $taken, int(rand(1000000)));
+
+    my $keepcmd = named_sprintf($self -> {"keepshot"}, { "source" => $pngsrc,
+                                                        "dest"   => path_join($histpath, $image) });
+    my $result = `$keepcmd 2>&1`;
+    $self -> log("devices:screen", "Screenshot keep, response: $result");
+
+    return $self -> self_error("Screenshot history conversion failed: $result")
+        if($result);
+
+    my $addh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"devicescreens"}."`
+                                            (`device_id`, `taken`, `phash`, `blank`, `image`)
+                                            VALUES(?, ?, ?, ?, ?)");
+    $addh -> execute($device -> {"id"}, $taken, $hash, $blank, $image)
+        or return $self -> self_error("Unable to record device screenshot: ".$self -> {"dbh"} -> errstr());
+
+    $self -> _prune_screenshots($device, $self -> {"settings"} -> {"config"} -> {"Devices:screenhistory"} || 12)
+        or return undef;
+
+    my $shots = $self -> _get_screenshots($device -> {"id"})
+        or return undef;
+
+    # Work back through the history to find when the screen last changed
+    my $distance  = $self -> _screen_distance();
+    my $since     = $taken;
+    my $unchanged = 0;
+    foreach my $shot (@{$shots}) {
+        last if(_hash_distance($hash, $shot -> {"phash"}) > $distance);
+        $since = $shot -> {"taken"};
+        ++$unchanged;
+    }
+
+    my $heartbeat = $self -> get_heartbeat($device -> {"id"})
+        or return undef;
+
+    my $still = $heartbeat -> {"received"} && !$heartbeat -> {"stale"} &&
+                ($heartbeat -> {"paused"} || $heartbeat -> {"alert"} || ($heartbeat -> {"count"} // 0) <= 1);
+
+    # Checks can land on the same slide by chance, so one unchanged check is not enough
+    my $checks = $self -> {"settings"} -> {"config"} -> {"Devices:frozenchecks"} || 3;
+    my $frozen = !$still && $unchanged >= $checks && $taken - $since > $self -> _longest_delay();
+
+    return { "frozen" => $frozen ? $since : 0,
+             "blank"  => $blank };
+}
+
+
+## @method private $ _screen_pixels($source, $width, $height)
+# Reduce the specified image to a small greyscale version, and fetch the
+# values of its pixels.
+#
+# @param source The path to the image to reduce.
+# @param width  The width to reduce the image to.
+# @param height The height to reduce the image to.
+# @return A reference to an array of pixel values, from 0 (black) to 255
+#         (white), row by row. undef on error.
+sub _screen_pixels {
+    my $self   = shift;
+    my $source = shift;
+    my $width  = shift;
+    my $height = shift;
+
+    my $greycmd = named_sprintf($self -> {"greyscale"}, { "source" => $source,
+                                                         "size"   => $width."x".$height });
+    my $pixels = `$greycmd`;
+
+    return $self -> self_error("Screenshot greyscale conversion failed")
+        unless(defined($pixels) && length($pixels) == $width * $height);
+
+    return [ unpack("C*", $pixels) ];
+}
+
+
+## @method private $ _screen_hash($source)
+# Calculate the perceptual hash of the specified screenshot. This is a
+# difference hash: the image is reduced to 9x8 greyscale pixels, and each
+# bit of the hash records whether a pixel is brighter than the one to its
+# right.
+#
+# @param source The path to the screenshot to hash.
+# @return A string containing the hash as 16 hex digits, or undef on error.
+sub _screen_hash {
+    my $self   = shift;
+    my $source = shift;
+
+    my $pixels = $self -> _screen_pixels($source, 9, 8)
+        or return undef;
+
+    my $bits = "";
+    for(my $row = 0; $row < 8; ++$row) {
+        for(my $col = 0; $col < 8; ++$col) {
+            my $pos = ($row * 9) + $col;
+            $bits .= ($pixels -> [$pos] > $pixels -> [$pos + 1]) ? "1" : "0";
+        }
+    }
+
+    return unpack("H16", pack("B64", $bits));
+}
+
+
+## @method private $ _screen_blank($source)
+# Determine whether the specified screenshot is blank: almost entirely
+# black, or almost entirely white.
+#
+# @param source The path to the screenshot to check.
+# @return 1 if the screenshot is blank, 0 if it is not, or undef on error.
+sub _screen_blank {
+    my $self   = shift;
+    my $source = shift;
+
+    my $pixels = $self -> _screen_pixels($source, 32, 32)
+        or return undef;
+
+    my ($min, $max) = (255, 0);
+    foreach my $pixel (@{$pixels}) {
+        $min = $pixel if($pixel < $min);
+        $max = $pixel if($pixel > $max);
+    }
+
+    return (($max - $min) <= 16 && ($max <= 24 || $min >= 231)) ? 1 : 0;
+}
+
+
+## @method private $ _longest_delay()
+# Work out the longest time, in seconds, that any slide may stay on screen.
+# This is the longest of the slideshow's `Orbit:maxDelay` and
+# `Orbit:maxMediaDelay` settings, and the delays set by the enabled slide
+# sources in their `delay`, `maxdelay`, and `duration` arguments.
+#
+# @return The longest delay in seconds.
+sub _longest_delay {
+    my $self = shift;
+
+    my @delays = ( $self -> {"settings"} -> {"config"} -> {"Orbit:maxDelay"} // 10,
+                   $self -> {"settings"} -> {"config"} -> {"Orbit:maxMediaDelay"} // 300 );
+
+    # Not knowing the sources' delays shouldn't stop the check, it just makes it less accurate
+    my $sources = $self -> {"module"} -> load_module("BigScreen::System::SlideSource");
+    my $sourcelist = $sources ? $sources -> get_slide_sources() : undef;
+    if($sourcelist) {
+        foreach my $source (@{$sourcelist}) {
+            push(@delays, grep { defined($_) } map { ($source -> {"args"} -> {$_} // "") =~ /^\s*(\d+(?:\.\d+)?)\s*$/ } ("delay", "maxdelay", "duration"));
+        }
+    } else {
+        $self -> log("devices:screen", "Unable to fetch slide source delays: ".($sources ? $sources -> errstr() : $self -> {"module"} -> errstr()));
+    }
+
+    my $longest = 0;
+    foreach my $delay (@delays) {
+        $longest = $delay if($delay > $longest);
+    }
+
+    return $longest;
+}
+
+
+## @method private $ _screen_distance()
+# Determine how many bits the perceptual hashes of two screenshots may
+# differ by while still being treated as showing the same thing.
+#
+# @return The maximum hash distance, from the `Devices:screendistance`
+#         setting (default 4).
+sub _screen_distance {
+    my $self = shift;
+
+    return $self -> {"settings"} -> {"config"} -> {"Devices:screendistance"} // 4;
+}
+
+
+## @fn private $ _hash_distance($hasha, $hashb)
+# Count the number of bits that differ between two perceptual hashes.
+#
+# @param hasha The first hash, as a string of hex digits.
+# @param hashb The second hash, as a string of hex digits.
+# @return The number of bits that differ.
+sub _hash_distance {
+    my $hasha = shift // "";
+    my $hashb = shift // "";
+
+    return unpack("%32b*", pack("H16", $hasha) ^ pack("H16", $hashb));
+}
+
+
+## @method private $ _get_screenshots($id)
+# Fetch the screenshot history records for the specified device.
+#
+# @param id The ID of the device to fetch the screenshots for.
+# @return A reference to an array of screenshot hashes, newest first, on
+#         success. undef on error.
+sub _get_screenshots {
+    my $self = shift;
+    my $id   = shift;
+
+    my $shoth = $self -> {"dbh"} -> prepare("SELECT `id`, `taken`, `phash`, `blank`, `image`
+                                             FROM `".$self -> {"settings"} -> {"database"} -> {"devicescreens"}."`
+                                             WHERE `device_id` = ?
+                                             ORDER BY `taken` DESC, `id` DESC");
+    $shoth -> execute($id)
+        or return $self -> self_error("Unable to fetch device screenshots: ".$self -> {"dbh"} -> errstr());
+
+    return $shoth -> fetchall_arrayref({});
+}
+
+
+## @method private $ _prune_screenshots($device, $keep)
+# Remove all but the most recent screenshots, and their images, from the
+# screenshot history for the specified device.
+#
+# @param device A reference to a hash containing the device information.
+# @param keep   The number of screenshots to keep.
+# @return true on success, undef on error.
+sub _prune_screenshots {
+    my $self   = shift;
+    my $device = shift;
+    my $keep   = shift;
+
+    my $shots = $self -> _get_screenshots($device -> {"id"})
+        or return undef;
+
+    my @old = splice(@{$shots}, $keep);
+    return 1 unless(scalar(@old));
+
+    # Checks may overlap, so several screenshots can share a time; only remove these ones
+    my $pruneh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"devicescreens"}."`
+                                              WHERE `id` IN (".join(", ", map { "?" } @old).")");
+    $pruneh -> execute(map { $_ -> {"id"} } @old)
+        or return $self -> self_error("Unable to prune device screenshots: ".$self -> {"dbh"} -> errstr());
+
+    my $histpath = path_join($self -> {"settings"} -> {"config"} -> {"Devices:basedir"}, $device -> {"name"}, "history");
+    unlink(map { path_join($histpath, $_ -> {"image"}) } @old);
+
+    return 1;
+}
+
 
 1;
\ No newline at end of file
@@ -0,0 +1,389 @@
+# @file
+# This file contains the implementation of the screen layouts class
+#
+# @author  Chris Page &lt;chris@starforge.co.uk&gt;
+#
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+#
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+#
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+## @class
+# Layouts divide the slideshow page into named zones that run independently
+# of each other. Every layout is based on one of the arrangements set in the
+# constructor, which determines the zones it contains and where they are
+# placed (see the slideshow/layouts/ templates). The zone types are:
+#
+# - `main`: the main slideshow, showing the playlist for the device.
+# - `carousel`: a secondary slideshow showing the slides from one source.
+# - `ticker`: a scrolling line of headlines from the items in one source.
+# - `clock`: the current time and date.
+#
+# Layouts record which slide source feeds each of the `carousel` and `ticker`
+# zones in their arrangement. Devices that have not been given a layout use
+# the `fullscreen` arrangement, which only contains the main slideshow.
+package BigScreen::System::Layouts;
+
+use strict;
+use experimental 'smartmatch';
+use parent qw(BigScreen);
+use v5.12;
+use JSON;
+
+
+# ============================================================================
+#  Constructor
+
+## @cmethod $ new(%args)
+# Overloaded constructor for the Layouts.
+#
+# @param args A hash of values to initialise the object with.
+# @return A reference to a new BigScreen::System::Layouts object on success, undef on error.
+sub new {
+    my $invocant = shift;
+    my $class    = ref($invocant) || $invocant;
+    my $self     = $class -> SUPER::new(arrangements => { "fullscreen" => [ "main" ],
+                                                          "ticker"     => [ "main", "ticker" ],
+                                                          "sidebar"    => [ "main", "clock", "side" ],
+                                                          "dashboard"  => [ "main", "clock", "side", "ticker" ],
+                                        },
+                                        zonetypes    => { "main"   => "main",
+                                                          "clock"  => "clock",
+                                                          "side"   => "carousel",
+                                                          "ticker" => "ticker",
+                                        },
+                                        headlinelen  => 200,
+                                        @_)
+        or return undef;
+
+    return $self;
+}
+
+
+# ============================================================================
+#  Interface
+
+## @method $ get_arrangements()
+# Obtain the names of the arrangements layouts may be based on.
+#
+# @return A reference to a sorted array of arrangement names.
+sub get_arrangements {
+    my $self = shift;
+
+    return [ sort keys(%{$self -> {"arrangements"}}) ];
+}
+
+
+## @method $ get_zones($arrangement)
+# Obtain the zones in the specified arrangement, and their types.
+#
+# @param arrangement The name of the arrangement to fetch the zones for.
+# @return A reference to an array of hashes containing the `name` and `type`
+#         of each zone, or undef if the arrangement does not exist.
+sub get_zones {
+    my $self        = shift;
+    my $arrangement = shift;
+
+    my $zones = $self -> {"arrangements"} -> {$arrangement}
+        or return $self -> self_error("Unknown layout arrangement '$arrangement'");
+
+    return [ map { { "name" => $_, "type" => $self -> {"zonetypes"} -> {$_} } } @{$zones} ];
+}
+
+
+## @method $ get_feed_zones($arrangement)
+# Obtain the names of the zones in the specified arrangement that show the
+# items from a slide source.
+#
+# @param arrangement The name of the arrangement to fetch the zones for. If
+#                    this is not set, the feed zones in all arrangements are
+#                    returned.
+# @return A reference to a sorted array of zone names, or undef if the
+#         arrangement does not exist.
+sub get_feed_zones {
+    my $self        = shift;
+    my $arrangement = shift;
+
+    my %zones = ();
+    foreach my $name ($arrangement ? ($arrangement) : keys(%{$self -> {"arrangements"}})) {
+        my $zonelist = $self -> get_zones($name)
+            or return undef;
+
+        $zones{$_ -> {"name"}} = 1
+            foreach(grep { $_ -> {"type"} ~~ [ "carousel", "ticker" ] } @{$zonelist});
+    }
+
+    return [ sort keys(%zones) ];
+}
+
+
+## @method $ get_layouts()
+# Fetch the list of defined layouts.
+#
+# @return A reference to an array of layout hashes on success, undef on error.
+#         The `sources` in each hash is a reference to a hash of zone names to
+#         the IDs of the slide sources that feed them, and `devices` is the
+#         number of devices using the layout.
+sub get_layouts {
+    my $self = shift;
+
+    $self -> clear_error();
+
+    my $layouth = $self -> {"dbh"} -> prepare("SELECT `l`.*, COUNT(`d`.`id`) AS `devices`
+                                               FROM `".$self -> {"settings"} -> {"database"} -> {"layouts"}."` AS `l`
+                                               LEFT JOIN `".$self -> {"settings"} -> {"database"} -> {"devices"}."` AS `d`
+                                                   ON `d`.`layout_id` = `l`.`id`
+                                               GROUP BY `l`.`id`
+                                               ORDER BY `l`.`name`, `l`.`id`");
+    $layouth -> execute()
+        or return $self -> self_error("Unable to fetch layouts: ".$self -> {"dbh"} -> errstr());
+
+    my $layouts = $layouth -> fetchall_arrayref({});
+    $self -> _decode_sources($_) foreach(@{$layouts});
+
+    return $layouts;
+}
+
+
+## @method $ get_layout($id)
+# Fetch the specified layout.
+#
+# @param id The ID of the layout to fetch.
+# @return A reference to the layout hash on success, undef on error. See
+#         get_layouts() for the contents of the hash.
+sub get_layout {
+    my $self = shift;
+    my $id   = shift;
+
+    $self -> clear_error();
+
+    my $layouth = $self -> {"dbh"} -> prepare("SELECT *
+                                               FROM `".$self -> {"settings"} -> {"database"} -> {"layouts"}."`
+                                               WHERE `id` = ?");
+    $layouth -> execute($id)
+        or return $self -> self_error("Unable to fetch layout: ".$self -> {"dbh"} -> errstr());
+
+    my $layout = $layouth -> fetchrow_hashref()
+        or return $self -> self_error("Request for unknown layout $id");
+
+    return $self -> _decode_sources($layout);
+}
+
+
+## @method $ create_layout($name, $arrangement, $sources)
+# Create a new layout.
+#
+# @param name        The name of the layout.
+# @param arrangement The name of the arrangement the layout is based on.
+# @param sources     A reference to a hash of zone names to the IDs of the
+#                    slide sources that should feed them.
+# @return The ID of the new layout on success, undef on error.
+sub create_layout {
+    my $self        = shift;
+    my $name        = shift;
+    my $arrangement = shift;
+    my $sources     = shift;
+
+    $self -> clear_error();
+
+    $sources = $self -> _check_layout($name, $arrangement, $sources)
+        or return undef;
+
+    my $newh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"layouts"}."`
+                                            (`name`, `arrangement`, `sources`)
+                                            VALUES(?, ?, ?)");
+    my $rows = $newh -> execute($name, $arrangement, encode_json($sources));
+    return $self -> self_error("Unable to create layout: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Layout insert failed, no rows inserted") if($rows eq "0E0");
+
+    return $self -> {"dbh"} -> {"mysql_insertid"};
+}
+
+
+## @method $ update_layout($id, $name, $arrangement, $sources)
+# Update the settings for the specified layout.
+#
+# @param id          The ID of the layout to update.
+# @param name        The name of the layout.
+# @param arrangement The name of the arrangement the layout is based on.
+# @param sources     A reference to a hash of zone names to the IDs of the
+#                    slide sources that should feed them.
+# @return true on success, undef on error.
+sub update_layout {
+    my $self        = shift;
+    my $id          = shift;
+    my $name        = shift;
+    my $arrangement = shift;
+    my $sources     = shift;
+
+    $self -> clear_error();
+
+    $sources = $self -> _check_layout($name, $arrangement, $sources)
+        or return undef;
+
+    my $edith = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"layouts"}."`
+                                             SET `name` = ?, `arrangement` = ?, `sources` = ?
+                                             WHERE `id` = ?");
+    my $rows = $edith -> execute($name, $arrangement, encode_json($sources), $id);
+    return $self -> self_error("Unable to update layout: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Request for unknown layout $id") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ delete_layout($id)
+# Remove the specified layout. Any devices using the layout go back to
+# showing the main slideshow on its own.
+#
+# @param id The ID of the layout to delete.
+# @return true on success, undef on error.
+sub delete_layout {
+    my $self = shift;
+    my $id   = shift;
+
+    $self -> clear_error();
+
+    my $reseth = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"devices"}."`
+                                              SET `layout_id` = NULL
+                                              WHERE `layout_id` = ?");
+    $reseth -> execute($id)
+        or return $self -> self_error("Unable to remove layout from devices: ".$self -> {"dbh"} -> errstr());
+
+    my $nukeh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"layouts"}."`
+                                             WHERE `id` = ?");
+    my $rows = $nukeh -> execute($id);
+    return $self -> self_error("Unable to delete layout: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Request for unknown layout $id") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ get_zone_content($layout, $slidesource)
+# Generate the content for the zones in the specified layout that are fed
+# by slide sources. Sources that can not be used (because they have been
+# disabled or deleted, or are failing) leave their zones empty.
+#
+# @param layout      A reference to the layout hash.
+# @param slidesource A reference to a BigScreen::System::SlideSource object
+#                    to generate the slides with.
+# @return A reference to a hash of zone names to the zone content. Carousel
+#         zones contain a reference to an array of slide HTML fragments, and
+#         ticker zones a reference to an array of plain-text headlines.
+sub get_zone_content {
+    my $self        = shift;
+    my $layout      = shift;
+    my $slidesource = shift;
+
+    my $zones = $self -> get_feed_zones($layout -> {"arrangement"})
+        or return {};
+
+    my $content = {};
+    foreach my $zone (@{$zones}) {
+        $content -> {$zone} = [];
+
+        my $sourceid = $layout -> {"sources"} -> {$zone}
+            or next;
+
+        my $slides = $slidesource -> get_source_slides($sourceid);
+        if(!$slides) {
+            $self -> log("layouts", "Unable to fill zone $zone in layout ".$layout -> {"id"}.": ".$slidesource -> errstr());
+            next;
+        }
+
+        if($self -> {"zonetypes"} -> {$zone} eq "ticker") {
+            $content -> {$zone} = [ map { $self -> _slide_headline($_) } @{$slides} ];
+        } else {
+            $content -> {$zone} = [ map { $_ -> {"slide"} } @{$slides} ];
+        }
+    }
+
+    return $content;
+}
+
+
+# ============================================================================
+#  Internals
+
+## @method private $ _decode_sources($layout)
+# Convert the zone sources stored for the specified layout into a hash.
+#
+# @param layout A reference to the layout hash to update.
+# @return A reference to the layout hash.
+sub _decode_sources {
+    my $self   = shift;
+    my $layout = shift;
+
+    $layout -> {"sources"} = eval { decode_json($layout -> {"sources"} // "{}") };
+    if($@ || ref($layout -> {"sources"}) ne "HASH") {
+        $self -> log("layouts", "Ignoring unparseable sources for layout ".$layout -> {"id"}.": $@");
+        $layout -> {"sources"} = {};
+    }
+
+    return $layout;
+}
+
+
+## @method private $ _check_layout($name, $arrangement, $sources)
+# Check that the settings for a layout are valid. Sources set for zones that
+# are not in the arrangement are dropped.
+#
+# @param name        The name of the layout.
+# @param arrangement The name of the arrangement the layout is based on.
+# @param sources     A reference to a hash of zone names to source IDs.
+# @return A reference to a hash of the sources to store on success, undef if
+#         the settings are not valid.
+sub _check_layout {
+    my $self        = shift;
+    my $name        = shift;
+    my $arrangement = shift;
+    my $sources     = shift // {};
+
+    return $self -> self_error("No layout name specified")
+        unless($name);
+
+    my $zones = $self -> get_feed_zones($arrangement)
+        or return undef;
+
+    my $checked = {};
+    foreach my $zone (@{$zones}) {
+        next unless($sources -> {$zone});
+
+        return $self -> self_error("Illegal source ID for zone $zone")
+            unless($sources -> {$zone} =~ /^\d+$/);
+
+        $checked -> {$zone} = $sources -> {$zone};
+    }
+
+    return $checked;
+}
+
+
+## @method private $ _slide_headline($slide)
+# Obtain the headline to show for the specified slide in a ticker. This is
+# the `headline` set by the source module if there is one, otherwise the
+# start of the text in the slide.
+#
+# @param slide A reference to the slide hash.
+# @return The headline text.
+sub _slide_headline {
+    my $self  = shift;
+    my $slide = shift;
+
+    my $headline = $slide -> {"headline"} || $self -> {"template"} -> html_strip($slide -> {"slide"} // "");
+    $headline =~ s/\s+/ /g;
+    $headline =~ s/^\s+|\s+$//g;
+
+    return length($headline) > $self -> {"headlinelen"} ? substr($headline, 0, $self -> {"headlinelen"})."..." : $headline;
+}
+
+1;
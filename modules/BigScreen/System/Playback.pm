@@ -0,0 +1,184 @@
+# @file
+# This file contains the implementation of the playback log class
+#
+# @author  Chris Page &lt;chris@starforge.co.uk&gt;
+#
+# This program is free software: you can redistribute it and/or modify
+# it under the terms of the GNU General Public License as published by
+# the Free Software Foundation, either version 3 of the License, or
+# (at your option) any later version.
+#
+# This program is distributed in the hope that it will be useful,
+# but WITHOUT ANY WARRANTY; without even the implied warranty of
+# MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+# GNU General Public License for more details.
+#
+# You should have received a copy of the GNU General Public License
+# along with this program.  If not, see <http://www.gnu.org/licenses/>.
+
+## @class
+# The playback log records each time a slide is shown on a screen, and for
+# how long, as reported by the slideshow running on the device. The log is
+# summarised into per-source and per-slide screen time for the reports page.
+#
+# Durations are stored in milliseconds. The `duration` of a record is the
+# time the slide was on the screen, and `paused` is how much of that the
+# slideshow spent paused (by an alert, remote control, or similar).
+package BigScreen::System::Playback;
+
+use strict;
+use experimental 'smartmatch';
+use parent qw(BigScreen);
+use v5.12;
+
+
+# ============================================================================
+#  Interface
+
+## @method $ record_playback($deviceid, $records)
+# Store the slide displays reported by the slideshow on the specified device.
+# Once a day, this also removes old records, see prune_playback().
+#
+# @param deviceid The ID of the device the records came from.
+# @param records  A reference to an array of hashes, each containing the
+#                 `slide` id and `title` of the slide shown, the ID of the
+#                 `source` that generated it (or undef if not known), the
+#                 `start` time of the display in seconds since the epoch, and
+#                 the `duration` and `paused` time in milliseconds. The values
+#                 must be validated by the caller.
+# @return The number of records stored on success, undef on error.
+sub record_playback {
+    my $self     = shift;
+    my $deviceid = shift;
+    my $records  = shift;
+
+    $self -> clear_error();
+
+    my $newh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"playback"}."`
+                                            (`device_id`, `source_id`, `slide_id`, `slide_title`, `started`, `duration`, `paused`)
+                                            VALUES(?, ?, ?, ?, ?, ?, ?)");
+    foreach my $record (@{$records}) {
+        $newh -> execute($deviceid, $record -> {"source"}, $record -> {"slide"}, $record -> {"title"},
+                         $record -> {"start"}, $record -> {"duration"}, $record -> {"paused"})
+            or return $self -> self_error("Unable to record slide playback: ".$self -> {"dbh"} -> errstr());
+    }
+
+    my $lastprune = $self -> {"settings"} -> {"config"} -> {"Playback:lastprune"} // 0;
+    if($lastprune < time() - 86400) {
+        $self -> prune_playback()
+            or return undef;
+    }
+
+    return scalar(@{$records});
+}
+
+
+## @method $ prune_playback()
+# Remove the playback records older than the number of days set in the
+# `Playback:keepdays` setting (default 400), and note when this was done in
+# the `Playback:lastprune` setting.
+#
+# @return true on success, undef on error.
+sub prune_playback {
+    my $self = shift;
+
+    $self -> clear_error();
+
+    # Note the prune first, so other screens reporting in don't start their own
+    $self -> {"settings"} -> set_db_config("Playback:lastprune", time())
+        or return $self -> self_error("Unable to record playback prune: ".$self -> {"settings"} -> errstr());
+
+    my $keep = $self -> {"settings"} -> {"config"} -> {"Playback:keepdays"} || 400;
+    my $pruneh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"playback"}."`
+                                              WHERE `started` < ?");
+    $pruneh -> execute(time() - ($keep * 86400))
+        or return $self -> self_error("Unable to prune playback records: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ get_source_report($from, $to)
+# Summarise the screen time given to each slide source over the specified
+# period. Sources that have since been deleted are included, without a name.
+#
+# @param from The start of the period to report on, in seconds since the epoch.
+# @param to   The end of the period to report on, in seconds since the epoch.
+# @return A reference to an array of hashes, one per source, each containing
+#         the `source_id`, module `name` and `notes` of the source, the number
+#         of `displays` of its slides, the number of distinct `slides` and
+#         `devices`, and the total `duration` and `paused` time. The array is
+#         sorted by duration, longest first. undef on error.
+sub get_source_report {
+    my $self = shift;
+    my $from = shift;
+    my $to   = shift;
+
+    $self -> clear_error();
+
+    my $reporth = $self -> {"dbh"} -> prepare("SELECT `pb`.`source_id`, `sm`.`name`, `ss`.`notes`,
+                                                      COUNT(*) AS `displays`,
+                                                      COUNT(DISTINCT `pb`.`slide_id`) AS `slides`,
+                                                      COUNT(DISTINCT `pb`.`device_id`) AS `devices`,
+                                                      SUM(`pb`.`duration`) AS `duration`,
+                                                      SUM(`pb`.`paused`) AS `paused`
+                                               FROM `".$self -> {"settings"} -> {"database"} -> {"playback"}."` AS `pb`
+                                               LEFT JOIN `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."` AS `ss`
+                                                   ON `ss`.`id` = `pb`.`source_id`
+                                               LEFT JOIN `".$self -> {"settings"} -> {"database"} -> {"sourcemodules"}."` AS `sm`
+                                                   ON `sm`.`id` = `ss`.`module_id`
+                                               WHERE `pb`.`started` >= ?
+                                               AND `pb`.`started` < ?
+                                               GROUP BY `pb`.`source_id`, `sm`.`name`, `ss`.`notes`
+                                               ORDER BY `duration` DESC");
+    $reporth -> execute($from, $to)
+        or return $self -> self_error("Unable to fetch source playback report: ".$self -> {"dbh"} -> errstr());
+
+    return $reporth -> fetchall_arrayref({});
+}
+
+
+## @method $ get_slide_report($from, $to)
+# Summarise the screen time given to each slide over the specified period.
+# Slides are identified by their source and slide ID, and the title of the
+# slide is taken from the most recent display of it.
+#
+# @param from The start of the period to report on, in seconds since the epoch.
+# @param to   The end of the period to report on, in seconds since the epoch.
+# @return A reference to an array of hashes, one per slide, each containing
+#         the `source_id`, module `name` and `notes` of the source, the
+#         `slide_id` and `slide_title`, the number of `displays` and
+#         `devices`, the `first` and `last` time the slide was shown, and the
+#         total `duration` and `paused` time. The array is sorted by duration,
+#         longest first. undef on error.
+sub get_slide_report {
+    my $self = shift;
+    my $from = shift;
+    my $to   = shift;
+
+    $self -> clear_error();
+
+    my $reporth = $self -> {"dbh"} -> prepare("SELECT `pb`.`source_id`, `sm`.`name`, `ss`.`notes`, `pb`.`slide_id`,
+                                                      SUBSTRING_INDEX(GROUP_CONCAT(`pb`.`slide_title` ORDER BY `pb`.`started` DESC SEPARATOR '\\n'), '\\n', 1) AS `slide_title`,
+                                                      COUNT(*) AS `displays`,
+                                                      COUNT(DISTINCT `pb`.`device_id`) AS `devices`,
+                                                      MIN(`pb`.`started`) AS `first`,
+                                                      MAX(`pb`.`started`) AS `last`,
+                                                      SUM(`pb`.`duration`) AS `duration`,
+                                                      SUM(`pb`.`paused`) AS `paused`
+                                               FROM `".$self -> {"settings"} -> {"database"} -> {"playback"}."` AS `pb`
+                                               LEFT JOIN `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."` AS `ss`
+                                                   ON `ss`.`id` = `pb`.`source_id`
+                                               LEFT JOIN `".$self -> {"settings"} -> {"database"} -> {"sourcemodules"}."` AS `sm`
+                                                   ON `sm`.`id` = `ss`.`module_id`
+                                               WHERE `pb`.`started` >= ?
+                                               AND `pb`.`started` < ?
+                                               GROUP BY `pb`.`source_id`, `sm`.`name`, `ss`.`notes`, `pb`.`slide_id`
+                                               ORDER BY `duration` DESC");
+    $reporth -> execute($from, $to)
+        or return $self -> self_error("Unable to fetch slide playback report: ".$self -> {"dbh"} -> errstr());
+
+    return $reporth -> fetchall_arrayref({});
+}
+
+1;
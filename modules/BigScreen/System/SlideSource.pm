@@ -24,10 +24,37 @@ use experimental 'smartmatch';
 use parent qw(BigScreen);
 use JSON;
 use Digest;
+use Encode;
 use List::Util qw(shuffle);
 use DateTime;
 use v5.12;
 
+
+# ============================================================================
+#  Constructor
+
+## @cmethod $ new(%args)
+# Overloaded constructor for the SlideSource model.
+#
+# @param args A hash of values to initialise the object with.
+# @return A reference to a new BigScreen::System::SlideSource object on success, undef on error.
+sub new {
+    my $invocant = shift;
+    my $class    = ref($invocant) || $invocant;
+    my $self     = $class -> SUPER::new(orderings => [ "shuffle", "newest", "roundrobin", "weighted" ],
+                                        maxweight => 10,
+                                        modstates => [ "hidden", "pinned", "approved" ],
+                                        zonecache => 300,
+                                        @_)
+        or return undef;
+
+    return $self;
+}
+
+
+# ============================================================================
+#  Interface
+
 ## @method $ create($moduleid, $args, $notes)
 # Create a new slide source entry. This creates a new slide source with
 # the specified settings.
@@ -35,7 +62,7 @@ use v5.12;
 # @param moduleid The ID of the source module to use for this slide source
 # @param args     The arguments to pass to the slide source module
 # @param notes    Human-readable notes ot include in the manage UI
-# @return true on success, undef on error.
+# @return The ID of the new slide source on success, undef on error.
 sub create {
     my $self     = shift;
     my $moduleid = shift;
@@ -51,18 +78,32 @@ sub create {
     return $self -> self_error("Insert of source failed: ".$self -> {"dbh"} -> errstr) if(!$result);
     return $self -> self_error("No rows added when inserting source.") if($result eq "0E0");
 
-    return 1;
+    return $self -> {"dbh"} -> {"mysql_insertid"};
 }
 
 
-## @method $ delete($sourceid)
-# Remove the specified slide source from the system.
+## @method $ delete($sourceid, $userid)
+# Remove the specified slide source from the system, along with any tags
+# attached to it.
 #
 # @param sourceid The ID of the slide source to remove.
+# @param userid   The ID of the user removing the source.
 # @return true on successful removal, undef on error.
 sub delete {
     my $self     = shift;
     my $sourceid = shift;
+    my $userid   = shift;
+
+    my $source = $self -> get_slide_source($sourceid)
+        or return undef;
+
+    if($source -> {"metadata_id"}) {
+        $self -> {"system"} -> {"tags"} -> set_tags($source -> {"metadata_id"}, [], $userid)
+            or return $self -> self_error("Unable to remove slide source tags: ".$self -> {"system"} -> {"tags"} -> errstr());
+
+        $self -> {"system"} -> {"metadata"} -> detach($source -> {"metadata_id"})
+            or return $self -> self_error("Unable to release slide source metadata: ".$self -> {"system"} -> {"metadata"} -> errstr());
+    }
 
     my $nukeh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
                                              WHERE `id` = ?");
@@ -76,7 +117,9 @@ sub delete {
 
 ## @method $ update($sourceid, $moduleid, $args, $notes)
 # Update a slide source entry. This updates the settings for the specified
-# slide source with the provided values.
+# slide source with the provided values. If the source was failing, it is
+# tried again the next time slides are generated, rather than waiting for the
+# `Orbit:sourceretry` period to pass.
 #
 # @param sourceid The ID of the slide source to update
 # @param moduleid The ID of the source module to use for this slide source
@@ -93,7 +136,7 @@ sub update {
     $self -> clear_error();
 
     my $edith = $self -> {"dbh"} -> prepare("UPDATE`".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
-                                             SET `module_id` = ?, `args` = ?, `notes` = ?
+                                             SET `module_id` = ?, `args` = ?, `notes` = ?, `last_error` = NULL
                                              WHERE `id` = ?");
     my $result = $edith -> execute($moduleid, $args, $notes, $sourceid);
     return $self -> self_error("Update of source failed: ".$self -> {"dbh"} -> errstr) if(!$result);
@@ -126,6 +169,182 @@ sub set_slide_status {
 }
 
 
+## @method $ set_slide_weight($sourceid, $weight)
+# Update the weight of the specified slide source. When the slides are ordered
+# by weighted interleave, each source's share of the rotation is proportional
+# to its weight.
+#
+# @param sourceid The ID of the slide source to update
+# @param weight   The weight to set, from 1 to the maxweight constructor argument.
+# @return true on success, undef on error.
+sub set_slide_weight {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $weight   = shift;
+
+    $self -> clear_error();
+
+    return $self -> self_error("Slide source weight must be between 1 and ".$self -> {"maxweight"})
+        unless($weight && $weight =~ /^\d+$/ && $weight <= $self -> {"maxweight"});
+
+    my $weighth = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
+                                               SET `weight` = ?
+                                               WHERE `id` = ?");
+    my $rows = $weighth -> execute($weight, $sourceid);
+    return $self -> self_error("Unable to set slide source weight: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Request for unknown slide source $sourceid") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ set_slide_approval($sourceid, $required, $userid)
+# Set whether new items from the specified slide source need to be approved
+# before they are shown. When approval is turned on, the items the source is
+# currently showing are approved on behalf of the user, so that only items
+# that appear after this point need approving.
+#
+# @param sourceid The ID of the slide source to update
+# @param required True if items need to be approved, false if not.
+# @param userid   The ID of the user changing the setting.
+# @return true on success, undef on error.
+sub set_slide_approval {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $required = shift;
+    my $userid   = shift;
+
+    $self -> clear_error();
+
+    # Disabled sources are not showing anything, so there is nothing to approve
+    my $sources = $self -> get_slide_sources()
+        or return undef;
+    my ($source) = grep { $_ -> {"id"} == $sourceid } @{$sources};
+
+    if($required && $source && !$source -> {"require_approval"}) {
+        my $sets = $self -> _collect_slides([ $source ])
+            or return undef;
+
+        foreach my $slide (grep { $_ -> {"state"} eq "shown" } @{$sets -> [0] -> {"slides"}}) {
+            $self -> set_slide_moderation($sourceid, $slide -> {"key"}, "approved", $userid, $slide -> {"slide"})
+                or return undef;
+        }
+    }
+
+    my $approveh = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
+                                                SET `require_approval` = ?
+                                                WHERE `id` = ?");
+    my $rows = $approveh -> execute($required ? 1 : 0, $sourceid);
+    return $self -> self_error("Unable to set slide source approval: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Request for unknown slide source $sourceid") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ set_source_tags($sourceid, $tags, $userid)
+# Set the tags attached to the specified slide source. Screens that have been
+# given tags only show the sources that share at least one tag with them.
+#
+# @param sourceid The ID of the slide source to update
+# @param tags     A reference to an array of tag names. Any tags attached to
+#                 the source that are not in the list are removed.
+# @param userid   The ID of the user setting the tags.
+# @return true on success, undef on error.
+sub set_source_tags {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $tags     = shift;
+    my $userid   = shift;
+
+    $self -> clear_error();
+
+    my $source = $self -> get_slide_source($sourceid)
+        or return undef;
+
+    # Sources created before tagging was supported need a metadata context
+    my $metadataid = $source -> {"metadata_id"} || $self -> _create_source_metadata($sourceid)
+        or return undef;
+
+    $self -> {"system"} -> {"tags"} -> set_tags($metadataid, $tags, $userid)
+        or return $self -> self_error("Unable to set slide source tags: ".$self -> {"system"} -> {"tags"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ get_ordering()
+# Determine how the slides from the slide sources should be ordered in the
+# rotation. This will be one of the values in the orderings constructor
+# argument:
+#
+# - `shuffle`: all the slides are shuffled together, so each source's share
+#   of the rotation depends on how many slides it generates.
+# - `newest`: the most recent slides are shown first, regardless of source.
+# - `roundrobin`: the sources take turns, so each gets an equal share.
+# - `weighted`: the sources take turns in proportion to their weights.
+#
+# @return A string containing the ordering mode.
+sub get_ordering {
+    my $self = shift;
+
+    my $ordering = $self -> {"settings"} -> {"config"} -> {"Orbit:ordering"} // "";
+
+    return ($ordering ~~ $self -> {"orderings"}) ? $ordering : $self -> {"orderings"} -> [0];
+}
+
+
+## @method $ set_ordering($ordering)
+# Set how the slides from the slide sources should be ordered in the rotation.
+#
+# @param ordering The ordering mode to use, see get_ordering().
+# @return true on success, undef on error.
+sub set_ordering {
+    my $self     = shift;
+    my $ordering = shift;
+
+    $self -> clear_error();
+
+    return $self -> self_error("Unsupported slide ordering '$ordering'")
+        unless($ordering && $ordering ~~ $self -> {"orderings"});
+
+    $self -> {"settings"} -> set_db_config("Orbit:ordering", $ordering)
+        or return $self -> self_error("Unable to set slide ordering: ".$self -> {"settings"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ get_rotation_shares($sources, $ordering)
+# Estimate the share of the rotation each of the specified slide sources will
+# get. This is based on the number of slides each source generated when it was
+# last checked, so it can only ever be approximate.
+#
+# @param sources  A reference to an array of slide source hashes, as returned
+#                 by get_slide_sources(). Disabled sources are ignored.
+# @param ordering The ordering mode to estimate shares for, defaults to the
+#                 current ordering mode.
+# @return A reference to a hash of shares, from 0 to 1, keyed by source ID.
+sub get_rotation_shares {
+    my $self     = shift;
+    my $sources  = shift;
+    my $ordering = shift // $self -> get_ordering();
+
+    my @active = grep { $_ -> {"enabled"} && $_ -> {"slide_count"} } @{$sources};
+
+    # When the sources take turns, only the weights matter; otherwise each
+    # source gets as many slots as it has slides.
+    my %parts = map { $_ -> {"id"} => ($ordering eq "weighted"   ? ($_ -> {"weight"} || 1) :
+                                       $ordering eq "roundrobin" ? 1 :
+                                                                   $_ -> {"slide_count"}) } @active;
+
+    my $total = 0;
+    $total += $_ foreach(values(%parts));
+
+    return { map { $_ => $parts{$_} / $total } keys(%parts) };
+}
+
+
 ## @method $ get_slide_source($sourceid)
 # Fetch the data for the specified slide source.
 #
@@ -178,15 +397,56 @@ sub get_slide_sources {
 
     my $sourcelist = $sources -> fetchall_arrayref({});
     foreach my $source (@{$sourcelist}) {
-        my %args = $source -> {"args"} =~ /(\w+)\s*=\s*([^;]+)/g;
+        $source -> {"args"} = $self -> parse_args($source -> {"args"});
 
-        $source -> {"args"} = \%args;
+        $source -> {"tags"} = $self -> get_source_tags($source)
+            or return undef;
     }
 
     return $sourcelist;
 }
 
 
+## @method $ get_source_tags($source)
+# Fetch the names of the tags attached to the specified slide source.
+#
+# @param source A reference to a hash containing the slide source data.
+# @return A reference to an array of tag names, sorted alphabetically, on
+#         success. undef on error.
+sub get_source_tags {
+    my $self   = shift;
+    my $source = shift;
+
+    $self -> clear_error();
+
+    return $self -> {"system"} -> {"tags"} -> get_tag_names($source -> {"metadata_id"})
+        || $self -> self_error("Unable to fetch slide source tags: ".$self -> {"system"} -> {"tags"} -> errstr());
+}
+
+
+## @method $ get_playlist_sources($tags)
+# Fetch the enabled slide sources that make up the playlist for a screen with
+# the specified tags. Screens with no tags show every enabled source; screens
+# with tags only show the sources that have at least one of the same tags.
+#
+# @param tags A reference to an array of tag names, or undef to include all
+#             the enabled sources.
+# @return A reference to an array of slide source hashes on success, undef on
+#         error.
+sub get_playlist_sources {
+    my $self = shift;
+    my $tags = shift // [];
+
+    my $sources = $self -> get_slide_sources()
+        or return undef;
+
+    return $sources unless(scalar(@{$tags}));
+
+    my %wanted = map { lc($_) => 1 } @{$tags};
+    return [ grep { grep { $wanted{lc($_)} } @{$_ -> {"tags"}} } @{$sources} ];
+}
+
+
 # @method $ get_slide_modules()
 # Fetch the list of defined slide modules.
 #
@@ -206,61 +466,677 @@ sub get_slide_modules {
 }
 
 
-## @method $ set_slide_checked($sourceid)
-# Mark the slide source as checked.
+## @method $ set_slide_checked($sourceid, $slides)
+# Mark the slide source as successfully checked. This records the time of the
+# check, and keeps a copy of the slides generated so that they can be shown
+# for a while if the source starts failing.
 #
 # @param sourceid The ID of the slide source to mark as checked.
+# @param slides   A reference to an array of the slides the source generated.
 # @return true on success, undef on error
 sub set_slide_checked {
     my $self     = shift;
     my $sourceid = shift;
+    my $slides   = shift // [];
 
     $self -> clear_error();
 
     my $mark = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
-                                            SET `last_checked` = UNIX_TIMESTAMP()
+                                            SET `last_checked` = UNIX_TIMESTAMP(), `last_success` = UNIX_TIMESTAMP(),
+                                                `last_error` = NULL, `slide_count` = ?, `cached_slides` = ?
                                             WHERE `id` = ?");
-    $mark -> execute($sourceid)
+    $mark -> execute(scalar(@{$slides}), encode_json($slides), $sourceid)
         or return $self -> self_error("Unable to fetch slide sources list: ".$self -> {"dbh"} -> errstr());
 
     return 1;
 }
 
 
+## @method $ set_slide_failed($sourceid, $error)
+# Record that the slide source could not generate slides when it was checked.
+#
+# @param sourceid The ID of the slide source that failed.
+# @param error    A message describing the problem.
+# @return true on success, undef on error
+sub set_slide_failed {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $error    = shift;
+
+    $self -> clear_error();
+
+    my $mark = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
+                                            SET `last_checked` = UNIX_TIMESTAMP(), `last_error` = ?
+                                            WHERE `id` = ?");
+    $mark -> execute($error, $sourceid)
+        or return $self -> self_error("Unable to record slide source failure: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ get_slides($tags)
+# Generate the slides to show in the slideshow from the enabled slide sources
+# in the playlist for the specified tags (see get_playlist_sources()), ordered
+# according to the current ordering mode. Hidden items, and
+# items that are waiting for approval, are left out; pinned items are always
+# included, spread through the rotation. Sources that fail are skipped, so
+# one broken source can not take down the slideshow; the last slides a failing
+# source generated are used instead until they are older than the
+# `Orbit:sourcegrace` setting. Failing sources are only tried again once the
+# number of seconds in the `Orbit:sourceretry` setting (default 300) has
+# passed since they were last checked.
+#
+# @param tags A reference to an array of the tags set for the screen the
+#             slides are for, or undef to use all the enabled sources.
+# @return A reference to an array of slide HTML fragments on success, undef
+#         on error.
 sub get_slides {
     my $self = shift;
+    my $tags = shift;
 
     # Fetch the list of slide sources to it can be processed
+    my $sources = $self -> get_playlist_sources($tags)
+        or return $self -> self_error("Unable to obtain a list of slide sources");
+
+    my $sets = $self -> _collect_slides($sources)
+        or return undef;
+
+    my @slidesets = ();
+    my @pinned    = ();
+    foreach my $set (@{$sets}) {
+        push(@pinned, grep { $_ -> {"state"} eq "pinned" } @{$set -> {"slides"}});
+
+        my @shown = grep { $_ -> {"state"} ~~ [ "shown", "approved" ] } @{$set -> {"slides"}};
+        push(@slidesets, { "weight" => $set -> {"weight"},
+                           "slides" => \@shown })
+            if(scalar(@shown));
+    }
+
+    my $slides;
+    given($self -> get_ordering()) {
+        when("newest")     { $slides = $self -> _order_newest(\@slidesets); }
+        when("roundrobin") { $slides = $self -> _order_interleaved(\@slidesets, 0); }
+        when("weighted")   { $slides = $self -> _order_interleaved(\@slidesets, 1); }
+        default            { $slides = $self -> _order_shuffled(\@slidesets); }
+    }
+
+    $slides = $self -> _place_pinned($slides, \@pinned);
+
+    # process duplication
+    return $self -> _process_duplicates($slides);
+}
+
+
+## @method $ get_current_slides()
+# Generate the slides from all the enabled slide sources, without removing
+# any that should not be shown. This allows the slides to be moderated.
+#
+# @return A reference to an array of hashes, one per source, each containing
+#         the `source` hash and its `slides`. Each slide has a `key` that
+#         identifies the item it shows, and a `state` that is one of the
+#         modstates constructor argument values, `shown`, or `pending` if
+#         the source requires approval and the item has not been approved.
+#         Returns undef on error.
+sub get_current_slides {
+    my $self = shift;
+
     my $sources = $self -> get_slide_sources()
         or return $self -> self_error("Unable to obtain a list of slide sources");
 
-    my @slides = ();
+    return $self -> _collect_slides($sources);
+}
+
+
+## @method $ get_source_slides($sourceid)
+# Generate the slides from a single enabled slide source, leaving out any that
+# should not be shown. This is used to fill the layout zones that show the
+# items from one source, rather than the playlist for the screen. If the
+# source generated slides within the last `zonecache` seconds (a constructor
+# argument), those are used rather than fetching them again.
+#
+# @param sourceid The ID of the slide source to generate the slides for.
+# @return A reference to an array of slide hashes, in the order the source
+#         generated them, on success. undef on error, including when the
+#         source does not exist or is disabled.
+sub get_source_slides {
+    my $self     = shift;
+    my $sourceid = shift;
+
+    my $sources = $self -> get_slide_sources()
+        or return undef;
+
+    my @source = grep { $_ -> {"id"} == $sourceid } @{$sources}
+        or return $self -> self_error("Request for unknown or disabled slide source $sourceid");
+
+    my $sets = $self -> _collect_slides(\@source, $self -> {"zonecache"})
+        or return undef;
+
+    return [ grep { $_ -> {"state"} ~~ [ "shown", "approved", "pinned" ] } @{$sets -> [0] -> {"slides"}} ];
+}
+
+
+## @method $ find_slide($sourceid, $itemkey)
+# Locate the slide for the specified item in the slides currently generated
+# by a slide source.
+#
+# @param sourceid The ID of the slide source the item belongs to.
+# @param itemkey  The key identifying the item within the source.
+# @return A reference to the slide hash on success, undef on error.
+sub find_slide {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $itemkey  = shift;
+
+    my $sources = $self -> get_slide_sources(1)
+        or return undef;
+
+    my @source = grep { $_ -> {"id"} == $sourceid } @{$sources}
+        or return $self -> self_error("Request for unknown slide source $sourceid");
+
+    my $sets = $self -> _collect_slides(\@source)
+        or return undef;
+
+    my ($slide) = grep { $_ -> {"key"} eq $itemkey } @{$sets -> [0] -> {"slides"}};
+
+    return $slide || $self -> self_error("Slide source $sourceid is not showing the requested item");
+}
+
+
+## @method $ get_slide_moderation()
+# Fetch the moderation decisions that have been made about slides.
+#
+# @return A reference to a hash of moderation decisions on success, undef on
+#         error. The hash is keyed by source ID and item key, separated by ':'.
+sub get_slide_moderation {
+    my $self = shift;
+
+    $self -> clear_error();
+
+    my $modh = $self -> {"dbh"} -> prepare("SELECT *
+                                            FROM `".$self -> {"settings"} -> {"database"} -> {"slidemoderation"}."`");
+    $modh -> execute()
+        or return $self -> self_error("Unable to fetch slide moderation: ".$self -> {"dbh"} -> errstr());
+
+    return { map { $_ -> {"source_id"}.":".$_ -> {"item_key"} => $_ } @{$modh -> fetchall_arrayref({})} };
+}
+
+
+## @method $ set_slide_moderation($sourceid, $itemkey, $state, $userid, $slide)
+# Record a moderation decision about the specified item, replacing any earlier
+# decision about it.
+#
+# @param sourceid The ID of the slide source the item belongs to.
+# @param itemkey  The key identifying the item within the source.
+# @param state    The state to set, one of the modstates constructor argument
+#                 values.
+# @param userid   The ID of the user making the decision.
+# @param slide    The HTML for the item's slide. Pinned items continue to be
+#                 shown using this after the source stops generating them.
+# @return true on success, undef on error.
+sub set_slide_moderation {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $itemkey  = shift;
+    my $state    = shift;
+    my $userid   = shift;
+    my $slide    = shift;
+
+    return $self -> self_error("Unsupported slide moderation state '$state'")
+        unless($state && $state ~~ $self -> {"modstates"});
+
+    $self -> clear_slide_moderation($sourceid, $itemkey)
+        or return undef;
+
+    my $modh = $self -> {"dbh"} -> prepare("INSERT INTO `".$self -> {"settings"} -> {"database"} -> {"slidemoderation"}."`
+                                            (`source_id`, `item_key`, `state`, `slide`, `updated`, `updated_by`)
+                                            VALUES(?, ?, ?, ?, UNIX_TIMESTAMP(), ?)");
+    my $rows = $modh -> execute($sourceid, $itemkey, $state, $slide, $userid);
+    return $self -> self_error("Unable to set slide moderation: ".$self -> {"dbh"} -> errstr()) if(!$rows);
+    return $self -> self_error("Slide moderation insert failed, no rows inserted") if($rows eq "0E0");
+
+    return 1;
+}
+
+
+## @method $ clear_slide_moderation($sourceid, $itemkey)
+# Remove any moderation decision about the specified item, so that it is
+# treated like any other item from its source.
+#
+# @param sourceid The ID of the slide source the item belongs to.
+# @param itemkey  The key identifying the item within the source.
+# @return true on success, undef on error.
+sub clear_slide_moderation {
+    my $self     = shift;
+    my $sourceid = shift;
+    my $itemkey  = shift;
+
+    $self -> clear_error();
+
+    my $nukeh = $self -> {"dbh"} -> prepare("DELETE FROM `".$self -> {"settings"} -> {"database"} -> {"slidemoderation"}."`
+                                             WHERE `source_id` = ?
+                                             AND `item_key` = ?");
+    $nukeh -> execute($sourceid, $itemkey)
+        or return $self -> self_error("Unable to clear slide moderation: ".$self -> {"dbh"} -> errstr());
+
+    return 1;
+}
+
+
+## @method $ load_source_module($moduleid, $args)
+# Create an instance of the slide source module with the specified ID.
+#
+# @param moduleid The ID of the source module to load.
+# @param args     Optional arguments to pass to the slide source module, in the
+#                 same form as they are stored for slide sources.
+# @return A reference to the slide source module object on success, undef
+#         on error.
+sub load_source_module {
+    my $self     = shift;
+    my $moduleid = shift;
+    my $args     = shift;
+
+    $self -> clear_error();
+
+    my $modules = $self -> get_slide_modules()
+        or return undef;
+
+    my ($module) = grep { $_ -> {"id"} == $moduleid } @{$modules};
+    return $self -> self_error("Request for unknown slide module $moduleid")
+        unless($module);
+
+    return $self -> {"module"} -> load_module($module -> {"module"}, %{$self -> parse_args($args)})
+        || $self -> self_error("Unable to load slide module ".$module -> {"module"}.": ".$self -> {"module"} -> errstr());
+}
+
+
+## @method $ preview_slides($moduleid, $args)
+# Generate the slides a slide source would produce with the specified module
+# and arguments, without the source needing to be saved first. The slides are
+# returned in the order the module generated them, without any duplication.
+#
+# @param moduleid The ID of the source module to generate slides with.
+# @param args     The arguments to pass to the slide source module, in the
+#                 same form as they are stored for slide sources.
+# @return A reference to an array of slide HTML fragments on success, undef
+#         on error.
+sub preview_slides {
+    my $self     = shift;
+    my $moduleid = shift;
+    my $args     = shift;
+
+    $self -> clear_error();
+
+    my $modules = $self -> get_slide_modules()
+        or return undef;
+
+    my ($module) = grep { $_ -> {"id"} == $moduleid } @{$modules};
+    return $self -> self_error("Request for unknown slide module $moduleid")
+        unless($module);
+
+    # The arguments have not been tried yet, so the module may well die on them
+    my $slides = $self -> _generate_source_slides({ "module" => $module -> {"module"},
+                                                    "args"   => $self -> parse_args($args) })
+        or return undef;
+
+    return [ map { $_ -> {"slide"} } grep { $_ -> {"slide"} } @{$slides} ];
+}
+
+
+## @method $ parse_args($args)
+# Convert a slide source argument string, in the form `name=value;name=value`,
+# into a hash of arguments to pass to the source module.
+#
+# @param args The argument string to parse.
+# @return A reference to a hash of arguments.
+sub parse_args {
+    my $self = shift;
+    my $args = shift // "";
+
+    my %args = $args =~ /(\w+)\s*=\s*([^;]+)/g;
+
+    return \%args;
+}
+
+
+## @method $ format_args($args, $order)
+# Convert a hash of arguments into the string form stored for slide sources.
+# This is the reverse of parse_args(); arguments with empty values are left
+# out, so the module's default is used for them.
+#
+# @param args  A reference to a hash of arguments.
+# @param order An optional reference to an array of argument names giving the
+#              order the arguments should appear in. Any other arguments are
+#              added after these, sorted by name.
+# @return A string containing the arguments.
+sub format_args {
+    my $self  = shift;
+    my $args  = shift;
+    my $order = shift // [];
+
+    my %seen  = ();
+    my @names = grep { !$seen{$_}++ } (@{$order}, sort keys(%{$args}));
+
+    return join(";", map { "$_=".$args -> {$_} }
+                     grep { defined($args -> {$_}) && $args -> {$_} ne "" } @names);
+}
+
+
+# ============================================================================
+#  Support code
+
+## @method private $ _collect_slides($sources, $maxage)
+# Generate the slides for each of the specified slide sources, and work out
+# whether each slide should be shown based on the moderation decisions made
+# about it. See get_current_slides() for the format of the result.
+#
+# @param sources A reference to an array of slide source hashes, as returned
+#                by get_slide_sources().
+# @param maxage  If set, sources that generated slides within this many
+#                seconds reuse those slides rather than generating them again.
+# @return A reference to an array of slide sets on success, undef on error.
+sub _collect_slides {
+    my $self    = shift;
+    my $sources = shift;
+    my $maxage  = shift;
+
+    my $moderation = $self -> get_slide_moderation()
+        or return undef;
+
+    my $retry = $self -> {"settings"} -> {"config"} -> {"Orbit:sourceretry"} // 300;
+
+    my @sets = ();
     foreach my $source (@{$sources}) {
+        my $slides = $maxage ? $self -> _cached_slides($source, $maxage) : undef;
+
+        # A source that failed recently will probably fail again, and may take
+        # a long time doing it, so don't wait on it until it is due a retry
+        if(!$slides && $source -> {"last_error"} && ($source -> {"last_checked"} // 0) > time() - $retry) {
+            $slides = $self -> _cached_slides($source) // [];
+        } elsif(!$slides) {
+            $slides = $self -> _generate_source_slides($source);
+            if($slides) {
+                $self -> set_slide_checked($source -> {"id"}, $slides);
+            } else {
+                my $error = $self -> errstr();
+                $self -> log("error:source", "Slide source ".$source -> {"id"}." (".$source -> {"module"}.") failed: $error");
+                $self -> set_slide_failed($source -> {"id"}, $error);
+
+                $slides = $self -> _cached_slides($source) // [];
+            }
+        }
+
+        my %seen = ();
+        foreach my $slide (@{$slides}) {
+            $slide -> {"key"} = $self -> _slide_key($slide);
+            $seen{$slide -> {"key"}} = 1;
+
+            $self -> _tag_slide($slide, $source -> {"id"});
+
+            my $decision = $moderation -> {$source -> {"id"}.":".$slide -> {"key"}};
+            $slide -> {"state"} = $decision ? $decision -> {"state"} :
+                                  $source -> {"require_approval"} ? "pending" : "shown";
+        }
+
+        # Pinned items stay up even when the source no longer generates them
+        foreach my $decision (values(%{$moderation})) {
+            next unless($decision -> {"source_id"} == $source -> {"id"} &&
+                        $decision -> {"state"} eq "pinned" &&
+                        $decision -> {"slide"} &&
+                        !$seen{$decision -> {"item_key"}});
+
+            push(@{$slides}, $self -> _tag_slide({ "slide"     => $decision -> {"slide"},
+                                                   "duplicate" => 1,
+                                                   "key"       => $decision -> {"item_key"},
+                                                   "state"     => "pinned" },
+                                                 $source -> {"id"}));
+        }
+
+        push(@sets, { "source" => $source,
+                      "weight" => $source -> {"weight"} || 1,
+                      "slides" => $slides });
+    }
+
+    return \@sets;
+}
+
+
+## @method private $ _create_source_metadata($sourceid)
+# Create the metadata context used to attach tags to the specified slide
+# source. The source holds a reference to the context, so that it is kept
+# even when the source has no tags.
+#
+# @param sourceid The ID of the slide source to create the context for.
+# @return The ID of the new metadata context on success, undef on error.
+sub _create_source_metadata {
+    my $self     = shift;
+    my $sourceid = shift;
+
+    my $metadataid = $self -> {"system"} -> {"metadata"} -> create($self -> {"system"} -> {"roles"} -> {"root_context"})
+        or return $self -> self_error("Unable to create slide source metadata: ".$self -> {"system"} -> {"metadata"} -> errstr());
+
+    $self -> {"system"} -> {"metadata"} -> attach($metadataid)
+        or return $self -> self_error("Unable to attach to slide source metadata: ".$self -> {"system"} -> {"metadata"} -> errstr());
+
+    my $seth = $self -> {"dbh"} -> prepare("UPDATE `".$self -> {"settings"} -> {"database"} -> {"slidesources"}."`
+                                            SET `metadata_id` = ?
+                                            WHERE `id` = ?");
+    $seth -> execute($metadataid, $sourceid)
+        or return $self -> self_error("Unable to set slide source metadata: ".$self -> {"dbh"} -> errstr());
+
+    return $metadataid;
+}
+
+
+## @method private $ _slide_key($slide)
+# Generate the key that identifies the item shown in the specified slide. This
+# is based on the item ID provided by the source module if there is one, so
+# that edits to the item do not affect moderation decisions about it.
+#
+# @param slide A reference to the slide hash.
+# @return A string containing the key.
+sub _slide_key {
+    my $self  = shift;
+    my $slide = shift;
+
+    my $md5 = Digest -> new("MD5");
+    $md5 -> add(Encode::encode_utf8($slide -> {"itemid"} // $slide -> {"slide"}));
+
+    return $md5 -> hexdigest();
+}
+
+
+## @method private $ _tag_slide($slide, $sourceid)
+# Record the slide source that generated the specified slide in the slide
+# element, so that the slideshow can report which source each slide it shows
+# came from. Slides that are already tagged are left alone.
+#
+# @param slide    A reference to the slide hash.
+# @param sourceid The ID of the slide source that generated the slide.
+# @return A reference to the slide hash.
+sub _tag_slide {
+    my $self     = shift;
+    my $slide    = shift;
+    my $sourceid = shift;
+
+    $slide -> {"slide"} =~ s/^(\s*<li\b)(?![^>]*\bdata-sourceid=)/$1 data-sourceid="$sourceid"/
+        if($slide -> {"slide"});
+
+    return $slide;
+}
+
+
+## @method private $ _place_pinned($slides, $pinned)
+# Insert pinned slides into the rotation, spread evenly through it.
+#
+# @param slides A reference to an array of slides in rotation order.
+# @param pinned A reference to an array of pinned slides.
+# @return A reference to an array containing the slides with the pinned
+#         slides inserted.
+sub _place_pinned {
+    my $self   = shift;
+    my $slides = shift;
+    my $pinned = shift;
+
+    return $slides unless(scalar(@{$pinned}));
+
+    my @output  = @{$slides};
+    my $spacing = (scalar(@output) + scalar(@{$pinned})) / scalar(@{$pinned});
+    for(my $pos = 0; $pos < scalar(@{$pinned}); ++$pos) {
+        splice(@output, int($pos * $spacing), 0, $pinned -> [$pos]);
+    }
+
+    return \@output;
+}
+
+
+## @method private $ _generate_source_slides($source)
+# Generate the slides for the specified slide source. Any problems the module
+# encounters, including dying, are caught and reported as an error.
+#
+# @param source A reference to a slide source hash, as returned by
+#               get_slide_sources().
+# @return A reference to an array of slides on success, undef on error.
+sub _generate_source_slides {
+    my $self   = shift;
+    my $source = shift;
+
+    $self -> clear_error();
+
+    my $slides = eval {
         my $slidemod = $self -> {"module"} -> load_module($source -> {"module"}, %{$source -> {"args"}})
-            or return $self -> self_error("Unable to load slide module ".$source -> {"module"});
+            or die "Unable to load slide module: ".$self -> {"module"} -> errstr()."\n";
+
+        $slidemod -> generate_slides()
+            or die "Unable to process slides: ".$slidemod -> errstr()."\n";
+    };
+    if($@ || !$slides) {
+        (my $error = $@ || "No slides returned") =~ s/\s+$//;
+        return $self -> self_error($error);
+    }
 
-        my $slides = $slidemod -> generate_slides()
-            or return $self -> self_error("Unable to process slides for ".$source -> {"module"}.": ".$slidemod -> errstr());
+    return $slides;
+}
+
+
+## @method private $ _cached_slides($source, $maxage)
+# Fetch the slides the specified source generated the last time it worked, if
+# that was recent enough for them to still be shown.
+#
+# @param source A reference to a slide source hash, as returned by
+#               get_slide_sources().
+# @param maxage The maximum age of the slides, in seconds. Defaults to the
+#               `Orbit:sourcegrace` setting.
+# @return A reference to an array of slides, or undef if there are no usable
+#         slides for the source.
+sub _cached_slides {
+    my $self   = shift;
+    my $source = shift;
+    my $grace  = shift // $self -> {"settings"} -> {"config"} -> {"Orbit:sourcegrace"} // 3600;
 
-        # store the new slides if there are any
-        push(@slides, @{$slides})
-            if($slides && scalar(@{$slides}));
+    return undef
+        unless($grace && $source -> {"cached_slides"} && ($source -> {"last_success"} // 0) > time() - $grace);
 
-        $self -> set_slide_checked($source -> {"id"});
+    my $slides = eval { decode_json($source -> {"cached_slides"}) };
+    if($@ || ref($slides) ne "ARRAY") {
+        $self -> log("error:source", "Unable to decode cached slides for source ".$source -> {"id"}.": $@");
+        return undef;
     }
 
+    return $slides;
+}
+
+
+## @method private $ _order_shuffled($slidesets)
+# Mix the slides from all the sources together. The shuffle is seeded from
+# the slides, so the order only changes when the slides do.
+#
+# @param slidesets A reference to an array of hashes, one per source, each
+#                  containing the source's slides.
+# @return A reference to an array of slides.
+sub _order_shuffled {
+    my $self      = shift;
+    my $slidesets = shift;
+
+    my @slides = map { @{$_ -> {"slides"}} } @{$slidesets};
+
     srand($self -> _sum_slides(\@slides));
 
     # Mix things up
-    @slides = shuffle @slides;
+    return [ shuffle @slides ];
+}
 
-    # process duplication
-    return $self -> _process_duplicates(\@slides);
+
+## @method private $ _order_newest($slidesets)
+# Order the slides from all the sources so that the most recent are shown
+# first. Slides that have no timestamp are shown after all the others.
+#
+# @param slidesets A reference to an array of hashes, one per source, each
+#                  containing the source's slides.
+# @return A reference to an array of slides.
+sub _order_newest {
+    my $self      = shift;
+    my $slidesets = shift;
+
+    return [ sort { ($b -> {"timestamp"} // 0) <=> ($a -> {"timestamp"} // 0) }
+             map { @{$_ -> {"slides"}} } @{$slidesets} ];
 }
 
 
-# ============================================================================
-#  Support code
+## @method private $ _order_interleaved($slidesets, $weighted)
+# Interleave the slides from the sources, so that the sources take turns to
+# have their slides shown. The rotation is long enough for every source to
+# show all of its slides at least once in its share of the turns; sources that
+# run out of slides before the end of the rotation start again from their
+# first slide.
+#
+# @param slidesets A reference to an array of hashes, one per source, each
+#                  containing the source's slides and weight.
+# @param weighted  If true, each source gets a number of turns proportional
+#                  to its weight. Otherwise every source gets the same number.
+# @return A reference to an array of slides.
+sub _order_interleaved {
+    my $self      = shift;
+    my $slidesets = shift;
+    my $weighted  = shift;
+
+    my $total  = 0;
+    foreach my $set (@{$slidesets}) {
+        $set -> {"turnweight"} = $weighted ? $set -> {"weight"} : 1;
+        $set -> {"current"}    = 0;
+        $set -> {"next"}       = 0;
+
+        $total += $set -> {"turnweight"};
+    }
+
+    # Each source gets turnweight turns in every total, so a source with many
+    # slides and a small share needs a long rotation to get through them
+    my $length = 0;
+    foreach my $set (@{$slidesets}) {
+        my $needed = int(((scalar(@{$set -> {"slides"}}) * $total) + $set -> {"turnweight"} - 1) / $set -> {"turnweight"});
+        $length = $needed if($needed > $length);
+    }
+
+    # Smooth weighted round-robin: each turn goes to the source that is furthest
+    # behind its share, which spreads each source's turns evenly through the rotation.
+    my @slides = ();
+    while(scalar(@slides) < $length) {
+        my $turn;
+        foreach my $set (@{$slidesets}) {
+            $set -> {"current"} += $set -> {"turnweight"};
+            $turn = $set if(!$turn || $set -> {"current"} > $turn -> {"current"});
+        }
+        $turn -> {"current"} -= $total;
+
+        my $slide = $turn -> {"slides"} -> [$turn -> {"next"}++ % scalar(@{$turn -> {"slides"}})];
+
+        # Repeated slides need their own copy, as duplicate processing modifies them
+        push(@slides, { %{$slide} });
+    }
+
+    return \@slides;
+}
+
 
 ## @method private $ _calculate_total($slides)
 # Work out how many slides there will be in total in the output, taking the
@@ -277,6 +277,102 @@ sub detach {
 }
 
 
+## @method $ get_tag_names($metadataid)
+# Fetch the names of the tags attached to the specified metadata context, in
+# alphabetical order.
+#
+# @param metadataid The ID of the metadata context to fetch the tag names for.
+#                   If this is not set, there can be no tags to fetch.
+# @return A reference to an array of tag names (which may be empty) on success,
+#         undef if an error occurred.
+sub get_tag_names {
+    my $self       = shift;
+    my $metadataid = shift;
+
+    $self -> clear_error();
+
+    return [] unless($metadataid);
+
+    my $tags = $self -> get_attached_tags($metadataid, 1);
+    return undef if($self -> {"errstr"});
+
+    return [ map { $_ -> {"name"} } @{$tags} ];
+}
+
+
+## @method $ set_tags($metadataid, $names, $userid)
+# Make the tags attached to the specified metadata context match the list of
+# tag names provided. Tags that are not attached yet are attached (creating
+# them if needed), and attached tags that are not in the list are removed.
+#
+# @note The caller must hold its own reference to the metadata context, or
+#       removing the last tag from the context will destroy it.
+#
+# @param metadataid The ID of the metadata context to set the tags for.
+# @param names      A reference to an array of tag names.
+# @param userid     The ID of the user setting the tags.
+# @return true on success, undef on error.
+sub set_tags {
+    my $self       = shift;
+    my $metadataid = shift;
+    my $names      = shift;
+    my $userid     = shift;
+
+    $self -> clear_error();
+
+    my $attached = $self -> get_attached_tags($metadataid, 1);
+    return undef if($self -> {"errstr"});
+
+    my %current = map { lc($_ -> {"name"}) => $_ -> {"tag_id"} } @{$attached};
+    my %wanted  = map { lc($_) => 1 } @{$names};
+
+    foreach my $name (keys(%current)) {
+        next if($wanted{$name});
+
+        $self -> detach($metadataid, $current{$name}, $userid)
+            or return undef;
+    }
+
+    foreach my $name (sort keys(%wanted)) {
+        next if($current{$name});
+
+        my $tagid = $self -> get_tagid($name, $userid)
+            or return undef;
+
+        $self -> attach($metadataid, $tagid, $userid)
+            or return undef;
+    }
+
+    return 1;
+}
+
+
+## @method $ split_tags($tags)
+# Convert a list of tags entered by a user into a list of tag names. Tags may
+# be separated by commas or spaces, and are converted to lower case. Each tag
+# may only contain letters, numbers, underscores, and hyphens, and must be no
+# more than 32 characters long.
+#
+# @param tags A string containing the tags, or a reference to an array of them.
+# @return A reference to an array of unique tag names on success, undef if
+#         any of the tags are not valid.
+sub split_tags {
+    my $self = shift;
+    my $tags = shift // "";
+
+    $self -> clear_error();
+
+    my @names = map { lc($_) } grep { $_ ne "" } split(/[\s,]+/, ref($tags) eq "ARRAY" ? join(",", @{$tags}) : $tags);
+    foreach my $name (@names) {
+        return $self -> self_error("Illegal tag name '$name': tags may only contain letters, numbers, _ and -, and be up to 32 characters long")
+            unless($name =~ /^[\w-]{1,32}$/);
+    }
+
+    my %seen = ();
+    return [ grep { !$seen{$_}++ } @names ];
+}
+
+
 ## @method $ rate_up($metadataid, $tagid, $userid)
 # Rate up the specified tag in the metadata context, marking the provided user as the
 # person doing the rating. Note that this will not do any permission checking - the
@@ -29,12 +29,14 @@ use BigScreen::AppUser;
 use BigScreen::BlockSelector;
 use BigScreen::Login;
 use BigScreen::SlideShow;
+use BigScreen::SlideSource::Media;
 use BigScreen::SlideSource::MondayMail;
 use BigScreen::SlideSource::Newsagent;
 use BigScreen::SlideSource::Twitter;
 use BigScreen::SlideSource;
 use BigScreen::SlideSource;
 use BigScreen::System::Metadata;
+use BigScreen::System::Playback;
 use BigScreen::System::Roles;
 use BigScreen::System::SlideSource;
 use BigScreen::System::Tags;
@@ -0,0 +1,358 @@
+-- Database changes needed by the device management, slideshow, and reporting
+-- features. Each section is labelled with the feature that needs it; apply
+-- the sections in order when updating an existing installation.
+--
+-- The table names used here are the defaults. Each new table also needs an
+-- entry naming it in the [database] section of config/site.cfg, eg:
+--
+--     devicehistory = devicehistory
+--
+-- If the site's tables have a prefix, add it to the names both here and in
+-- the config. The rows added to the settings table are optional, as every
+-- setting has a default; they are included so the settings can be changed
+-- without looking them up in the code.
+
+
+-- ----------------------------------------------------------------------------
+--  Device status history, shown on the Devices page
+--
+--  site.cfg: devicehistory = devicehistory
+--
+--  Devices:historyhours sets how many hours of history to keep and show,
+--  Devices:pollinterval how often, in seconds, the Devices page checks the
+--  devices, and Devices:polltimeout how long it waits for each device. The
+--  history is only recorded when devices are checked, so install
+--  supportfiles/check-devices.sh.dist in cron to record it while nobody has
+--  the Devices page open.
+
+CREATE TABLE IF NOT EXISTS `devicehistory` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `device_id` int(10) unsigned NOT NULL COMMENT 'The ID of the device checked',
+  `checked` int(10) unsigned NOT NULL COMMENT 'When the check was made, in seconds since the epoch',
+  `alive` tinyint(1) unsigned NOT NULL DEFAULT '0' COMMENT 'Did the device respond to pings?',
+  `working` tinyint(1) unsigned NOT NULL DEFAULT '0' COMMENT 'Was the OS on the device working?',
+  `running` tinyint(1) unsigned NOT NULL DEFAULT '0' COMMENT 'Was the browser running?',
+  PRIMARY KEY (`id`),
+  KEY `device_checked` (`device_id`, `checked`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Device status check results';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Devices:historyhours', '24'),
+('Devices:pollinterval', '60'),
+('Devices:polltimeout', '30');
+
+
+-- ----------------------------------------------------------------------------
+--  Screen power control and power schedules
+--
+--  Devices:overridehours sets how long a screen switched on or off by hand
+--  stays that way if its power schedule does not change it back.
+
+ALTER TABLE `devices`
+  ADD COLUMN `powerschedule` text DEFAULT NULL COMMENT 'The power schedule for the screen, as JSON',
+  ADD COLUMN `poweroverride` enum('on','off') DEFAULT NULL COMMENT 'The state the screen was switched to by hand',
+  ADD COLUMN `poweruntil` int(10) unsigned DEFAULT NULL COMMENT 'When the override ends, in seconds since the epoch';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Devices:overridehours', '12');
+
+
+-- ----------------------------------------------------------------------------
+--  Slideshow heartbeats, showing what each screen is displaying
+--
+--  site.cfg: heartbeats = heartbeats
+--
+--  Devices:heartbeatstale sets how many seconds without a heartbeat it takes
+--  for a device to be shown as not reporting.
+
+CREATE TABLE IF NOT EXISTS `heartbeats` (
+  `device_id` int(10) unsigned NOT NULL COMMENT 'The ID of the device sending the heartbeat',
+  `received` int(10) unsigned NOT NULL COMMENT 'When the heartbeat was received, in seconds since the epoch',
+  `slide_id` varchar(255) DEFAULT NULL COMMENT 'The ID of the slide being shown',
+  `slide_title` varchar(255) DEFAULT NULL COMMENT 'The title of the slide being shown',
+  `slide_count` int(10) unsigned DEFAULT NULL COMMENT 'The number of slides in the slideshow',
+  `loaded` int(10) unsigned DEFAULT NULL COMMENT 'When the slides were last loaded, in seconds since the epoch',
+  `errors` text DEFAULT NULL COMMENT 'The most recent script errors, as a JSON array',
+  PRIMARY KEY (`device_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='The latest heartbeat from each device';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Devices:heartbeatstale', '300');
+
+
+-- ----------------------------------------------------------------------------
+--  Remote control commands sent to running slideshows
+--
+--  site.cfg: devicecommands = devicecommands
+--
+--  Devices:commandexpire sets how many seconds a command waits for the
+--  slideshow to fetch or acknowledge it, Devices:commandwatch how often, in
+--  seconds, the Devices page checks on a command, and Orbit:commandpoll how
+--  often, in seconds, the slideshow checks for commands.
+
+CREATE TABLE IF NOT EXISTS `devicecommands` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `device_id` int(10) unsigned NOT NULL COMMENT 'The ID of the device the command is for',
+  `command` enum('goto','next','previous','pause','resume','reload') NOT NULL,
+  `argument` varchar(255) DEFAULT NULL COMMENT 'The slide to show, for goto commands',
+  `created` int(10) unsigned NOT NULL COMMENT 'When the command was sent, in seconds since the epoch',
+  `status` enum('pending','sent','done','failed') NOT NULL DEFAULT 'pending',
+  `sent` int(10) unsigned DEFAULT NULL COMMENT 'When the slideshow fetched the command',
+  `acked` int(10) unsigned DEFAULT NULL COMMENT 'When the slideshow acknowledged the command',
+  `message` varchar(255) DEFAULT NULL COMMENT 'The message the slideshow sent with its acknowledgement',
+  PRIMARY KEY (`id`),
+  KEY `device_status` (`device_id`, `status`, `created`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Remote control commands for devices';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Devices:commandexpire', '300'),
+('Devices:commandwatch', '5'),
+('Orbit:commandpoll', '10');
+
+
+-- ----------------------------------------------------------------------------
+--  Emergency alerts, and the page used to raise and clear them
+--
+--  site.cfg: alerts = alerts
+--
+--  Orbit:alertpoll sets how often, in seconds, the slideshow checks for a
+--  new or cleared alert.
+
+CREATE TABLE IF NOT EXISTS `alerts` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `message` text NOT NULL COMMENT 'The message to show on every screen',
+  `severity` enum('info','warning','critical') NOT NULL DEFAULT 'info',
+  `created` int(10) unsigned NOT NULL COMMENT 'When the alert was raised, in seconds since the epoch',
+  `expires` int(10) unsigned NOT NULL COMMENT 'When the alert stops being shown',
+  `raised_by` int(10) unsigned NOT NULL COMMENT 'The ID of the user who raised the alert',
+  `cleared` int(10) unsigned DEFAULT NULL COMMENT 'When the alert was cleared early, if it was',
+  `cleared_by` int(10) unsigned DEFAULT NULL COMMENT 'The ID of the user who cleared the alert',
+  PRIMARY KEY (`id`),
+  KEY `active` (`cleared`, `expires`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Emergency alerts shown in place of the slides';
+
+INSERT INTO `modules` (`name`, `perl_module`, `active`)
+SELECT 'alerts', 'BigScreen::Alerts', 1 FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM `modules` WHERE `perl_module` = 'BigScreen::Alerts');
+
+INSERT INTO `blocks` (`name`, `module_id`)
+SELECT 'alerts', `module_id` FROM `modules`
+WHERE `perl_module` = 'BigScreen::Alerts'
+AND NOT EXISTS (SELECT 1 FROM `blocks` WHERE `name` = 'alerts');
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:alertpoll', '5');
+
+
+-- ----------------------------------------------------------------------------
+--  Slide source weights and the slide ordering mode
+--
+--  site.cfg: slidesources = slidesources (existing table)
+--
+--  Orbit:ordering selects how the slides from the sources are combined, and
+--  may be one of shuffle, newest, roundrobin, or weighted.
+
+ALTER TABLE `slidesources`
+  ADD COLUMN `weight` tinyint(3) unsigned NOT NULL DEFAULT 1 COMMENT 'The relative share of the rotation for weighted ordering, from 1 to 10',
+  ADD COLUMN `slide_count` int(10) unsigned DEFAULT NULL COMMENT 'How many slides the source generated when it was last checked';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:ordering', 'shuffle');
+
+
+-- ----------------------------------------------------------------------------
+--  Slide source health, and the slides kept for when a source fails
+--
+--  site.cfg: slidesources = slidesources (existing table)
+--
+--  Orbit:sourcegrace sets how long, in seconds, the last slides a failing
+--  source generated keep being shown. Set it to 0 to drop them straight away.
+
+ALTER TABLE `slidesources`
+  ADD COLUMN `last_success` int(10) unsigned DEFAULT NULL COMMENT 'When the source last generated slides, in seconds since the epoch',
+  ADD COLUMN `last_error` text DEFAULT NULL COMMENT 'Why the source failed when it was last checked, if it did',
+  ADD COLUMN `cached_slides` mediumtext DEFAULT NULL COMMENT 'The slides the source last generated, as JSON';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:sourcegrace', '3600');
+
+
+-- ----------------------------------------------------------------------------
+--  Slide moderation, and sources whose items need approving
+--
+--  site.cfg: slidemoderation = slidemoderation
+
+ALTER TABLE `slidesources`
+  ADD COLUMN `require_approval` tinyint(1) unsigned NOT NULL DEFAULT 0 COMMENT 'Do new items from the source need approving before they are shown?';
+
+CREATE TABLE IF NOT EXISTS `slidemoderation` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `source_id` int(10) unsigned NOT NULL COMMENT 'The ID of the slide source the item belongs to',
+  `item_key` char(32) NOT NULL COMMENT 'The key identifying the item within the source',
+  `state` enum('hidden','pinned','approved') NOT NULL,
+  `slide` mediumtext DEFAULT NULL COMMENT 'The slide for the item, used to keep pinned items up',
+  `updated` int(10) unsigned NOT NULL COMMENT 'When the decision was made, in seconds since the epoch',
+  `updated_by` int(10) unsigned DEFAULT NULL COMMENT 'The ID of the user who made the decision',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `source_item` (`source_id`, `item_key`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Moderation decisions about individual slides';
+
+
+-- ----------------------------------------------------------------------------
+--  Tags for devices and slide sources, used to build per-device playlists
+--
+--  The tags themselves are stored in the existing metadata and tags tables;
+--  devices and slide sources only need a reference to their metadata context,
+--  which is created the first time they are tagged.
+
+ALTER TABLE `devices`
+  ADD COLUMN `metadata_id` int(10) unsigned DEFAULT NULL COMMENT 'The ID of the metadata context holding the device tags';
+
+ALTER TABLE `slidesources`
+  ADD COLUMN `metadata_id` int(10) unsigned DEFAULT NULL COMMENT 'The ID of the metadata context holding the source tags';
+
+
+-- ----------------------------------------------------------------------------
+--  Screen layouts, and the page used to manage them
+--
+--  site.cfg: layouts = layouts
+--
+--  Orbit:tickerspeed sets how fast ticker zones scroll, in pixels per second.
+
+CREATE TABLE IF NOT EXISTS `layouts` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `name` varchar(80) NOT NULL,
+  `arrangement` enum('fullscreen','ticker','sidebar','dashboard') NOT NULL DEFAULT 'fullscreen',
+  `sources` text DEFAULT NULL COMMENT 'The IDs of the slide sources that feed each zone, as JSON',
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Arrangements of zones shown on the screens';
+
+ALTER TABLE `devices`
+  ADD COLUMN `layout_id` int(10) unsigned DEFAULT NULL COMMENT 'The ID of the layout the screen shows, or NULL for the slideshow alone';
+
+INSERT INTO `modules` (`name`, `perl_module`, `active`)
+SELECT 'layouts', 'BigScreen::Layouts', 1 FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM `modules` WHERE `perl_module` = 'BigScreen::Layouts');
+
+INSERT INTO `blocks` (`name`, `module_id`)
+SELECT 'layouts', `module_id` FROM `modules`
+WHERE `perl_module` = 'BigScreen::Layouts'
+AND NOT EXISTS (SELECT 1 FROM `blocks` WHERE `name` = 'layouts');
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:tickerspeed', '100');
+
+
+-- ----------------------------------------------------------------------------
+--  Video and animated image slides
+--
+--  Orbit:maxMediaDelay sets the longest, in seconds, a media slide may stay up
+--  when its length is not known.
+
+INSERT INTO `sourcemodules` (`name`, `module`)
+SELECT 'Media', 'BigScreen::SlideSource::Media' FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM `sourcemodules` WHERE `module` = 'BigScreen::SlideSource::Media');
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:maxMediaDelay', '300');
+
+
+-- ----------------------------------------------------------------------------
+--  Playback log for the screen time reports
+--
+--  site.cfg: playback = playback
+--
+--  Orbit:playbackbatch sets how many playback records the slideshow collects
+--  before sending them. Playback:keepdays sets how many days of records are
+--  kept; older records are removed once a day, which relies on the index on
+--  `started`, and Playback:lastprune records when that last happened.
+--  Playback:maxreportdays sets the longest period, in days, a report may cover.
+
+CREATE TABLE IF NOT EXISTS `playback` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `device_id` int(10) unsigned NOT NULL COMMENT 'The ID of the device that showed the slide',
+  `source_id` int(10) unsigned DEFAULT NULL COMMENT 'The ID of the slide source that generated the slide, if known',
+  `slide_id` varchar(255) NOT NULL COMMENT 'The ID of the slide shown',
+  `slide_title` varchar(255) NOT NULL DEFAULT '' COMMENT 'The title of the slide shown',
+  `started` int(10) unsigned NOT NULL COMMENT 'When the slide was shown, in seconds since the epoch',
+  `duration` int(10) unsigned NOT NULL DEFAULT 0 COMMENT 'How long the slide was on the screen, in milliseconds',
+  `paused` int(10) unsigned NOT NULL DEFAULT 0 COMMENT 'How much of the duration the slideshow was paused for, in milliseconds',
+  PRIMARY KEY (`id`),
+  KEY `started` (`started`),
+  KEY `source_started` (`source_id`, `started`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Log of the slides shown on each screen';
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:playbackbatch', '20'),
+('Playback:keepdays', '400'),
+('Playback:lastprune', '0'),
+('Playback:maxreportdays', '366');
+
+
+-- ----------------------------------------------------------------------------
+--  Screenshot history, used to spot frozen and blank screens
+--
+--  site.cfg: devicescreens = devicescreens
+--
+--  Devices:screenhistory sets how many screenshots are kept for each device,
+--  and Devices:screendistance how many bits the hashes of two screenshots may
+--  differ by while still counting as the same picture. Heartbeats now also say
+--  whether the slideshow is paused or showing an alert, so that screens that
+--  are meant to be still are not reported as frozen.
+
+CREATE TABLE IF NOT EXISTS `devicescreens` (
+  `id` int(10) unsigned NOT NULL AUTO_INCREMENT,
+  `device_id` int(10) unsigned NOT NULL COMMENT 'The ID of the device the screenshot is from',
+  `taken` int(10) unsigned NOT NULL COMMENT 'When the screenshot was taken, in seconds since the epoch',
+  `phash` char(16) NOT NULL COMMENT 'The perceptual hash of the screenshot, as hex',
+  `blank` tinyint(1) unsigned NOT NULL DEFAULT 0 COMMENT 'Was the screen entirely black or white?',
+  `image` varchar(64) NOT NULL COMMENT 'The name of the screenshot file in the device history directory',
+  PRIMARY KEY (`id`),
+  KEY `device_taken` (`device_id`, `taken`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Recent screenshots of each device';
+
+ALTER TABLE `heartbeats`
+  ADD COLUMN `paused` tinyint(1) unsigned NOT NULL DEFAULT 0 COMMENT 'Was the slideshow paused by remote control?' AFTER `loaded`,
+  ADD COLUMN `alert` tinyint(1) unsigned NOT NULL DEFAULT 0 COMMENT 'Was the slideshow showing an emergency alert?' AFTER `paused`;
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Devices:screenhistory', '12'),
+('Devices:screendistance', '4');
+
+
+-- ----------------------------------------------------------------------------
+--  The last recorded status of each device
+--
+--  Checking a device is slow, so the result of the last check is kept and
+--  reused by anything asking for the status within Devices:pollinterval
+--  seconds of it, and only one check of a device runs at a time.
+
+ALTER TABLE `devices`
+  ADD COLUMN `checking` int(10) unsigned DEFAULT NULL COMMENT 'When the check under way started, NULL if the device is not being checked',
+  ADD COLUMN `checked` int(10) unsigned DEFAULT NULL COMMENT 'When the device was last checked, in seconds since the epoch',
+  ADD COLUMN `status` text DEFAULT NULL COMMENT 'The status found by the last check, as JSON';
+
+
+-- ----------------------------------------------------------------------------
+--  Limits on slow and failing slide sources
+--
+--  Orbit:sourcetimeout sets how long, in seconds, a slide source may wait for
+--  the server it fetches from to respond, and Orbit:sourceretry how long, in
+--  seconds, a failing source is left before it is tried again. Its last slides
+--  are shown in the meantime, subject to Orbit:sourcegrace.
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Orbit:sourcetimeout', '10'),
+('Orbit:sourceretry', '300');
+
+
+-- ----------------------------------------------------------------------------
+--  Fewer false frozen screen reports
+--
+--  Devices:frozenchecks sets how many checks in a row must find a screen
+--  unchanged before it is reported as frozen. The screen must also have been
+--  unchanged for longer than any slide may be shown for, taking the delays
+--  set on slide sources and Orbit:maxMediaDelay into account.
+
+INSERT IGNORE INTO `settings` (`name`, `value`) VALUES
+('Devices:frozenchecks', '3');
@@ -1,4 +1,37 @@
-function ajax_error(jqXHR, exception) {
+var polltimer;
+var polling = false;
+var pollfailures = 0;
+var lastpoll = 0;
+var bulkjobs = [];
+var bulkrunning = 0;
+
+/* Bulk operations that can be run on the selected devices. Each entry gives
+ * the path to append to the device URL, and the request method to use.
+ * Remote control commands are marked, as their responses describe the
+ * command rather than the device.
+ */
+var bulkactions = {
+    refresh:  { path: '',           type: 'GET'  },
+    reboot:   { path: '/reboot',    type: 'POST' },
+    poweron:  { path: '/power/on',  type: 'POST' },
+    poweroff: { path: '/power/off', type: 'POST' },
+    previous: { path: '/command/previous', type: 'POST', command: true },
+    pause:    { path: '/command/pause',    type: 'POST', command: true },
+    resume:   { path: '/command/resume',   type: 'POST', command: true },
+    next:     { path: '/command/next',     type: 'POST', command: true },
+    goto:     { path: '/command/goto',     type: 'POST', command: true },
+    reload:   { path: '/command/reload',   type: 'POST', command: true }
+};
+
+/* How many times to check on a command before giving up waiting for the
+ * screen to acknowledge it.
+ */
+var commandwatchtries = 24;
+
+/* Work out the message to show for a failed ajax request. If the failure
+ * was caused by the PIN lock, this locks the page and returns null.
+ */
+function ajax_message(jqXHR, exception) {
     var msg = '';
     if (jqXHR.status === 0) {
         msg = 'Not connected.\n Verify Network.';
@@ -12,11 +45,14 @@ function ajax_error(jqXHR, exception) {
         msg = 'Time out error.';
     } else if (exception === 'abort') {
         msg = 'Ajax request aborted.';
+    } else if (jqXHR.status == 400) {
+        resp = jQuery.parseJSON(jqXHR.responseText);
+        msg = resp.error.info;
     } else if (jqXHR.status == 403) {
         resp = jQuery.parseJSON(jqXHR.responseText);
         if(resp.error.info === 'You must enter your PIN to perform any API operations') {
             inactivityTime.pinlock();
-            return;
+            return null;
         } else {
             msg = 'Permission error:\n' + jqXHR.responseText;
         }
@@ -24,6 +60,13 @@ function ajax_error(jqXHR, exception) {
         msg = 'Uncaught Error.\n' + jqXHR.responseText;
     }
 
+    return msg;
+}
+
+function ajax_error(jqXHR, exception) {
+    var msg = ajax_message(jqXHR, exception);
+    if(msg === null) { return; }
+
     $('#errortext').text(msg);
     $('#errormodal').foundation('open');
 }
@@ -40,17 +83,672 @@ function set_status(container, name, status, msg)
 }
 
 
-function set_device(container, devinfo)
+/* Set the tooltip on a history strip slot to show when the slot starts,
+ * and the state of the device during it.
+ */
+function set_history_title(slot)
 {
-    var now = new Date();
+    var start = new Date($(slot).data('start') * 1000);
+    var state = $(slot).attr('class').replace('history-slot', '').trim();
+
+    $(slot).attr('title', start.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) + ': ' + historystates[state]);
+}
+
+
+function set_history(container, history)
+{
+    var strip = $(container).find('div.history').empty();
+
+    $.each(history || [], function(index, slot) {
+        var elem = $('<span>').addClass('history-slot ' + slot.state)
+                              .attr('data-start', slot.start)
+                              .appendTo(strip);
+        set_history_title(elem);
+    });
+}
+
+
+/* Set the tooltip on a screenshot timeline frame to show when the screenshot
+ * was taken, and whether the screen had changed since the one before it.
+ */
+function set_screen_title(frame)
+{
+    var taken = new Date($(frame).data('taken') * 1000);
+    var state = $(frame).attr('class').replace('screen-frame', '').replace('pinned', '').trim();
+
+    $(frame).attr('title', taken.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' }) + ': ' + screenstates[state]);
+}
+
+
+function set_screens(container, screens)
+{
+    var strip = $(container).find('div.screens').empty();
+
+    $.each(screens || [], function(index, screen) {
+        var elem = $('<span>').addClass('screen-frame ' + (screen.blank ? 'blank' : (screen.changed ? 'changed' : 'same')))
+                              .attr('data-taken', screen.taken)
+                              .attr('data-image', screen.image)
+                              .appendTo(strip);
+        set_screen_title(elem);
+    });
+}
+
 
+/* Show the specified images in the device's screenshot and its zoom. The
+ * zoom has to be removed and set up again to pick up the new image, or the
+ * old zoom containers pile up on the page.
+ */
+function show_screen(container, thumb, full)
+{
     var img = $(container).find('img.device-img');
-    img.attr("src", devinfo.status.screen.thumb+"?"+now.getTime());
-    img.data("zoom-image", devinfo.status.screen.full+"?"+now.getTime());
+
+    var zoom = img.data('ezPlus');
+    if(zoom && zoom.zoomContainer) {
+        zoom.zoomContainer.remove();
+    }
+    img.removeData('ezPlus');
+
+    img.attr("src", thumb);
+    img.data("zoom-image", full);
     img.ezPlus();
+}
+
+
+/* Show a screenshot from the timeline in place of the latest one. If frame is
+ * null, the frame pinned by the user is shown, or the latest screenshot if
+ * no frame is pinned.
+ */
+function show_screen_frame(container, frame)
+{
+    frame = frame || $(container).find('span.screen-frame.pinned')[0];
+
+    if(frame) {
+        show_screen(container, $(frame).data('image'), $(frame).data('image'));
+    } else {
+        var latest = $(container).find('img.device-img').data('latest');
+        show_screen(container, latest.thumb, latest.full);
+    }
+}
+
+
+/* Show a marker on the device if the slideshow running on it has reported
+ * script errors, with the errors in its tooltip.
+ */
+function set_script_errors(container, errors)
+{
+    $(container).find('span.scripterrors').remove();
+
+    if(errors && errors.length) {
+        $('<span class="scripterrors label warning">').attr('title', errors.join("\n"))
+                                                     .append('<i class="fa fa-bug"></i> ')
+                                                     .append(document.createTextNode(errors.length))
+                                                     .insertAfter($(container).find('span.label.heartbeat'));
+    }
+}
+
+
+/* Show the latest remote control command sent to the device, and whether
+ * the screen has carried it out.
+ */
+function set_command(container, command, msg)
+{
+    var label = $(container).find('span.label.command');
+
+    if(!command || !command.id) {
+        label.hide();
+        return;
+    }
+
+    $.each(commandcolors, function(status, color) {
+        label.removeClass(color);
+    });
+    label.addClass(commandcolors[command.status] || 'secondary')
+         .html(msg)
+         .data('command', command.id)
+         .show();
+}
+
+
+/* Check on a command until the screen has acknowledged it, or it has expired.
+ * Only the latest command sent to a device is followed.
+ */
+function watch_command(container, name, id, tries)
+{
+    $(container).data('watching', id);
+
+    setTimeout(function() {
+        if($(container).data('watching') !== id) { return; }
+
+        $.ajax({
+            url: deviceurl + "/" + name + "/commands/" + id,
+            type: 'GET',
+            success: function(result) {
+                if($(container).data('watching') !== id) { return; }
+
+                set_command(container, result.command, result.commandstr);
+
+                if((result.command.status === 'pending' || result.command.status === 'sent') && tries > 1) {
+                    watch_command(container, name, id, tries - 1);
+                }
+            },
+            // The check may fail while the server is busy, so keep trying until the tries run out
+            error: function(jqXHR, exception) {
+                if($(container).data('watching') === id && tries > 1) {
+                    watch_command(container, name, id, tries - 1);
+                }
+            }
+        });
+    }, commandwatch);
+}
+
+
+/* Send a remote control command to the slideshow running on the device.
+ */
+function send_command(container, name, command, data)
+{
+    $.ajax({
+        url: deviceurl + "/" + name + "/command/" + command,
+        type: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify(data || {}),
+        beforeSend: function() {
+            $(container).find('.remote .button')
+                .prop('disabled', true)
+                .toggleClass('disabled', true);
+        },
+        complete: function() {
+            $(container).find('.remote .button')
+                .prop('disabled', false)
+                .toggleClass('disabled', false);
+        },
+        success: function(result) {
+            set_command(container, result.command, result.commandstr);
+            watch_command(container, name, result.command.id, commandwatchtries);
+        },
+        error: function(jqXHR, exception) { ajax_error(jqXHR, exception); }
+    });
+}
+
+
+/* Ask which slide to show. If container is null, the slide is shown on all
+ * the selected devices.
+ */
+function choose_slide(container, name)
+{
+    var modal = $('#gotomodal');
+
+    $('#gotoform')[0].reset();
+    $('#gotodevice').text(container ? $(container).find('.description').text() : $('#gotodevice').data('selected'));
+    modal.data('container', container)
+         .data('name', name)
+         .foundation('open');
+}
+
+
+function set_device(container, devinfo)
+{
+    var now = new Date();
+
+    $(container).find('.description').text(devinfo.description);
+    $(container).find('.ipaddr').text(devinfo.ipaddr);
+    $(container).find('.port').text(devinfo.port);
+    $(container).find('.playlist')
+        .data('tags', devinfo.tags.join(', '))
+        .html(devinfo.statusstr.playlist);
+    $(container).find('.layout')
+        .data('layout', devinfo.layout || '')
+        .find('.layoutname').text(devinfo.statusstr.layout);
+
+    $(container).find('img.device-img').data('latest', { thumb: devinfo.status.screen.thumb+"?"+now.getTime(),
+                                                         full: devinfo.status.screen.full+"?"+now.getTime() });
+    set_screens(container, devinfo.screens);
+    show_screen_frame(container, null);
+
     set_status(container, 'alive'  , devinfo.status.alive, devinfo.statusstr.alive);
     set_status(container, 'running', devinfo.status.running, devinfo.statusstr.running);
     set_status(container, 'working', devinfo.status.working, devinfo.statusstr.working);
+    set_status(container, 'power'  , devinfo.status.power, devinfo.statusstr.power);
+    set_status(container, 'heartbeat', devinfo.status.heartbeat, devinfo.statusstr.heartbeat);
+    set_status(container, 'screen' , devinfo.status.screen.fetched && !devinfo.status.frozen && !devinfo.status.blank, devinfo.statusstr.screen);
+    set_script_errors(container, devinfo.heartbeat.errors);
+    set_command(container, devinfo.command, devinfo.statusstr.command);
+    set_history(container, devinfo.history);
+}
+
+
+/* Switch the device's screen on if it is currently off, or off if it is on.
+ */
+function toggle_power(container, name)
+{
+    var state = $(container).find('span.label.power').hasClass('success') ? 'off' : 'on';
+
+    $.ajax({
+        url: deviceurl + "/" + name + "/power/" + state,
+        type: 'POST',
+        beforeSend: function() {
+            $(container).find('.button')
+                .prop('disabled', true)
+                .toggleClass('disabled', true);
+        },
+        complete: function() {
+            $(container).find('.button')
+                .prop('disabled', false)
+                .toggleClass('disabled', false);
+        },
+        success: function(result) {
+            set_device(container, result[0]);
+        },
+        error: function(jqXHR, exception) { ajax_error(jqXHR, exception); }
+    });
+}
+
+
+/* Fetch the power schedule for the device, and show it in the schedule
+ * form so that it can be edited.
+ */
+function edit_schedule(container, name)
+{
+    $.ajax({
+        url: deviceurl + "/" + name + "/power",
+        type: 'GET',
+        success: function(result) {
+            var form     = $('#scheduleform');
+            var schedule = result.schedule || {};
+            var days     = schedule.days || {};
+
+            form[0].reset();
+            form.find('input[type="time"]').each(function() {
+                var parts = this.name.split('-');
+                var times = days[parts[0]];
+
+                $(this).val(times ? times[parts[1]] : '');
+            });
+            form.find('textarea[name="holidays"]').val((schedule.holidays || []).join("\n"));
+
+            $('#scheduleerror').hide();
+            $('#scheduledevice').text($(container).find('.description').text());
+            $('#schedulemodal').data('container', container)
+                               .data('name', name)
+                               .foundation('open');
+        },
+        error: function(jqXHR, exception) { ajax_error(jqXHR, exception); }
+    });
+}
+
+
+/* Build a power schedule from the contents of the schedule form.
+ */
+function read_schedule()
+{
+    var form     = $('#scheduleform');
+    var schedule = { days: {}, holidays: [] };
+
+    $.each(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'], function(index, day) {
+        var on  = form.find('input[name="' + day + '-on"]').val();
+        var off = form.find('input[name="' + day + '-off"]').val();
+
+        if(on || off) {
+            schedule.days[day] = { on: on, off: off };
+        }
+    });
+
+    $.each(form.find('textarea[name="holidays"]').val().split(/\s*[\r\n,]+\s*/), function(index, holiday) {
+        holiday = holiday.trim();
+        if(holiday) {
+            schedule.holidays.push(holiday);
+        }
+    });
+
+    return schedule;
+}
+
+
+/* Save the power schedule for the device being edited. If the schedule is
+ * null, the device's schedule is removed.
+ */
+function save_schedule(schedule)
+{
+    var modal     = $('#schedulemodal');
+    var container = modal.data('container');
+
+    $.ajax({
+        url: deviceurl + "/" + modal.data('name'),
+        type: 'PATCH',
+        contentType: 'application/json',
+        data: JSON.stringify({ powerschedule: schedule }),
+        beforeSend: function() {
+            modal.find('.button').prop('disabled', true);
+        },
+        complete: function() {
+            modal.find('.button').prop('disabled', false);
+        },
+        success: function(result) {
+            modal.foundation('close');
+            set_device(container, result[0]);
+        },
+        error: function(jqXHR, exception) {
+            var msg = ajax_message(jqXHR, exception);
+
+            if(msg !== null) {
+                $('#scheduleerror').text(msg).show();
+            }
+        }
+    });
+}
+
+
+/* Show the form to edit the device's settings in place of the device
+ * information, filled in with the current settings.
+ */
+function edit_device(container)
+{
+    var form = $(container).find('form.device-edit');
+
+    $.each(['description', 'ipaddr', 'port'], function(index, field) {
+        form.find('input[name="' + field + '"]').val($(container).find('.' + field).text());
+    });
+    form.find('input[name="tags"]').val($(container).find('.playlist').data('tags'));
+    form.find('select[name="layout"]').val(String($(container).find('.layout').data('layout')));
+
+    $(container).find('div.info').hide();
+    form.show().find('input').first().focus();
+}
+
+
+function end_edit_device(container)
+{
+    $(container).find('form.device-edit').hide();
+    $(container).find('div.info').show();
+}
+
+
+function save_device(container, name)
+{
+    var form = $(container).find('form.device-edit');
+    var settings = { description: form.find('input[name="description"]').val(),
+                     ipaddr:      form.find('input[name="ipaddr"]').val(),
+                     port:        form.find('input[name="port"]').val(),
+                     tags:        form.find('input[name="tags"]').val(),
+                     layout:      parseInt(form.find('select[name="layout"]').val(), 10) || null
+                   };
+
+    $.ajax({
+        url: deviceurl + "/" + name,
+        type: 'PATCH',
+        contentType: 'application/json',
+        data: JSON.stringify(settings),
+        beforeSend: function() {
+            $(container).find('.button')
+                .prop('disabled', true)
+                .toggleClass('disabled', true);
+        },
+        complete: function() {
+            $(container).find('.button')
+                .prop('disabled', false)
+                .toggleClass('disabled', false);
+        },
+        success: function(result) {
+            end_edit_device(container);
+            set_device(container, result[0]);
+        },
+        error: function(jqXHR, exception) { ajax_error(jqXHR, exception); }
+    });
+}
+
+
+/* Ask the user to confirm that the device should be deleted, and delete
+ * it if they do.
+ */
+function confirm_delete_device(container, name)
+{
+    var text = $('#deletetext');
+
+    text.text(text.data('message').replace('%(device)s', $(container).find('.description').text()));
+    $('#deleteconfirm').off('click').on('click', function() {
+        $('#deletemodal').foundation('close');
+        delete_device(container, name);
+    });
+    $('#deletemodal').foundation('open');
+}
+
+
+/* Ask the user to confirm that the device should be rebooted, and reboot it
+ * if they do. If container is null, all the selected devices are rebooted.
+ */
+function confirm_reboot(container, name)
+{
+    var text = $('#reboottext');
+
+    if(container) {
+        text.text(text.data('message').replace('%(device)s', $(container).find('.description').text()));
+    } else {
+        text.text(text.data('selected').replace('%(count)s', $('input.device-select:checked').length));
+    }
+
+    $('#rebootconfirm').off('click').on('click', function() {
+        $('#rebootmodal').foundation('close');
+
+        if(container) {
+            reboot_device(container, name);
+        } else {
+            start_bulk('reboot');
+        }
+    });
+    $('#rebootmodal').foundation('open');
+}
+
+
+function delete_device(container, name)
+{
+    $.ajax({
+        url: deviceurl + "/" + name,
+        type: 'DELETE',
+        beforeSend: function() {
+            $(container).find('.button')
+                .prop('disabled', true)
+                .toggleClass('disabled', true);
+        },
+        success: function(result) {
+            var zoom = $(container).find('img.device-img').data('ezPlus');
+            if(zoom && zoom.zoomContainer) {
+                zoom.zoomContainer.remove();
+            }
+
+            $(container).slideUp(function() {
+                $(this).remove();
+                update_selection();
+            });
+        },
+        error: function(jqXHR, exception) {
+            $(container).find('.button')
+                .prop('disabled', false)
+                .toggleClass('disabled', false);
+            ajax_error(jqXHR, exception);
+        }
+    });
+}
+
+
+/* Enable the bulk action buttons if any devices are selected, and keep the
+ * select all toggle in step with the device checkboxes.
+ */
+function update_selection()
+{
+    var boxes    = $('input.device-select');
+    var selected = boxes.filter(':checked').length;
+
+    $('#selectall').prop('checked', boxes.length && selected == boxes.length)
+                   .prop('indeterminate', selected && selected < boxes.length);
+    $('#bulkbar button.bulk').prop('disabled', !selected)
+                             .toggleClass('disabled', !selected);
+}
+
+
+function set_job_state(job, state, error)
+{
+    var msg = bulkstates[state].replace('%(error)s', error || '');
+
+    job.item.removeClass('queued running done failed')
+            .addClass(state)
+            .find('.bulk-state').text(msg);
+}
+
+
+/* Start as many queued bulk jobs as the concurrency limit allows.
+ */
+function run_bulk_jobs()
+{
+    while(bulkrunning < bulklimit && bulkjobs.length) {
+        run_bulk_job(bulkjobs.shift());
+    }
+}
+
+
+function run_bulk_job(job)
+{
+    var action = bulkactions[job.action];
+
+    ++bulkrunning;
+    $.ajax({
+        url: deviceurl + "/" + job.name + action.path,
+        type: action.type,
+        contentType: job.data ? 'application/json' : undefined,
+        data: job.data ? JSON.stringify(job.data) : undefined,
+        beforeSend: function() {
+            set_job_state(job, 'running');
+            $(job.container).find('.button')
+                .prop('disabled', true)
+                .toggleClass('disabled', true);
+        },
+        complete: function() {
+            $(job.container).find('.button')
+                .prop('disabled', false)
+                .toggleClass('disabled', false);
+
+            --bulkrunning;
+            run_bulk_jobs();
+        },
+        success: function(result) {
+            set_job_state(job, 'done');
+
+            if(action.command) {
+                set_command(job.container, result.command, result.commandstr);
+                watch_command(job.container, job.name, result.command.id, commandwatchtries);
+            } else {
+                set_device(job.container, result[0]);
+            }
+        },
+        error: function(jqXHR, exception) {
+            var msg = ajax_message(jqXHR, exception);
+
+            set_job_state(job, 'failed', msg === null ? exception : msg);
+        }
+    });
+}
+
+
+/* Queue the specified action for all of the selected devices. If data is
+ * provided, it is sent as the body of each request.
+ */
+function start_bulk(action, data)
+{
+    var queue = $('#bulkqueue');
+
+    // Clear out the results of any earlier operations that have finished
+    queue.find('li.done, li.failed').remove();
+
+    $('input.device-select:checked').each(function() {
+        var container = this.closest('div.devicerow');
+        var job = { action:    action,
+                    data:      data,
+                    container: container,
+                    name:      $(container).data('name'),
+                    item:      $('<li>').append($('<span class="bulk-device">').text($(container).find('.device-name').text().trim() + ': '))
+                                        .append($('<span class="bulk-state">'))
+                                        .appendTo(queue)
+                  };
+
+        set_job_state(job, 'queued');
+        bulkjobs.push(job);
+    });
+
+    run_bulk_jobs();
+}
+
+
+/* Work out how long to wait before polling the devices again. Polling slows
+ * down while the page is hidden, and after repeated failures.
+ */
+function poll_delay()
+{
+    var delay = pollinterval;
+
+    if(document.hidden) {
+        delay *= 5;
+    }
+
+    return delay * Math.pow(2, Math.min(pollfailures, 4));
+}
+
+
+function schedule_poll(delay)
+{
+    clearTimeout(polltimer);
+    polltimer = setTimeout(poll_devices, delay);
+}
+
+
+/* Fetch the status of all the devices, and update the device rows to match.
+ * Each device is checked separately, so that a device that is not responding
+ * only holds up its own row.
+ */
+function poll_devices()
+{
+    clearTimeout(polltimer);
+    if(polling) { return; }
+
+    var rows    = $('div.devicerow');
+    var pending = rows.length;
+    var failed  = false;
+
+    if(!pending) {
+        lastpoll = Date.now();
+        schedule_poll(poll_delay());
+        return;
+    }
+
+    polling = true;
+    rows.each(function() {
+        var container = this;
+
+        $.ajax({
+            url: deviceurl + "/" + $(container).data('name'),
+            type: 'GET',
+            timeout: polltimeout,
+            complete: function() {
+                if(--pending) { return; }
+
+                pollfailures = failed ? pollfailures + 1 : 0;
+                polling  = false;
+                lastpoll = Date.now();
+                schedule_poll(poll_delay());
+            },
+            success: function(result) {
+                if(result.length) {
+                    set_device(container, result[0]);
+                }
+            },
+            error: function(jqXHR, exception) {
+                failed = true;
+
+                // Permission problems (including the PIN lock) need the user's attention,
+                // anything else is probably temporary, so just try again later.
+                if(jqXHR.status == 403) {
+                    ajax_error(jqXHR, exception);
+                }
+            }
+        });
+    });
 }
 
 
@@ -59,6 +757,7 @@ function refresh_device(container, name)
     $.ajax({
         url: deviceurl + "/" + name,
         type: 'GET',
+        data: { refresh: 1 },
         beforeSend: function() {
             $(container).find('.button')
                 .prop('disabled', true)
@@ -112,8 +811,141 @@ $(function() {
         var container = this.closest('div.devicerow');
         var name = $(container).data('name');
 
-        reboot_device(container, name);
+        confirm_reboot(container, name);
+    });
+
+    $('button.edit').on('click', function() {
+        edit_device(this.closest('div.devicerow'));
+    });
+
+    $('form.device-edit').on('submit', function(event) {
+        var container = this.closest('div.devicerow');
+
+        event.preventDefault();
+        save_device(container, $(container).data('name'));
+    });
+
+    $('form.device-edit button.cancel').on('click', function() {
+        end_edit_device(this.closest('div.devicerow'));
+    });
+
+    $('button.power').on('click', function() {
+        var container = this.closest('div.devicerow');
+        var name = $(container).data('name');
+
+        toggle_power(container, name);
+    });
+
+    $('button.schedule').on('click', function() {
+        var container = this.closest('div.devicerow');
+        var name = $(container).data('name');
+
+        edit_schedule(container, name);
+    });
+
+    $('#scheduleform').on('submit', function(event) {
+        event.preventDefault();
+        save_schedule(read_schedule());
+    });
+
+    $('#scheduleclear').on('click', function() {
+        save_schedule(null);
+    });
+
+    $('button.delete').on('click', function() {
+        var container = this.closest('div.devicerow');
+        var name = $(container).data('name');
+
+        confirm_delete_device(container, name);
+    });
+
+    $('#selectall').on('change', function() {
+        $('input.device-select').prop('checked', this.checked);
+        update_selection();
+    });
+
+    $('input.device-select').on('change', update_selection);
+
+    $('#bulkbar button.bulk').on('click', function() {
+        var action = $(this).data('action');
+
+        // The slide to show needs to be chosen before the command can be sent
+        if(action === 'goto') {
+            choose_slide(null, null);
+        } else if(action === 'reboot') {
+            confirm_reboot(null, null);
+        } else {
+            start_bulk(action);
+        }
+    });
+
+    $('.devicerow .remote button').on('click', function() {
+        var container = this.closest('div.devicerow');
+        var name = $(container).data('name');
+        var command = $(this).data('command');
+
+        if(command === 'goto') {
+            choose_slide(container, name);
+        } else {
+            send_command(container, name, command);
+        }
+    });
+
+    $('#gotoform').on('submit', function(event) {
+        var modal = $('#gotomodal');
+        var data = { slide: $(this).find('input[name="slide"]').val().trim() };
+
+        event.preventDefault();
+        modal.foundation('close');
+
+        if(modal.data('container')) {
+            send_command(modal.data('container'), modal.data('name'), 'goto', data);
+        } else {
+            start_bulk('goto', data);
+        }
+    });
+
+    update_selection();
+
+    $('img.device-img').each(function() {
+        $(this).data('latest', { thumb: $(this).attr('src'),
+                                 full: $(this).data('zoom-image') });
+    }).ezPlus();
+
+    $('span.history-slot').each(function() {
+        set_history_title(this);
+    });
+
+    $('span.screen-frame').each(function() {
+        set_screen_title(this);
+    });
+
+    // Hovering over the screenshot timeline steps through the screenshots, and
+    // clicking a frame keeps it shown so that it can be zoomed into.
+    $('div.screens').on('mouseenter', 'span.screen-frame', function() {
+        show_screen_frame(this.closest('div.devicerow'), this);
+    });
+
+    $('div.screens').on('mouseleave', function() {
+        show_screen_frame(this.closest('div.devicerow'), null);
+    });
+
+    $('div.screens').on('click', 'span.screen-frame', function() {
+        var pinned = $(this).hasClass('pinned');
+
+        $(this).siblings().removeClass('pinned');
+        $(this).toggleClass('pinned', !pinned);
+    });
+
+    // When the page becomes visible again, poll immediately if an update is overdue,
+    // otherwise carry on at the normal rate.
+    $(document).on('visibilitychange', function() {
+        if(document.hidden) { return; }
+
+        var due = lastpoll + poll_delay() - Date.now();
+        schedule_poll(Math.max(due, 0));
     });
 
-    $('img.device-img').ezPlus();
+    lastpoll = Date.now();
+    schedule_poll(poll_delay());
 });
\ No newline at end of file
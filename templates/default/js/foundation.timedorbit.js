@@ -9,11 +9,24 @@
             //options is an object for easily adding features later.
             nameSpace = Object.keys(elem.data())[0] || 'timer',
             remain = -1,
+            pausedAt = 0,
+            pausedTotal = 0,
             start,
             timer;
 
         this.isPaused = false;
 
+        /**
+         * The total time the timer has spent paused since it was created, in
+         * milliseconds, including the current pause. Callers can compare two
+         * readings to find how long the timer was paused between them.
+         * @function
+         * @returns {Number} The total paused time, in milliseconds.
+         */
+        this.pausedTime = function () {
+            return pausedTotal + (pausedAt ? Date.now() - pausedAt : 0);
+        };
+
         this.restart = function (newduration) {
             remain = -1;
             clearTimeout(timer);
@@ -27,6 +40,10 @@
 
         this.start = function () {
             this.isPaused = false;
+            if(pausedAt) {
+                pausedTotal += Date.now() - pausedAt;
+                pausedAt = 0;
+            }
             // if(!elem.data('paused')){ return false; }//maybe implement this sanity check if used for other things.
             clearTimeout(timer);
             remain = remain <= 0 ? duration : remain;
@@ -45,6 +62,7 @@
 
         this.pause = function () {
             this.isPaused = true;
+            pausedAt = pausedAt || Date.now();
             //if(elem.data('paused')){ return false; }//maybe implement this sanity check if used for other things.
             clearTimeout(timer);
             elem.data('paused', true);
@@ -82,6 +100,9 @@
             this.$element = element;
             this.options = $.extend({}, TimedOrbit.defaults, this.$element.data(), options);
 
+            // Transitions set for slide types add to the default ones, rather than replacing them
+            this.options.typeTransitions = $.extend({}, TimedOrbit.defaults.typeTransitions, this.options.typeTransitions);
+
             this._init();
 
             Foundation.registerPlugin(this, 'TimedOrbit');
@@ -120,6 +141,13 @@
                 this.$slides.eq(0).addClass('is-active');
             }
 
+            // A slide named in the page's URL is shown first
+            var $linked = this.options.deepLink ? this._linkedSlide() : $();
+            if ($linked.length) {
+                this.$slides.filter('.is-active').removeClass('is-active').hide();
+                $linked.addClass('is-active').css({'position': 'relative', 'display': 'block'});
+            }
+
             if (!this.options.useMUI) {
                 this.$slides.addClass('no-motionui');
             }
@@ -128,14 +156,23 @@
 
             if (this.options.bullets) {
                 this._loadBullets();
+
+                if ($linked.length) {
+                    this._updateBullets(this.$slides.index($linked));
+                }
             }
 
             this._events();
 
-            if (this.options.autoPlay && this.$slides.length > 1) {
+            // A lone slide still needs the timer, to check whether it is within its schedule
+            if (this.options.autoPlay && this.$slides.length) {
                 this.geoSync();
             }
 
+            this._updateLink(this.$slides.filter('.is-active').eq(0));
+
+            this._playMedia(this.$slides.filter('.is-active').eq(0));
+
             if (this.options.accessible) { // allow wrapper to be focusable to enable arrow navigation
                 this.$wrapper.attr('tabindex', 0);
             }
@@ -150,6 +187,53 @@
             this.$bullets = this.$element.find(`.${this.options.boxOfBullets}`).find('button');
         }
 
+        /**
+         * Re-reads the slides and bullets from the DOM. This allows slides to be added to,
+         * removed from, or reordered within the container without needing to destroy and
+         * re-create the carousel. The active slide is retained if it is still present,
+         * otherwise the first slide is made active.
+         * @function
+         */
+        rescan() {
+            // Drop handlers bound to the old slide and bullet collections. Note that
+            // listeners on the element itself (slidechange, etc) must be left alone.
+            this.$element.find('*').off('.zf.timedorbit');
+            this.$element.off('mouseenter.zf.timedorbit mouseleave.zf.timedorbit');
+
+            this.$wrapper = this.$element.find(`.${this.options.containerClass}`);
+            this.$slides  = this.$element.find(`.${this.options.slideClass}`);
+
+            // Renumber the slides, updating the data cache as well as the attribute
+            this.$slides.each(function(idx) {
+                $(this).attr('data-slide', idx).data('slide', idx);
+            });
+
+            var $active = this.$slides.filter('.is-active').eq(0);
+            if (!$active.length) {
+                $active = this.$slides.eq(0).addClass('is-active').css({'position': 'relative', 'display': 'block'});
+            }
+
+            if (!this.options.useMUI) {
+                this.$slides.addClass('no-motionui');
+            }
+
+            if (this.options.bullets) {
+                this._loadBullets();
+                this._updateBullets(this.$slides.index($active));
+            }
+
+            this._events();
+
+            // If there were no slides at startup there will be no timer yet
+            if (this.options.autoPlay && !this.timer && this.$slides.length) {
+                this.geoSync();
+            }
+
+            if (this.options.accessible) {
+                this.$wrapper.attr('tabindex', 0);
+            }
+        }
+
         /**
          * Sets a `timer` object on the orbit, and starts the counter for the next slide.
          * @function
@@ -157,8 +241,11 @@
         geoSync() {
             var _this = this;
 
-            var $newSlide = this.$slides.first();
-            var delay = _this._calculateDelay($newSlide);
+            var $newSlide = this.$slides.filter('.is-active').first();
+
+            // If the first slide is outside its schedule, move on from it straight away
+            var delay = this.isScheduled($newSlide) ? _this._calculateDelay($newSlide) : 0;
+            this._transitionShown($newSlide, this._transitionFor($newSlide), delay);
             _this.$element.trigger('slidechange.zf.timedorbit', [$newSlide, delay]);
 
             this.timer = new Foundation.MutableTimer(
@@ -238,6 +325,17 @@
             this.$element.off('.resizeme.zf.trigger').on({
                 'resizeme.zf.trigger': this._prepareForTimedOrbit.bind(this)
             })
+
+            if (this.options.deepLink) {
+                $(window).off(`hashchange.zf.timedorbit.${this.$element[0].id}`)
+                    .on(`hashchange.zf.timedorbit.${this.$element[0].id}`, function() {
+                        var $linked = _this._linkedSlide();
+                        if (!$linked.length || $linked.hasClass('is-active')) { return; }
+
+                        var idx = _this.$slides.index($linked);
+                        _this.changeSlide(idx > _this.$slides.index(_this.$slides.filter('.is-active')), $linked, idx);
+                    });
+            }
             if (this.$slides.length > 1) {
 
                 if (this.options.swipe) {
@@ -275,7 +373,7 @@
                     //also need to handle enter/return and spacebar key presses
                         .on('click.zf.timedorbit touchend.zf.timedorbit', function(e){
 	                        e.preventDefault();
-                            _this.timer.start();
+                            if (_this.timer) { _this.timer.start(); }
                             _this.changeSlide($(this).hasClass(_this.options.nextClass));
                         });
                 }
@@ -362,24 +460,79 @@
             if (!this.$slides) {return; } // Don't freak out if we're in the middle of cleanup
             var $curSlide = this.$slides.filter('.is-active').eq(0);
 
+            // There is nothing to change to, but a lone slide may move in or out of its schedule
+            if (this.$slides.length < 2) {
+                if ($curSlide.length) {
+                    if (!this.isScheduled($curSlide, new Date())) {
+                        this._stopMedia($curSlide);
+                        this._blank($curSlide);
+                    } else if (this.$element.hasClass(this.options.blankClass)) {
+                        this.$element.removeClass(this.options.blankClass);
+                        this._playMedia($curSlide);
+                        this.$element.trigger('slidechange.zf.timedorbit', [$curSlide, this.options.minDelay]);
+                    }
+                }
+
+                if (this.options.autoPlay && this.timer && !this.timer.isPaused) {
+                    this.timer.restart(this.options.minDelay);
+                }
+                return false;
+            }
+
             if (/mui/g.test($curSlide[0].className)) { return false; } //if the slide is currently animating, kick out of the function
 
             var $firstSlide = this.$slides.first(),
                 $lastSlide = this.$slides.last(),
-                dirIn = isLTR ? 'Right' : 'Left',
-                dirOut = isLTR ? 'Left' : 'Right',
                 _this = this,
                 $newSlide;
 
             if (!chosenSlide) { //most of the time, this will be auto played or clicked from the navButtons.
-                $newSlide = isLTR ? //if wrapping enabled, check to see if there is a `next` or `prev` sibling, if not, select the first or last slide to fill in. if wrapping not enabled, attempt to select `next` or `prev`, if there's nothing there, the function will kick out on next step. CRAZY NESTED TERNARIES!!!!!
-                (this.options.infiniteWrap ? $curSlide.next(`.${this.options.slideClass}`).length ? $curSlide.next(`.${this.options.slideClass}`) : $firstSlide : $curSlide.next(`.${this.options.slideClass}`))//pick next slide if moving left to right
-                :
-                (this.options.infiniteWrap ? $curSlide.prev(`.${this.options.slideClass}`).length ? $curSlide.prev(`.${this.options.slideClass}`) : $lastSlide : $curSlide.prev(`.${this.options.slideClass}`));//pick prev slide if moving right to left
+                var now = new Date(),
+                    $candidate = $curSlide;
+
+                // Step through the slides until one that is within its schedule is found, giving
+                // up if every slide has been tried.
+                for (var tries = 0; tries < this.$slides.length; tries++) {
+                    $candidate = isLTR ? //if wrapping enabled, check to see if there is a `next` or `prev` sibling, if not, select the first or last slide to fill in. if wrapping not enabled, attempt to select `next` or `prev`, if there's nothing there, the function will kick out on next step. CRAZY NESTED TERNARIES!!!!!
+                    (this.options.infiniteWrap ? $candidate.next(`.${this.options.slideClass}`).length ? $candidate.next(`.${this.options.slideClass}`) : $firstSlide : $candidate.next(`.${this.options.slideClass}`))//pick next slide if moving left to right
+                    :
+                    (this.options.infiniteWrap ? $candidate.prev(`.${this.options.slideClass}`).length ? $candidate.prev(`.${this.options.slideClass}`) : $lastSlide : $candidate.prev(`.${this.options.slideClass}`));//pick prev slide if moving right to left
+
+                    if (!$candidate.length || this.isScheduled($candidate, now)) { break; }
+                }
+
+                $newSlide = $candidate;
+
+                // If no other slide can be shown, stay on the current one and check again later
+                if ($newSlide.length && $newSlide.is($curSlide)) {
+                    if (this.options.autoPlay && this.timer && !this.timer.isPaused) {
+                        this.timer.restart(this.options.minDelay);
+                    }
+
+                    this._stopMedia($curSlide);
+
+                    // If the current slide is outside its schedule too, nothing can be shown
+                    if (!this.isScheduled($curSlide, now)) {
+                        this._blank($curSlide);
+                        return;
+                    }
+
+                    // Play any media in the slide again from the start
+                    this.$element.removeClass(this.options.blankClass);
+                    this._playMedia($curSlide);
+                    this.$element.trigger('slidechange.zf.timedorbit', [$curSlide, this.options.minDelay]);
+                    return;
+                }
             } else {
                 $newSlide = chosenSlide;
             }
 
+            // A slide hidden because nothing could be shown is already off screen
+            var wasBlank = this.$element.hasClass(this.options.blankClass);
+            if ($newSlide.length) {
+                this.$element.removeClass(this.options.blankClass);
+            }
+
             if ($newSlide.length) {
                 /**
                  * Triggers before the next slide starts animating in and only if a next slide has been found.
@@ -387,27 +540,35 @@
                  */
                 this.$element.trigger('beforeslidechange.zf.timedorbit', [$curSlide, $newSlide]);
 
+                this._updateLink($newSlide);
+
                 if (this.options.bullets) {
                     idx = idx || this.$slides.index($newSlide); //grab index to update bullets
                     this._updateBullets(idx);
                 }
 
-                var delay = this.options.minDelay;
+                var delay = this.options.minDelay,
+                    transition = this._transitionFor($newSlide);
+
+                this._stopMedia($curSlide);
 
-                if (this.options.useMUI && !this.$element.is(':hidden')) {
+                if (transition && !this.$element.is(':hidden')) {
                     Foundation.Motion.animateIn(
                         $newSlide.addClass('is-active').css({'position': 'absolute', 'top': 0}),
-                        this.options[`animInFrom${dirIn}`],
+                        this._transitionClass(transition.animIn, isLTR),
                         function(){
                             $newSlide.css({'position': 'relative', 'display': 'block'})
                                 .attr('aria-live', 'polite');
 
                             delay = _this._calculateDelay($newSlide);
 
-                            if(_this.options.autoPlay && !_this.timer.isPaused){
+                            if(_this.options.autoPlay && _this.timer && !_this.timer.isPaused){
                                 _this.timer.restart(delay);
                             }
 
+                            _this._transitionShown($newSlide, transition, delay);
+                            _this._playMedia($newSlide);
+
                             /**
                              * Triggers when the slide has finished animating in.
                              * @event TimedOrbit#slidechange
@@ -415,22 +576,365 @@
                             _this.$element.trigger('slidechange.zf.timedorbit', [$newSlide, delay]);
                         });
 
-                    Foundation.Motion.animateOut(
-                        $curSlide.removeClass('is-active'),
-                        this.options[`animOutTo${dirOut}`],
-                        function(){
-                            $curSlide.removeAttr('aria-live');
-                            //do stuff?
-                        });
+                    if (wasBlank) {
+                        this._transitionHidden($curSlide);
+                        $curSlide.removeClass('is-active is-in').removeAttr('aria-live').hide();
+                    } else {
+                        Foundation.Motion.animateOut(
+                            $curSlide.removeClass('is-active'),
+                            this._transitionClass(transition.animOut, isLTR),
+                            function(){
+                                $curSlide.removeAttr('aria-live');
+                                _this._transitionHidden($curSlide);
+                            });
+                    }
                 } else {
+                    this._transitionHidden($curSlide);
                     $curSlide.removeClass('is-active is-in').removeAttr('aria-live').hide();
                     $newSlide.addClass('is-active is-in').attr('aria-live', 'polite').show();
-                    if (this.options.autoPlay && !this.timer.isPaused) {
+                    if (this.options.autoPlay && this.timer && !this.timer.isPaused) {
                         delay = _this._calculateDelay($newSlide);
                         this.timer.restart(delay);
                     }
+
+                    this._playMedia($newSlide);
+                }
+            }
+        }
+
+        /**
+         * Hides the slides because none of them may be shown, if they are not already hidden.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that was being shown.
+         * @fires TimedOrbit#slideblank
+         */
+        _blank($slide) {
+            if (this.$element.hasClass(this.options.blankClass)) { return; }
+
+            this.$element.addClass(this.options.blankClass);
+
+            /**
+             * Triggers when the slides are hidden because none of them may be shown.
+             * @event TimedOrbit#slideblank
+             */
+            this.$element.trigger('slideblank.zf.timedorbit', [$slide]);
+        }
+
+        /**
+         * Locates the slide named in the fragment of the page's URL, if the `deepLink`
+         * option is set. Slides are named by their id, following `deepLinkPrefix`.
+         * @function
+         * @private
+         * @returns {jQuery} the slide, or an empty collection if no slide is named.
+         */
+        _linkedSlide() {
+            var hash   = window.location.hash.substr(1),
+                prefix = this.options.deepLinkPrefix,
+                id;
+
+            if (hash.indexOf(prefix) !== 0) { return $(); }
+
+            try {
+                id = decodeURIComponent(hash.substr(prefix.length));
+            } catch (e) {
+                return $();
+            }
+
+            return this.$slides.filter(function() { return this.id === id; }).first();
+        }
+
+        /**
+         * Updates the fragment of the page's URL to name the specified slide, if the
+         * `deepLink` option is set. This replaces the current history entry, so that
+         * the slideshow does not fill the browser's history as it runs.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide being shown.
+         */
+        _updateLink($slide) {
+            var id = $slide.attr('id');
+            if (!this.options.deepLink || !id || !window.history.replaceState) { return; }
+
+            window.history.replaceState(window.history.state, '', `#${this.options.deepLinkPrefix}${encodeURIComponent(id)}`);
+        }
+
+        /**
+         * Works out which of the transitions in `TimedOrbit.transitions` should be used to
+         * bring the specified slide on screen. The slide's `data-transition` attribute is
+         * used if it names a known transition, then the first matching selector in the
+         * `typeTransitions` option, and finally the `transition` option. Slides are changed
+         * without any animation if Motion UI is not being used, or the screen has asked for
+         * reduced motion.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that is about to be shown.
+         * @returns {Object} the transition to use, or null to change the slide immediately.
+         */
+        _transitionFor($slide) {
+            if (!this.options.useMUI || (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)) {
+                return null;
+            }
+
+            var names = [$slide.attr('data-transition')];
+            $.each(this.options.typeTransitions, function(selector, name) {
+                if ($slide.is(selector)) { names.push(name); }
+            });
+            names.push(this.options.transition, 'slide');
+
+            for (var i = 0; i < names.length; i++) {
+                if (names[i] && TimedOrbit.transitions.hasOwnProperty(names[i])) {
+                    return TimedOrbit.transitions[names[i]] || null;
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Obtains the Motion UI class for one half of a transition.
+         * @function
+         * @private
+         * @param {string|function} animation - the class, or a function that returns it.
+         * @param {Boolean} isLTR - flag if the slide is moving left to right.
+         * @returns {string} the class to animate the slide with.
+         */
+        _transitionClass(animation, isLTR) {
+            return typeof animation === 'function' ? animation.call(this, isLTR) : animation;
+        }
+
+        /**
+         * Lets the transition a slide was brought on screen with know that the slide is now
+         * being shown, for transitions that keep animating the slide while it is up.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that has just been made active.
+         * @param {Object} transition - the transition used to show the slide, if any.
+         * @param {Number} delay - how long the slide will be shown for, in ms.
+         */
+        _transitionShown($slide, transition, delay) {
+            if (!transition) { return; }
+
+            $slide.data('transition', transition);
+            if (transition.shown) {
+                transition.shown.call(this, $slide, delay);
+            }
+        }
+
+        /**
+         * Lets the transition a slide was brought on screen with know that the slide has
+         * gone, so it can undo anything it did to the slide.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that is no longer being shown.
+         */
+        _transitionHidden($slide) {
+            var transition = $slide.data('transition');
+
+            $slide.removeData('transition');
+            if (transition && transition.hidden) {
+                transition.hidden.call(this, $slide);
+            }
+        }
+
+        /**
+         * Starts playing the video in the specified slide, if it has one, and starts loading
+         * the video in the slide after it so that it is ready to play when that is shown.
+         * Videos are played muted, and the orbit moves on to the next slide when the video
+         * ends, unless the slide has a fixed `data-delay`, in which case the video loops
+         * until the delay is up. Animated images are restarted from their first frame.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that has just been made active.
+         */
+        _playMedia($slide) {
+            var _this = this,
+                media = TimedOrbit._slideMedia($slide);
+
+            if (media) {
+                if (media.tagName === 'IMG') {
+                    var src = media.src;
+                    media.src = '';
+                    media.src = src;
+                } else {
+                    var failed = function() { _this._mediaFailed($slide, media); };
+
+                    $(media).off('.timedorbitmedia')
+                        .on('ended.timedorbitmedia', function() {
+                            if (_this.options.autoPlay && _this.timer && !_this.timer.isPaused && $slide.hasClass('is-active')) {
+                                _this.changeSlide(true);
+                            }
+                        })
+                        .on('error.timedorbitmedia', failed);
+
+                    if (media.error) {
+                        failed();
+                    } else {
+                        media.muted = true;
+                        media.loop  = this.$slides.length < 2 || !isNaN(parseFloat($slide.attr('data-delay')));
+
+                        // Playback stopped by the slide being changed is not a failure
+                        var playing = media.play();
+                        if (playing && playing.catch) {
+                            playing.catch(function(error) {
+                                if (error.name !== 'AbortError') { failed(); }
+                            });
+                        }
+                    }
                 }
             }
+
+            var $next = $slide.next(`.${this.options.slideClass}`);
+            this._preloadMedia($next.length ? $next : this.$slides.first());
+        }
+
+        /**
+         * Stops the video in the specified slide, if it has one, and rewinds it so that it
+         * plays from the start the next time the slide is shown.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that is being replaced.
+         */
+        _stopMedia($slide) {
+            var media = TimedOrbit._slideMedia($slide);
+            if (!media || media.tagName !== 'VIDEO') { return; }
+
+            $(media).off('.timedorbitmedia');
+            media.pause();
+            media.currentTime = 0;
+        }
+
+        /**
+         * Starts loading the video in the specified slide, if it has one and it has not
+         * been loaded yet. Videos that failed to load before are tried again.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide that will be shown next.
+         */
+        _preloadMedia($slide) {
+            var media = TimedOrbit._slideMedia($slide);
+            if (!media || media.tagName !== 'VIDEO' || media.readyState > 0 || $slide.hasClass('is-active')) { return; }
+
+            $(media).removeData('failed');
+            media.preload = 'auto';
+            media.load();
+        }
+
+        /**
+         * Handles the media in a slide failing to load or play. The slide is given the delay
+         * it would have had if it contained no media, so that the orbit does not wait for
+         * media that will never end.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide containing the media.
+         * @param {Element} media - the media element that failed.
+         * @fires TimedOrbit#delaychange
+         */
+        _mediaFailed($slide, media) {
+            $(media).data('failed', true);
+            if (!$slide.hasClass('is-active') || !this.options.autoPlay || !this.timer || this.timer.isPaused) { return; }
+
+            var delay = this._calculateDelay($slide);
+            this.timer.restart(delay);
+
+            /**
+             * Triggers when the delay for the current slide has been changed after it was shown.
+             * @event TimedOrbit#delaychange
+             */
+            this.$element.trigger('delaychange.zf.timedorbit', [$slide, delay]);
+        }
+
+        /**
+         * Locates the video or animated image shown in the specified slide.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide to look in.
+         * @returns {Element} the media element, or null if the slide does not contain media.
+         */
+        static _slideMedia($slide) {
+            return $slide.find('.slide-media').children('video, img')[0] || null;
+        }
+
+        /**
+         * Determines whether the specified slide may be shown at the specified time. Slides
+         * may restrict when they are shown using the following attributes, all of which are
+         * optional:
+         * - `data-show-from`, `data-show-until`: the date and time the slide should start
+         *   and stop being shown, as an ISO 8601 date string or a unix timestamp.
+         * - `data-show-days`: comma separated days of the week, or ranges of days, on which
+         *   the slide should be shown, eg: `mon-fri,sun`.
+         * - `data-show-times`: comma separated time ranges during which the slide should be
+         *   shown, eg: `08:00-10:30,16:00-18:00`. Ranges may wrap past midnight.
+         * @function
+         * @param {jQuery} $slide - the slide to check.
+         * @param {Date} now - the time to check against, defaults to the current time.
+         * @returns {Boolean} true if the slide may be shown, false if not.
+         */
+        isScheduled($slide, now) {
+            now = now || new Date();
+
+            var from  = TimedOrbit._parseDate($slide.attr('data-show-from')),
+                until = TimedOrbit._parseDate($slide.attr('data-show-until'));
+
+            if ((from && now < from) || (until && now > until)) {
+                return false;
+            }
+
+            var days = $slide.attr('data-show-days');
+            if (days && !TimedOrbit._inRanges(days, now.getDay(), function(day) {
+                return TimedOrbit.weekdays.indexOf(day.toLowerCase().substr(0, 3));
+            })) {
+                return false;
+            }
+
+            var times = $slide.attr('data-show-times');
+            if (times && !TimedOrbit._inRanges(times, (now.getHours() * 60) + now.getMinutes(), function(time) {
+                var parts = time.split(':');
+                return (parseInt(parts[0], 10) * 60) + parseInt(parts[1] || 0, 10);
+            }, true)) {
+                return false;
+            }
+
+            return true;
+        }
+
+        /**
+         * Convert a date from a slide schedule attribute into a Date object.
+         * @function
+         * @private
+         * @param {String} value - an ISO 8601 date string, or a unix timestamp.
+         * @returns {Date} the date, or null if the value is not set or not valid.
+         */
+        static _parseDate(value) {
+            if (!value) { return null; }
+
+            var date = /^\d+$/.test(value) ? new Date(parseInt(value, 10) * 1000) : new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        /**
+         * Determine whether a value falls within any of the ranges in a comma separated
+         * list of values and `start-end` ranges. Ranges may wrap around, so that `sat-mon`
+         * or `22:00-02:00` work as expected.
+         * @function
+         * @private
+         * @param {String} list - the list of values and ranges.
+         * @param {Number} value - the value to look for.
+         * @param {Function} convert - called to convert each value in the list to a number.
+         * @param {Boolean} exclusive - if true, the end of each range is excluded.
+         * @returns {Boolean} true if the value is in one of the ranges.
+         */
+        static _inRanges(list, value, convert, exclusive) {
+            return list.split(',').some(function(range) {
+                var ends  = $.trim(range).split('-'),
+                    start = convert(ends[0]),
+                    end   = ends.length > 1 ? convert(ends[1]) : start;
+
+                if (isNaN(start) || isNaN(end) || start < 0 || end < 0) { return false; }
+
+                var afterEnd = exclusive ? value >= end : value > end;
+                return start <= end ? (value >= start && !afterEnd) : (value >= start || !afterEnd);
+            });
         }
 
         /**
@@ -451,21 +955,184 @@
          * @function
          */
         destroy() {
+            $(window).off(`hashchange.zf.timedorbit.${this.$element[0].id}`);
             this.$element.off('.zf.timedorbit').find('*').off('.zf.timedorbit').end().hide();
             Foundation.unregisterPlugin(this);
         }
 
+        /**
+         * Works out how long the specified slide should be shown for. If the slide has a
+         * `data-delay` attribute, that is used as-is, and slides containing a video or
+         * animated image are shown for the length of the media; otherwise the configured delay
+         * strategy is used to estimate the delay, which is then limited to the range set
+         * by the slide's `data-min-delay` and `data-max-delay` attributes, or the
+         * `minDelay` and `maxDelay` options if the slide does not set them. Slide
+         * attributes are in seconds, options are in milliseconds.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide to calculate the delay for.
+         * @returns {Number} the delay in milliseconds.
+         */
         _calculateDelay($slide) {
-            var content = $slide.find('.slide');
-            var height  = $(content).height();
-            var slide   = $slide.height();
+            var fixed = parseFloat($slide.attr('data-delay'));
+            if (!isNaN(fixed)) {
+                return fixed * 1000;
+            }
 
-            if(height > slide) { height = slide; }
-            return this.options.minDelay + ( (this.options.maxDelay - this.options.minDelay) *
-                                             ( height / slide ));
+            var media = this._mediaDelay($slide);
+            if (media !== null) {
+                return media;
+            }
+
+            var min = parseFloat($slide.attr('data-min-delay')),
+                max = parseFloat($slide.attr('data-max-delay'));
+
+            min = isNaN(min) ? this.options.minDelay : min * 1000;
+            max = isNaN(max) ? this.options.maxDelay : max * 1000;
+            if (max < min) { max = min; }
+
+            var strategy = this.options.delayStrategy;
+            if (typeof strategy !== 'function') {
+                strategy = TimedOrbit.delayStrategies[strategy] || TimedOrbit.delayStrategies.height;
+            }
+
+            var delay = strategy.call(this, $slide, min, max);
+            return Math.min(max, Math.max(min, delay));
+        }
+
+        /**
+         * Works out how long a slide containing a video or animated image should be shown
+         * for. This is the length of the media, if it is known, limited by the slide's
+         * `data-max-delay` attribute or the `maxMediaDelay` option. Videos normally move the
+         * orbit on themselves when they end, so if the length of a video is not known yet
+         * the limit is used. Animated images can only give their length through the slide's
+         * `data-media-duration` attribute, in seconds.
+         * @function
+         * @private
+         * @param {jQuery} $slide - the slide to calculate the delay for.
+         * @returns {Number} the delay in milliseconds, or null if the slide has no media, or
+         *          its media failed, and should be timed like any other slide.
+         */
+        _mediaDelay($slide) {
+            var media = TimedOrbit._slideMedia($slide);
+            if (!media || $(media).data('failed')) { return null; }
+
+            var max = parseFloat($slide.attr('data-max-delay'));
+            max = isNaN(max) ? this.options.maxMediaDelay : max * 1000;
+
+            if (media.tagName === 'IMG') {
+                var length = parseFloat($slide.attr('data-media-duration'));
+                return isNaN(length) ? null : Math.min(max, length * 1000);
+            }
+
+            // Leave the video a moment to reach its end, in case playback is slow to start
+            return isFinite(media.duration) ? Math.min(max, (media.duration * 1000) + this.options.mediaGrace) : max;
         }
     }
 
+    /**
+     * Day names, in the order used by `Date.getDay()`, for `data-show-days`.
+     */
+    TimedOrbit.weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    /**
+     * The available delay strategies. Each strategy is called with the orbit as `this`,
+     * and is passed the slide and the minimum and maximum delay in milliseconds. It
+     * should return the delay to use for the slide in milliseconds. Additional
+     * strategies may be added here, or a function may be set as the `delayStrategy`.
+     */
+    TimedOrbit.delayStrategies = {
+        /**
+         * Scale the delay by the proportion of the slide the content takes up.
+         */
+        height: function($slide, min, max) {
+            var height = $slide.find('.slide').height(),
+                slide  = $slide.height();
+
+            if (height > slide) { height = slide; }
+            return min + ((max - min) * (height / slide));
+        },
+
+        /**
+         * Estimate how long it will take to read the slide from the number of words
+         * in it, plus a fixed amount of time for each image in the slide content.
+         */
+        reading: function($slide, min, max) {
+            var text   = $.trim($slide.find('.slide').text()),
+                words  = text ? text.split(/\s+/).length : 0,
+                images = $slide.find('.slide-content img').length;
+
+            return (words * 60000 / this.options.wordsPerMinute) + (images * this.options.imageDelay);
+        }
+    };
+
+    /**
+     * The available slide transitions. Each transition contains the Motion UI classes used
+     * to animate the new slide in (`animIn`) and the old slide out (`animOut`); either may
+     * be a function, called with the orbit as `this` and passed whether the slides are
+     * moving left to right, that returns the class. Transitions may also set `shown` and
+     * `hidden` functions, which are called with the orbit as `this` when a slide brought
+     * in by the transition has been shown, with the slide and its delay in milliseconds,
+     * and when it has gone again, with the slide. A transition set to `false` changes the
+     * slide without any animation. Additional transitions may be added here.
+     */
+    TimedOrbit.transitions = {
+        /**
+         * Slide the new slide in from the side, using the `animInFrom...` and
+         * `animOutTo...` options.
+         */
+        slide: {
+            animIn:  function(isLTR) { return this.options[`animInFrom${isLTR ? 'Right' : 'Left'}`]; },
+            animOut: function(isLTR) { return this.options[`animOutTo${isLTR ? 'Left' : 'Right'}`]; }
+        },
+
+        /**
+         * Fade the new slide in over the old one.
+         */
+        crossfade: {
+            animIn:  'timedorbit-fade-in',
+            animOut: 'timedorbit-fade-out'
+        },
+
+        /**
+         * Grow the new slide in while the old one grows and fades away.
+         */
+        zoom: {
+            animIn:  'timedorbit-zoom-in',
+            animOut: 'timedorbit-zoom-out'
+        },
+
+        /**
+         * Push the old slide up off the screen with the new one.
+         */
+        pushup: {
+            animIn:  'timedorbit-push-in',
+            animOut: 'timedorbit-push-out'
+        },
+
+        /**
+         * Fade the new slide in, then slowly pan and zoom across its images for as
+         * long as it is shown.
+         */
+        kenburns: {
+            animIn:  'timedorbit-fade-in',
+            animOut: 'timedorbit-fade-out',
+            shown: function($slide, delay) {
+                $slide.addClass('timedorbit-kenburns')
+                    .find('.slide-content img').css('animation-duration', `${delay}ms`);
+            },
+            hidden: function($slide) {
+                $slide.removeClass('timedorbit-kenburns')
+                    .find('.slide-content img').css('animation-duration', '');
+            }
+        },
+
+        /**
+         * Change the slide straight away.
+         */
+        none: false
+    };
+
     TimedOrbit.defaults = {
         /**
          * Tells the JS to look for and loadBullets.
@@ -510,6 +1177,23 @@
          * @default 'slide-out-left'
          */
         animOutToLeft: 'slide-out-left',
+        /**
+         * The name of the transition in `TimedOrbit.transitions` to use for slides that do
+         * not choose their own.
+         * @option
+         * @type {string}
+         * @default 'slide'
+         */
+        transition: 'slide',
+        /**
+         * Transitions to use for particular types of slide, as an object mapping selectors
+         * that match the slides to the names of transitions in `TimedOrbit.transitions`.
+         * These are added to the default, which shows image-only slides with `kenburns`.
+         * @option
+         * @type {object}
+         * @default { ':has(.slide-imageonly)': 'kenburns' }
+         */
+        typeTransitions: { ':has(.slide-imageonly)': 'kenburns' },
         /**
          * Allows TimedOrbit to automatically animate on page load.
          * @option
@@ -531,6 +1215,44 @@
          * @default 5000
          */
         maxDelay: 15000,
+        /**
+         * How the delay for each slide should be calculated. This may be the name of one
+         * of the strategies in `TimedOrbit.delayStrategies`, or a function.
+         * @option
+         * @type {string|function}
+         * @default 'reading'
+         */
+        delayStrategy: 'reading',
+        /**
+         * Reading speed used by the `reading` delay strategy, in words per minute.
+         * @option
+         * @type {number}
+         * @default 200
+         */
+        wordsPerMinute: 200,
+        /**
+         * Time added for each image in the slide by the `reading` delay strategy, in ms.
+         * @option
+         * @type {number}
+         * @default 2000
+         */
+        imageDelay: 2000,
+        /**
+         * The longest time, in ms, a slide containing a video or animated image is shown for.
+         * Slides may set a different limit with their `data-max-delay` attribute.
+         * @option
+         * @type {number}
+         * @default 300000
+         */
+        maxMediaDelay: 300000,
+        /**
+         * Time added to the length of a video, in ms, before the slide is changed if the
+         * video has not already ended.
+         * @option
+         * @type {number}
+         * @default 1000
+         */
+        mediaGrace: 1000,
         /**
          * Allows TimedOrbit to infinitely loop through the slides
          * @option
@@ -594,6 +1316,14 @@
          * @default 'orbit-previous'
          */
         prevClass: 'timedorbit-previous',
+        /**
+         * Class applied to the orbit while none of its slides are within their schedule,
+         * to hide the slides until one of them may be shown.
+         * @option
+         * @type {string}
+         * @default 'is-blank'
+         */
+        blankClass: 'is-blank',
         /**
          * Boolean to flag the js to use motion ui classes or not. Default to true for backwards compatability.
          * @option
@@ -601,6 +1331,21 @@
          * @default true
          */
         useMUI: true,
+        /**
+         * Keep the fragment of the page's URL pointing at the slide being shown, and show
+         * the slide it names when the page is loaded or the fragment is changed.
+         * @option
+         * @type {boolean}
+         * @default false
+         */
+        deepLink: false,
+        /**
+         * The text that comes before the slide id in the URL fragment, if `deepLink` is set.
+         * @option
+         * @type {string}
+         * @default 'slide-'
+         */
+        deepLinkPrefix: 'slide-',
 
         setHeight: true
     };
@@ -0,0 +1,84 @@
+/* Scale the preview frame so that the big screen sized slideshow inside it
+ * fits the width available on the page.
+ */
+function scale_preview()
+{
+    var $box   = $('.previewframe');
+    if(!$box.length) { return; }
+
+    var scale  = $box.width() / 1920;
+
+    $box.height(Math.round(1080 * scale));
+    $('#previewframe').css('transform', 'scale(' + scale + ')');
+}
+
+
+/* Show the argument form for the selected module. The forms for other
+ * modules are disabled, so their fields are neither checked nor submitted.
+ */
+function select_module()
+{
+    var module = $('#module').val();
+
+    $('.argset').each(function() {
+        var $set   = $(this);
+        var active = (String($set.data('module')) === module);
+
+        $set.prop('disabled', !active).toggle(active);
+    });
+}
+
+
+/* Enable the zone source fields for the zones in the selected layout
+ * arrangement. Fields for other zones are disabled so they are not submitted.
+ */
+function select_arrangement()
+{
+    var arrangement = $('#arrangement').val();
+
+    $('.zonefield').each(function() {
+        var $field = $(this);
+        var active = ($.inArray(arrangement, String($field.data('arrangements')).split(' ')) !== -1);
+
+        $field.prop('disabled', !active).toggle(active);
+    });
+}
+
+
+/* Submit the current contents of the form to the preview page, showing the
+ * result in the preview frame rather than saving the source or layout.
+ */
+function show_preview()
+{
+    var form   = $('#preview').closest('form').get(0);
+    var action = form.getAttribute('action');
+    var target = form.getAttribute('target');
+
+    // Submitting via script skips the browser's checks on the fields
+    if(form.reportValidity && !form.reportValidity()) { return; }
+
+    $('#previewbox').show();
+    scale_preview();
+
+    form.setAttribute('action', previewurl);
+    form.setAttribute('target', 'previewframe');
+    form.submit();
+
+    // Put the form back so that the normal submit button still saves the source
+    if(action === null) { form.removeAttribute('action'); } else { form.setAttribute('action', action); }
+    if(target === null) { form.removeAttribute('target'); } else { form.setAttribute('target', target); }
+}
+
+
+$(function() {
+    $('#module').on('change', select_module);
+    $('#arrangement').on('change', select_arrangement);
+    select_arrangement();
+    $('#preview').on('click', show_preview);
+
+    // Weights take effect as soon as they are chosen
+    $('.feed-weight select').on('change', function() {
+        this.form.submit();
+    });
+    $(window).on('resize', scale_preview);
+});
@@ -1,3 +1,18 @@
+var orbit;
+var maxloops = loops;
+var offlinesince = null;
+var retrytimer;
+var $lastslide = null;
+var lastloaded;
+var lastheartbeat = 0;
+var scripterrors = [];
+var remotepaused = false;
+var currentalert = null;
+var alerttimer;
+var zoneorbits = {};
+var playback = null;
+var playbackqueue = [];
+
 function _calculateCoverage($slide) {
     var content = $slide.find('.slide-content');
     var height  = $(content).height();
@@ -9,7 +24,1144 @@ function _calculateCoverage($slide) {
 }
 
 
+function set_autofloat($elem)
+{
+    var img = $elem.find('img.autofloat');
+    if(img) {
+        var coverage = _calculateCoverage($elem);
+        if(coverage > 75) {
+            img.addClass('float-right');
+        } else {
+            img.removeClass('float-right');
+            img.addClass('float-left');
+        }
+    }
+}
+
+
+/* Find the orbit that runs the specified carousel: the main slideshow, or
+ * the carousel for one of the other zones in the layout. This will be
+ * undefined while the page is still being set up.
+ */
+function orbit_for($show)
+{
+    return $show.is('#slideshow') ? orbit : zoneorbits[$show.data('zone')];
+}
+
+
+/* Determine whether the content of a slide fits within the slide.
+ */
+function slide_fits($slide)
+{
+    return $slide.children('.slide').outerHeight(true) <= $slide.height();
+}
+
+
+/* Remove the continuation pages that a slide was split into. A page that
+ * is being shown is retired, and removed once it has been replaced.
+ */
+function remove_pages($slide)
+{
+    $.each($slide.data('pages') || [], function(index, page) {
+        if($(page).hasClass('is-active')) {
+            $(page).addClass('is-retired');
+        } else {
+            $(page).remove();
+        }
+    });
+
+    $slide.data('pages', []);
+}
+
+
+/* Split the content of a slide that is too long to fit into pages, moving
+ * as much of the content as will fit onto each page. The slide becomes the
+ * first page, and copies of it are inserted after it for the rest.
+ */
+function split_slide($slide, $content)
+{
+    var nodes = $content.contents().detach().toArray();
+    var pages = [[]];
+
+    $.each(nodes, function(index, node) {
+        var page = pages[pages.length - 1];
+
+        $content.append(node);
+
+        // Anything too big to fit even on a page of its own is left to overflow
+        if(!slide_fits($slide) && page.length) {
+            $content.contents().detach();
+            $content.append(node);
+            pages.push([node]);
+        } else {
+            page.push(node);
+        }
+    });
+
+    if(pages.length < 2) { return; }
+
+    var continuations = [];
+    $.each(pages, function(index, nodes) {
+        var $page = $slide;
+
+        if(index) {
+            $page = $slide.clone().attr({ id: ($slide.attr('id') || '') + '-' + (index + 1),
+                                          style: 'display: none' })
+                                  .removeClass('is-active is-in is-retired')
+                                  .removeAttr('aria-live')
+                                  .addClass('slide-continuation');
+            $page.find('.slide-page').remove();
+            continuations.push($page[0]);
+        }
+
+        $page.find('.slide-content').empty().append(nodes);
+
+        var $marker = $page.find('.slide-byline');
+        if(!$marker.length) { $marker = $page.children('.slide'); }
+        $marker.append($('<span class="slide-page float-right">').text((index + 1) + '/' + pages.length));
+    });
+
+    $slide.after(continuations).data('pages', continuations);
+}
+
+
+/* Scale down the text in a slide until its content fits, down to the
+ * fitfont minimum, and split the slide into continuation pages if the
+ * content is still too long.
+ */
+function fit_content($slide)
+{
+    var $content = $slide.find('.slide-content');
+    if(!$content.length) { return; }
+
+    // Slides that are not being shown have to be displayed to be measured
+    var style = $slide.attr('style');
+    if(!$slide.hasClass('is-active')) {
+        $slide.css({ display: 'block', visibility: 'hidden', position: 'absolute', top: 0, left: 0 });
+    }
+
+    // Nothing can be measured while the carousel itself is hidden
+    if($slide.height() > 0) {
+        var size = fitfont.max;
+
+        $content.css('font-size', size + '%');
+        while(!slide_fits($slide) && size > fitfont.min) {
+            size = Math.max(size - 5, fitfont.min);
+            $content.css('font-size', size + '%');
+        }
+
+        if(!slide_fits($slide)) {
+            split_slide($slide, $content);
+        }
+    }
+
+    if(typeof style === 'undefined') {
+        $slide.removeAttr('style');
+    } else {
+        $slide.attr('style', style);
+    }
+}
+
+
+/* Make the content of a slide fit within its carousel, starting again from
+ * the slide's original content. The size of images is not known until they
+ * have loaded, so slides containing images that are still loading are
+ * fitted once they have all arrived.
+ */
+function fit_slide($slide, $show)
+{
+    remove_pages($slide);
+    $slide.children('.slide').html($slide.data('source'));
+    set_autofloat($slide);
+
+    var $images = $slide.find('img');
+    var loading = function() { return $images.filter(function() { return !this.complete; }).length; };
+
+    if(!loading()) {
+        fit_content($slide);
+        return;
+    }
+
+    $images.one('load error', function() {
+        // Ignore images left over from before the slide was last fitted
+        if(!$.contains($slide[0], this) || loading()) { return; }
+
+        fit_content($slide);
+        build_bullets($show);
+        if(orbit_for($show)) { orbit_for($show).rescan(); }
+    });
+}
+
+
+/* Fit all the slides in a carousel, and update the carousel to include any
+ * continuation pages.
+ */
+function fit_slides($show)
+{
+    $show.find('.timedorbit-slide').not('.slide-continuation, .is-retired').each(function() {
+        fit_slide($(this), $show);
+    });
+
+    build_bullets($show);
+    if(orbit_for($show)) { orbit_for($show).rescan(); }
+}
+
+
+/* Generate a key that identifies the specified slide. Slides may be
+ * duplicated within the slide list, so the key includes the number
+ * of times the slide's id has been seen so far.
+ */
+function slide_key(elem, seen)
+{
+    var id = $(elem).attr('id') || '';
+
+    seen[id] = (seen[id] || 0) + 1;
+    return id + '|' + seen[id];
+}
+
+
+/* Copy the attributes of a newly fetched slide onto the slide already
+ * in the page, preserving the state that the orbit has set on it. Any
+ * attributes the new slide no longer has, such as a schedule that has
+ * been removed, are dropped.
+ */
+function copy_attributes($from, $to)
+{
+    var active = $to.hasClass('is-active');
+
+    $.each($.makeArray($to[0].attributes), function(index, attr) {
+        if(attr.name !== 'style' && attr.name !== 'data-slide' && !$from[0].hasAttribute(attr.name)) {
+            $to.removeAttr(attr.name);
+        }
+    });
+
+    $.each($from[0].attributes, function(index, attr) {
+        if(attr.name !== 'style' && attr.name !== 'data-slide') {
+            $to.attr(attr.name, attr.value);
+        }
+    });
+
+    $to.toggleClass('is-active', active);
+}
+
+
+/* Convert the HTML for a slide, as returned by the slides API, into a
+ * slide element that can be added to the slideshow container.
+ */
+function build_slide(html)
+{
+    html = html.replace(/%\(active\)s/g, '')
+               .replace(/%\(style\)s/g, 'display: none')
+               .replace(/%\(slidenum\)s/g, '0');
+
+    return $($.parseHTML($.trim(html))).filter('.timedorbit-slide').first();
+}
+
+
+/* Regenerate the bullet buttons to match the slides in the container.
+ * Carousels without bullets are left alone.
+ */
+function build_bullets($show)
+{
+    var $nav = $show.find('.timedorbit-bullets').empty();
+
+    $show.find('.timedorbit-slide').each(function(index) {
+        $('<button>').attr('data-slide', index)
+                     .toggleClass('is-active', $(this).hasClass('is-active'))
+                     .appendTo($nav);
+    });
+}
+
+
+/* Given a list of slides fetched from the server, update the slides shown
+ * in the slideshow to match. Slides that are already present are updated
+ * in place if their content has changed, new slides are added, and slides
+ * no longer in the list are removed. The main slideshow is updated unless
+ * the carousel for another zone, and its orbit, are given.
+ */
+function update_slides(slides, $show, showorbit)
+{
+    $show     = $show || $('#slideshow');
+    showorbit = showorbit || orbit;
+
+    var $container = $show.find('.timedorbit-container');
+    var current = {};
+    var seen = {};
+    var keep = [];
+    var refit = [];
+
+    // Continuation pages are regenerated from the slides they belong to
+    $container.children('.timedorbit-slide').not('.slide-continuation').each(function() {
+        current[slide_key(this, seen)] = this;
+    });
+
+    seen = {};
+    $.each(slides, function(index, html) {
+        if(!html) { return; }
+
+        var $newslide = build_slide(html);
+        if(!$newslide.length) { return; }
+
+        var key     = slide_key($newslide[0], seen);
+        var content = $newslide.children('.slide').html();
+        var $slide  = current[key] ? $(current[key]) : null;
+
+        if($slide) {
+            delete current[key];
+
+            // Only touch the slide if its content has actually changed
+            if($slide.data('source') !== content) {
+                copy_attributes($newslide, $slide);
+                $slide.data('source', content);
+                refit.push($slide[0]);
+            }
+        } else {
+            $slide = $newslide.data('source', content);
+            refit.push($slide[0]);
+        }
+
+        keep.push($slide[0]);
+    });
+
+    // Anything left over is no longer in the slide list. The active slide can't
+    // be removed while it is being shown, so it is retired on the next change.
+    $.each(current, function(key, elem) {
+        remove_pages($(elem));
+
+        if($(elem).hasClass('is-active')) {
+            keep.unshift($(elem).addClass('is-retired')[0]);
+        } else {
+            $(elem).remove();
+        }
+    });
+
+    $container.append(keep);
+
+    // Slides can only be measured once they are in the page. Pages of slides
+    // that have not changed need to move with them.
+    $.each(keep, function(index, elem) {
+        if(refit.indexOf(elem) !== -1) {
+            fit_slide($(elem), $show);
+        } else {
+            $(elem).after($(elem).data('pages') || []);
+        }
+    });
+
+    build_bullets($show);
+    showorbit.rescan();
+}
+
+
+/* Remove any slides that were dropped from a carousel while they were
+ * being shown, once they are no longer the active slide.
+ */
+function remove_retired($show, showorbit)
+{
+    var $retired = $show.find('.timedorbit-slide.is-retired').not('.is-active');
+
+    if($retired.length) {
+        $retired.remove();
+        build_bullets($show);
+        showorbit.rescan();
+    }
+}
+
+
+/* Set the speed of a ticker so that headlines scroll past at the same rate
+ * however many of them there are.
+ */
+function start_ticker($ticker)
+{
+    var $items = $ticker.find('.ticker-items');
+
+    $items.css('animation-duration', Math.max($items.outerWidth() / tickerspeed, 1) + 's');
+}
+
+
+/* Replace the headlines in a ticker with those fetched from the server.
+ */
+function update_ticker($ticker, headlines)
+{
+    var $items = $ticker.find('.ticker-items').empty();
+
+    $.each(headlines, function(index, headline) {
+        $('<li>').addClass('ticker-item').text(headline).appendTo($items);
+    });
+
+    start_ticker($ticker);
+}
+
+
+/* Update the content of the zones in the page's layout that show the items
+ * from a slide source. Like the main slideshow, zones are never emptied
+ * because of an empty response.
+ */
+function update_zones(zones)
+{
+    $.each(zones || {}, function(name, content) {
+        if(!content || !content.length) { return; }
+
+        var $zone = $('#zone-' + name);
+        if($zone.hasClass('ticker')) {
+            update_ticker($zone, content);
+        } else if(zoneorbits[name]) {
+            update_slides(content, $zone, zoneorbits[name]);
+        }
+    });
+}
+
+
+/* Show the current time and date in any clock zones in the layout.
+ */
+function update_clocks()
+{
+    var now = new Date();
+
+    $('.clock-time').text(now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+    $('.clock-date').text(now.toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' }));
+}
+
+
+/* The last good set of slides is kept in IndexedDB, so that it survives
+ * a restart of the browser while the server is unreachable.
+ */
+function open_slidestore(callback)
+{
+    if(!window.indexedDB) { return; }
+
+    var request = indexedDB.open('bigscreen', 1);
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore('slides');
+    };
+    request.onsuccess = function() {
+        callback(request.result);
+    };
+    request.onerror = function() {
+        record_error("Unable to open slide store: " + request.error);
+    };
+}
+
+
+function store_slides(slides, zones)
+{
+    open_slidestore(function(db) {
+        var transaction = db.transaction('slides', 'readwrite');
+
+        transaction.objectStore('slides').put({ slides: slides, zones: zones || {}, fetched: Date.now() }, 'current');
+        transaction.oncomplete = function() { db.close(); };
+    });
+}
+
+
+function load_stored_slides(callback)
+{
+    open_slidestore(function(db) {
+        var request = db.transaction('slides', 'readonly').objectStore('slides').get('current');
+
+        request.onsuccess = function() {
+            db.close();
+            callback(request.result);
+        };
+    });
+}
+
+
+/* Ask the service worker to keep copies of all the images in the current
+ * slides, so they can still be shown if the server goes away.
+ */
+function cache_images()
+{
+    if(!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) { return; }
+
+    var urls = [];
+    $('#slideshow img, .zone-carousel img').each(function() {
+        if(this.src && urls.indexOf(this.src) === -1) { urls.push(this.src); }
+    });
+
+    navigator.serviceWorker.controller.postMessage({ type: 'images', urls: urls });
+}
+
+
+/* Update the offline marker in the footer to reflect whether the last
+ * attempt to contact the server succeeded.
+ */
+function set_offline(offline)
+{
+    var $marker = $('#offline');
+
+    if(offline) {
+        if(!offlinesince) {
+            offlinesince = new Date();
+
+            var time = ('0' + offlinesince.getHours()).slice(-2) + ':' + ('0' + offlinesince.getMinutes()).slice(-2);
+            $marker.text($marker.data('message').replace('%(time)s', time)).show();
+        }
+    } else {
+        offlinesince = null;
+        $marker.hide().text('');
+    }
+}
+
+
+/* Ask the server for the current slide list, and update the slideshow
+ * with the new content. If the server can not be reached, the current
+ * slides are left in place and the request is retried periodically. If
+ * a callback is given, it is called with the outcome of the first attempt.
+ * Previews have no slide url, and only ever show the slides in the page.
+ */
+function fetch_slides(done)
+{
+    clearTimeout(retrytimer);
+
+    if(!slidesurl) {
+        if(done) { done(true); }
+        return;
+    }
+
+    $.ajax({
+        url: slidesurl,
+        type: 'GET',
+        dataType: 'json',
+        cache: false,
+        timeout: 30000,
+        success: function(result) {
+            set_offline(false);
+
+            // Never blank the screen because of an empty response
+            if(result.slides && result.slides.length) {
+                update_slides(result.slides);
+                update_zones(result.zones);
+                lastloaded = Date.now();
+
+                if(!visitor) {
+                    store_slides(result.slides, result.zones);
+                    cache_images();
+                }
+            }
+
+            if(done) { done(true); }
+        },
+        error: function(jqXHR, exception) {
+            set_offline(true);
+            retrytimer = setTimeout(fetch_slides, retrydelay);
+
+            if(done) { done(false, "Slide fetch failed: " + exception); }
+        }
+    });
+}
+
+
+/* Work out a title for the slide to show in the devices page and reports.
+ */
+function slide_title($slide)
+{
+    return $.trim($slide.find('.slide-title, .slide-content h1, .slide-content h2').first().text());
+}
+
+
+/* Tell the server which slide is being shown, so the devices page can show
+ * what each screen is doing. This only happens if the page was loaded with
+ * a device name, and failures are ignored as the server may be unreachable.
+ */
+function send_heartbeat($slide)
+{
+    if(!heartbeaturl) { return; }
+
+    lastheartbeat = Date.now();
+    $.ajax({
+        url: heartbeaturl,
+        type: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ slide:  $slide.attr('id') || '',
+                               title:  slide_title($slide),
+                               count:  $('#slideshow .timedorbit-slide').length,
+                               loaded: Math.floor(lastloaded / 1000),
+                               paused: remotepaused ? 1 : 0,
+                               alert:  currentalert ? 1 : 0,
+                               errors: scripterrors
+                             }),
+        timeout: 10000
+    });
+}
+
+
+/* Show a QR code for the link attached to the current slide, so viewers can
+ * follow it to the full item. Slides without a link, or browsers where the QR
+ * code library is not available, show the Tell Us QR code instead.
+ */
+function show_qr($slide)
+{
+    var $qr  = $('#slide-qr');
+    var link = $slide ? $slide.attr('data-link') : undefined;
+
+    if(!$qr.length) { return; }
+
+    if(link && window.QRCode) {
+        // Continuation pages share their slide's link, so only regenerate on change
+        if($qr.data('link') !== link) {
+            $qr.empty();
+            new QRCode($qr[0], { text: link,
+                                 width: 128,
+                                 height: 128,
+                                 correctLevel: QRCode.CorrectLevel.M
+                               });
+            $qr.data('link', link);
+        }
+    } else {
+        link = undefined;
+    }
+
+    $qr.toggle(!!link);
+    $('.slide-qr-text').toggle(!!link);
+    $('.tellus-qr, .tellus-text').toggle(!link);
+}
+
+
+/* Finish the playback record for the slide being shown, if there is one,
+ * and queue it to be sent to the server. Time the slideshow spent paused is
+ * taken from the orbit's timer, so that it covers every kind of pause.
+ */
+function end_playback()
+{
+    if(!playback) { return; }
+
+    var now      = Date.now();
+    var duration = now - playback.start;
+    var paused   = orbit && orbit.timer ? orbit.timer.pausedTime() - playback.paused : 0;
+
+    playbackqueue.push({ slide:    playback.slide,
+                         title:    playback.title,
+                         source:   playback.source,
+                         start:    Math.floor(playback.start / 1000),
+                         duration: duration,
+                         paused:   Math.min(Math.max(paused, 0), duration)
+                       });
+    playback = null;
+
+    // Only keep the most recent records if the server has been away for a long time
+    if(playbackqueue.length > 500) {
+        playbackqueue.splice(0, playbackqueue.length - 500);
+    }
+}
+
+
+/* Start a playback record for the specified slide, finishing the record for
+ * the previous slide. Continuation pages count towards the display of the
+ * slide they were split from.
+ */
+function start_playback($slide)
+{
+    if(!playbackurl) { return; }
+
+    var id = $slide.attr('id') || '';
+    if($slide.hasClass('slide-continuation')) {
+        id = id.replace(/-\d+$/, '');
+        if(playback && playback.slide === id) { return; }
+    }
+
+    end_playback();
+
+    var source = parseInt($slide.attr('data-sourceid'), 10);
+    playback = { slide:  id,
+                 title:  slide_title($slide),
+                 source: isNaN(source) ? null : source,
+                 start:  Date.now(),
+                 paused: orbit && orbit.timer ? orbit.timer.pausedTime() : 0
+               };
+
+    if(playbackqueue.length >= playbackbatch) {
+        send_playback();
+    }
+}
+
+
+/* Send the queued playback records to the server. If the server can not be
+ * reached the records are kept to send with the next batch. When the page
+ * is being unloaded there is no chance to retry, so the records are sent as
+ * a beacon instead.
+ */
+function send_playback(unloading)
+{
+    if(!playbackurl || !playbackqueue.length) { return; }
+
+    var records = playbackqueue.splice(0, playbackqueue.length);
+    var body    = JSON.stringify({ records: records });
+
+    if(unloading) {
+        if(navigator.sendBeacon) {
+            navigator.sendBeacon(playbackurl, new Blob([ body ], { type: 'application/json' }));
+        }
+        return;
+    }
+
+    $.ajax({
+        url: playbackurl,
+        type: 'POST',
+        contentType: 'application/json',
+        data: body,
+        timeout: 30000,
+        error: function(jqXHR) {
+            // Records the server rejected will never be accepted, so drop them
+            if(jqXHR.status === 400) { return; }
+
+            playbackqueue = records.concat(playbackqueue);
+            if(playbackqueue.length > 500) {
+                playbackqueue.splice(0, playbackqueue.length - 500);
+            }
+        }
+    });
+}
+
+
+/* Restart the timer display to count down the delay for the current slide.
+ */
+function show_delay(delay)
+{
+    // Slides may be shown for longer than the default maximum, so make sure the
+    // timer's full circle always covers the delay chosen for the slide
+    $('#timer').data('timer', delay / 1000);
+    $('#timer').TimeCircles({ total_duration: Math.max(delay, delays.maxDelay) / 1000 }).restart();
+
+    // A slide chosen by remote control while stopped should stay up
+    if(orbit && orbit.timer && orbit.timer.isPaused) {
+        $('#timer').TimeCircles().stop();
+    }
+}
+
+
+/* Stop the slideshow moving on to the next slide, and the timer display.
+ */
+function pause_rotation()
+{
+    if(orbit.timer) { orbit.timer.pause(); }
+    $('#timer').TimeCircles().stop();
+}
+
+
+function resume_rotation()
+{
+    if(orbit.timer) { orbit.timer.start(); }
+    $('#timer').TimeCircles().start();
+}
+
+
+/* Show an emergency alert over the slides, suspending the slideshow and any
+ * other zones in the layout until the alert expires or is cleared. The expiry
+ * is handled here as well as by the server, so the alert is removed on time
+ * even if the server goes away.
+ */
+function show_alert(alert, now)
+{
+    var $alert = $('#alert');
+
+    clearTimeout(alerttimer);
+
+    $alert.removeClass('info warning critical').addClass(alert.severity);
+    $alert.find('.alert-severity').text($alert.data(alert.severity) || '');
+    $alert.find('.alert-message').text(alert.message);
+
+    var started = !currentalert;
+    currentalert = alert;
+
+    if(started) {
+        pause_rotation();
+        $.each(zoneorbits, function(zone, zoneorbit) {
+            if(zoneorbit.timer) { zoneorbit.timer.pause(); }
+        });
+        $alert.fadeIn();
+
+        // Let the server know the screen is meant to be still
+        send_heartbeat($('#slideshow .timedorbit-slide.is-active'));
+    }
+
+    alerttimer = setTimeout(end_alert, Math.max(alert.expires - now, 0) * 1000);
+}
+
+
+/* Remove the current alert, if there is one, and resume the other zones and
+ * the slideshow, unless the slideshow has been paused by remote control.
+ */
+function end_alert()
+{
+    clearTimeout(alerttimer);
+    if(!currentalert) { return; }
+
+    currentalert = null;
+    $('#alert').fadeOut();
+
+    $.each(zoneorbits, function(zone, zoneorbit) {
+        if(zoneorbit.timer) { zoneorbit.timer.start(); }
+    });
+
+    if(!remotepaused) {
+        resume_rotation();
+    }
+
+    send_heartbeat($('#slideshow .timedorbit-slide.is-active'));
+}
+
+
+/* Check whether an emergency alert has been raised or cleared. If the server
+ * can not be reached, any alert being shown stays up until it expires.
+ */
+function poll_alert()
+{
+    $.ajax({
+        url: alerturl,
+        type: 'GET',
+        dataType: 'json',
+        cache: false,
+        timeout: 10000,
+        success: function(result) {
+            if(result.alert) {
+                show_alert(result.alert, result.now);
+            } else {
+                end_alert();
+            }
+        },
+        complete: function() {
+            // Slides don't change while the slideshow is stopped, so make sure
+            // the server still hears from this screen
+            if(Date.now() - lastheartbeat > 60000) {
+                send_heartbeat($('#slideshow .timedorbit-slide.is-active'));
+            }
+
+            setTimeout(poll_alert, alertpoll);
+        }
+    });
+}
+
+
+/* Tell the server whether a remote control command was carried out.
+ */
+function ack_command(command, ok, message)
+{
+    $.ajax({
+        url: commandsurl + '/' + command.id,
+        type: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify({ status: ok ? 'done' : 'failed', message: message || '' }),
+        timeout: 10000
+    });
+}
+
+
+/* Move the slideshow to the specified slide. Nothing happens if the slide
+ * is already being shown; otherwise this returns false if the orbit refused
+ * to change the slide because it was already changing.
+ */
+function show_slide($target)
+{
+    var $slides = $('#slideshow .timedorbit-slide');
+
+    if(!$target.length || $target.hasClass('is-active')) { return; }
+
+    var idx = $slides.index($target);
+    return orbit.changeSlide(idx > $slides.index($slides.filter('.is-active')), $target, idx);
+}
+
+
+/* Carry out a remote control command sent from the devices page, and
+ * acknowledge it once it has been done (or has failed).
+ */
+function run_command(command)
+{
+    var result;
+
+    switch(command.command) {
+        case 'next':
+        case 'previous':
+            result = orbit.changeSlide(command.command === 'next');
+            break;
+
+        case 'goto':
+            var $target = $('#slideshow .timedorbit-slide').filter(function() { return this.id === command.argument; }).first();
+
+            if(!$target.length) {
+                return ack_command(command, false, 'No slide with ID ' + command.argument);
+            }
+
+            result = show_slide($target);
+            break;
+
+        case 'pause':
+            remotepaused = true;
+            pause_rotation();
+            send_heartbeat($('#slideshow .timedorbit-slide.is-active'));
+            break;
+
+        // An alert being shown keeps the slideshow stopped until it ends
+        case 'resume':
+            remotepaused = false;
+            if(!currentalert) { resume_rotation(); }
+            send_heartbeat($('#slideshow .timedorbit-slide.is-active'));
+            break;
+
+        case 'reload':
+            loops = maxloops;
+            return fetch_slides(function(ok, message) {
+                ack_command(command, ok, message);
+            });
+
+        default:
+            return ack_command(command, false, 'Unsupported command ' + command.command);
+    }
+
+    // The orbit refuses to change slide while one is animating
+    if(result === false) {
+        ack_command(command, false, 'A slide change was already in progress');
+    } else {
+        ack_command(command, true);
+    }
+}
+
+
+/* Check whether any remote control commands have been sent to this screen.
+ * Polling continues regardless of failures, as the server may come back.
+ */
+function poll_commands()
+{
+    $.ajax({
+        url: commandsurl,
+        type: 'GET',
+        dataType: 'json',
+        cache: false,
+        timeout: 10000,
+        success: function(result) {
+            $.each(result.commands || [], function(index, command) {
+                run_command(command);
+            });
+        },
+        complete: function() {
+            setTimeout(poll_commands, commandpoll);
+        }
+    });
+}
+
+
+/* Update the visitor controls to match the state of the slideshow, and
+ * point the permalink at the slide being shown, if it is given.
+ */
+function update_visitor_controls($slide)
+{
+    var paused  = !!(orbit && orbit.timer && orbit.timer.isPaused);
+    var $button = $('#visitor-controls [data-visitor="pause"]');
+    var label   = $button.data(paused ? 'play' : 'pause');
+
+    $button.attr({ 'title': label, 'aria-label': label })
+           .find('.fa').toggleClass('fa-pause', !paused).toggleClass('fa-play', paused);
+
+    if($slide && $slide.attr('id')) {
+        $('#permalink').attr('href', '#' + orbit.options.deepLinkPrefix + encodeURIComponent($slide.attr('id')));
+    }
+}
+
+
+function toggle_pause()
+{
+    if(orbit.timer && orbit.timer.isPaused) {
+        resume_rotation();
+    } else {
+        pause_rotation();
+    }
+
+    update_visitor_controls();
+}
+
+
+/* Show all of the current slides as a list, so that visitors can read them
+ * at their own pace. The slides are fetched from the server, so the list
+ * includes any that have appeared since the page was loaded. The slideshow
+ * is paused while the list is shown.
+ */
+function show_slidelist()
+{
+    var $list  = $('#slidelist');
+    var $items = $list.find('.slidelist-items').empty();
+
+    $list.data('paused', !!(orbit.timer && orbit.timer.isPaused));
+    pause_rotation();
+
+    $('#slideshow').hide();
+    $list.show();
+    $('#visitor-controls [data-visitor="list"]').attr('aria-pressed', 'true');
+
+    $.ajax({
+        url: slidesurl,
+        type: 'GET',
+        dataType: 'json',
+        cache: false,
+        timeout: 30000,
+        success: function(result) {
+            var seen = {};
+
+            $.each(result.slides || [], function(index, html) {
+                if(!html) { return; }
+
+                var $slide = build_slide(html);
+                var id     = $slide.attr('id') || '';
+
+                // Slides shown more often than others only need to be listed once
+                if(!$slide.length || seen[id]) { return; }
+                seen[id] = true;
+
+                $slide.removeAttr('id style data-slide').addClass('slidelist-item');
+                $slide.find('video').attr('controls', 'controls');
+
+                if(id) {
+                    $slide.append($('<a class="slidelist-link">').attr('href', '#' + orbit.options.deepLinkPrefix + encodeURIComponent(id))
+                                                                 .text($list.data('show')));
+                }
+
+                $items.append($slide);
+            });
+
+            if(!$items.children().length) {
+                $items.append($('<li class="slidelist-message">').text($list.data('empty')));
+            }
+        },
+        error: function() {
+            $items.append($('<li class="slidelist-message">').text($list.data('failed')));
+        }
+    });
+}
+
+
+/* Go back from the list of slides to the slideshow, restarting it unless it
+ * was paused before the list was shown.
+ */
+function hide_slidelist()
+{
+    var $list = $('#slidelist');
+
+    $list.hide();
+    $('#slideshow').show();
+    $('#visitor-controls [data-visitor="list"]').attr('aria-pressed', 'false');
+
+    if(!$list.data('paused')) {
+        resume_rotation();
+    }
+
+    update_visitor_controls();
+}
+
+
+/* Handle the keyboard shortcuts available to visitors. The orbit handles the
+ * arrow keys itself while it has the focus, so they are only handled here
+ * when the focus is elsewhere in the page.
+ */
+function visitor_keydown(event)
+{
+    var $target = $(event.target);
+
+    if($target.is('input, textarea, select') || event.ctrlKey || event.altKey || event.metaKey) { return; }
+
+    var listing = $('#slidelist').is(':visible');
+    var $slides = $('#slideshow .timedorbit-slide');
+
+    switch(event.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight':
+            if(listing || $target.closest('#slideshow').length) { return; }
+            orbit.changeSlide(event.key === 'ArrowRight');
+            break;
+
+        case 'PageUp':
+        case 'PageDown':
+            if(listing) { return; }
+            orbit.changeSlide(event.key === 'PageDown');
+            break;
+
+        case 'Home':
+        case 'End':
+            if(listing) { return; }
+            show_slide(event.key === 'Home' ? $slides.first() : $slides.last());
+            break;
+
+        // Space on a focused button presses the button instead
+        case ' ':
+            if(listing || $target.is('button, a')) { return; }
+            toggle_pause();
+            break;
+
+        case 'l':
+        case 'L':
+            if(listing) {
+                hide_slidelist();
+            } else {
+                show_slidelist();
+            }
+            break;
+
+        case 'Escape':
+            if(!listing) { return; }
+            hide_slidelist();
+            break;
+
+        default:
+            return;
+    }
+
+    event.preventDefault();
+}
+
+
+/* Set up the controls shown to visitors, as opposed to screens.
+ */
+function setup_visitor()
+{
+    var $controls = $('#visitor-controls');
+
+    $controls.on('click', '[data-visitor="previous"], [data-visitor="next"]', function() {
+        orbit.changeSlide($(this).data('visitor') === 'next');
+    });
+
+    $controls.on('click', '[data-visitor="pause"]', toggle_pause);
+
+    $controls.on('click', '[data-visitor="list"]', function() {
+        if($('#slidelist').is(':visible')) {
+            hide_slidelist();
+        } else {
+            show_slidelist();
+        }
+    });
+
+    // Following a link in the list shows the slide in the slideshow
+    $('#slidelist').on('click', '.slidelist-link', hide_slidelist);
+
+    // Clicking on a slide pauses or restarts the orbit
+    $('#slideshow').on('click', '.timedorbit-slide', function() {
+        update_visitor_controls();
+    }).on('slidechange.zf.timedorbit', function(event, newslide) {
+        update_visitor_controls(newslide);
+    });
+
+    $(document).on('keydown', visitor_keydown);
+
+    update_visitor_controls($('#slideshow .timedorbit-slide.is-active'));
+}
+
+
+/* Add an error to the list sent with the heartbeat, so that problems with
+ * the slideshow show up on the devices page.
+ */
+function record_error(message)
+{
+    scripterrors.push(message);
+
+    // Only the most recent errors are reported
+    if(scripterrors.length > 10) { scripterrors.shift(); }
+}
+
+
+window.onerror = function(message, source, line) {
+    record_error(message + (source ? ' (' + source + ':' + line + ')' : ''));
+};
+
+
 $(function() {
+    lastloaded = generated * 1000;
+
     $(".stopwatch").TimeCircles({ time: { Days: { show: false },
                                           Hours: { show: false },
                                           Minutes: { show: false },
@@ -22,28 +1174,113 @@ $(function() {
     $('.timedorbit-slide').each(function (index, elem) {
         var $elem = $(elem);
 
-        var img = $elem.find('img.autofloat');
-        if(img) {
-            var coverage = _calculateCoverage($elem);
-            if(coverage > 75) {
-                img.addClass('float-right');
-            } else {
-                img.removeClass('float-right');
-                img.addClass('float-left');
-            }
-        }
+        // Record the original content so changes can be detected on update
+        $elem.data('source', $elem.children('.slide').html());
+    });
+
+    $('#slideshow, .zone-carousel').each(function() {
+        fit_slides($(this));
     });
 
 
     $('#slideshow').on('slidechange.zf.timedorbit', function(event, newslide, delay) {
-        $('#timer').data('timer', delay / 1000);
-        $('#timer').TimeCircles().restart();
+        show_delay(delay);
+        show_qr(newslide);
+
+        // Note the position before any retired slides are removed and the slides renumbered
+        var slidenum = newslide.data('slide');
+
+        // Remove any slides that were dropped while they were being shown
+        remove_retired($('#slideshow'), orbit);
 
-        // if moving from last to first, and we've done enough loops, reload the page
-        if((newslide.data('slide') == 0) && (--loops < 0)) {
-            location.reload();
+        // Slides outside their schedule are skipped, so the first slide may not be shown;
+        // a wrap is detected by the slideshow moving back to an earlier slide instead.
+        var wrapped = !$lastslide || (slidenum <= $lastslide.data('slide'));
+        $lastslide = newslide;
+
+        // if moving from last to first, and we've done enough loops, fetch new slides
+        if(wrapped && (--loops < 0)) {
+            loops = maxloops;
+            fetch_slides();
         }
+
+        send_heartbeat(newslide);
+        start_playback(newslide);
+    });
+
+    // Nothing is on screen while every slide is outside its schedule
+    $('#slideshow').on('slideblank.zf.timedorbit', function() {
+        end_playback();
+    });
+
+    // Slides whose media fails to play fall back to an ordinary delay
+    $('#slideshow').on('delaychange.zf.timedorbit', function(event, slide, delay) {
+        show_delay(delay);
+    });
+
+    // Visitors can link to slides, and come back to them later
+    orbit = new Foundation.TimedOrbit($('#slideshow'), $.extend({}, delays, { deepLink: visitor }));
+
+    show_qr($('#slideshow .timedorbit-slide.is-active').first());
+
+    if(visitor) {
+        setup_visitor();
+    }
+
+    // Send any playback records that have not gone yet before the page goes away
+    $(window).on('pagehide', function() {
+        end_playback();
+        send_playback(true);
     });
 
-    new Foundation.TimedOrbit($('#slideshow'), delays);
-});
\ No newline at end of file
+    // The other zones in the layout run independently of the main slideshow
+    $('.zone-carousel').on('slidechange.zf.timedorbit', function() {
+        remove_retired($(this), zoneorbits[$(this).data('zone')]);
+    }).each(function() {
+        zoneorbits[$(this).data('zone')] = new Foundation.TimedOrbit($(this), $.extend({}, delays, { bullets: false,
+                                                                                                      navButtons: false }));
+    });
+
+    $('.ticker').each(function() {
+        start_ticker($(this));
+    });
+
+    if($('.clock').length) {
+        update_clocks();
+        setInterval(update_clocks, 1000);
+    }
+
+    // Previews of slide sources don't have a slide url, and must not be able
+    // to replace the slides stored for the real slideshow. Visitors don't need
+    // to keep working offline.
+    if(slidesurl && !visitor) {
+        if('serviceWorker' in navigator) {
+            navigator.serviceWorker.register(serviceworker, { scope: location.pathname })
+                .catch(function(error) { record_error("Service worker registration failed: " + error); });
+        }
+
+        // If a newer set of slides than the ones in the page has been stored, this
+        // page has probably been loaded from the service worker's copy.
+        load_stored_slides(function(stored) {
+            if(stored && stored.fetched > generated * 1000) {
+                update_slides(stored.slides);
+                update_zones(stored.zones);
+                lastloaded = stored.fetched;
+            }
+        });
+    }
+
+    if(commandsurl) {
+        setTimeout(poll_commands, commandpoll);
+    }
+
+    if(alerturl) {
+        poll_alert();
+    }
+
+    // A page that was not generated recently has come from the cache, so check
+    // whether the server is actually reachable rather than waiting for the loops.
+    if(Date.now() - (generated * 1000) > retrydelay) {
+        fetch_slides();
+    }
+});
@@ -0,0 +1,211 @@
+/* Service worker for the big screen slideshow. This keeps a copy of the
+ * slideshow page, the scripts and stylesheets it uses, and the images
+ * shown in the slides, so that the screen can keep running (and can start
+ * up again after a reboot) while the server can not be reached.
+ *
+ * Note that this needs to be served with a Service-Worker-Allowed header
+ * to be able to control the slideshow page; see the example .htaccess.
+ */
+'use strict';
+
+var CACHE_VERSION   = 2;
+var PAGE_CACHE      = 'bigscreen-page-v'   + CACHE_VERSION;
+var ASSET_CACHE     = 'bigscreen-assets-v' + CACHE_VERSION;
+var IMAGE_CACHE     = 'bigscreen-images-v' + CACHE_VERSION;
+var SLIDE_CACHE     = 'bigscreen-slide-images-v' + CACHE_VERSION;
+var NETWORK_TIMEOUT = 15000;
+
+
+/* Fetch the specified request, giving up if the server has not responded
+ * within the specified number of milliseconds.
+ */
+function fetch_with_timeout(request, timeout)
+{
+    return new Promise(function(resolve, reject) {
+        var timer = setTimeout(function() { reject(new Error('Request timed out')); }, timeout);
+
+        fetch(request).then(function(response) {
+            clearTimeout(timer);
+            resolve(response);
+        }, function(error) {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+
+/* Try to fetch the request from the server, storing the response in the
+ * cache. If the server can not be reached, or returns an error, fall back
+ * on the cached copy if there is one.
+ */
+function network_first(request, cachename)
+{
+    return caches.open(cachename).then(function(cache) {
+        return fetch_with_timeout(request, NETWORK_TIMEOUT).then(function(response) {
+            if(response.ok) {
+                cache.put(request, response.clone());
+                return response;
+            }
+
+            return cache.match(request).then(function(cached) {
+                return cached || response;
+            });
+        }).catch(function(error) {
+            return cache.match(request).then(function(cached) {
+                if(cached) { return cached; }
+                throw error;
+            });
+        });
+    });
+}
+
+
+/* Respond with the cached copy of the request if there is one, updating
+ * the cache from the server in the background.
+ */
+function cache_first(request, cachename)
+{
+    return caches.open(cachename).then(function(cache) {
+        return cache.match(request).then(function(cached) {
+            var fetched = fetch(request).then(function(response) {
+                // Cross-origin images will be opaque, but they can still be cached
+                if(response.ok || response.type === 'opaque') {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            });
+
+            if(cached) {
+                fetched.catch(function() { });
+                return cached;
+            }
+
+            return fetched;
+        });
+    });
+}
+
+
+/* Respond with the copy of an image kept for the slides if there is one,
+ * otherwise treat it like any other image on the page.
+ */
+function image_response(request)
+{
+    return caches.open(SLIDE_CACHE).then(function(cache) {
+        return cache.match(request).then(function(cached) {
+            return cached || cache_first(request, IMAGE_CACHE);
+        });
+    });
+}
+
+
+/* Determine whether the request was made by the slideshow page itself. The
+ * worker's scope covers the other pages of the site, like the Devices and
+ * Manage pages, and their images and scripts must not be cached.
+ */
+function from_slideshow(event)
+{
+    return self.clients.get(event.clientId).then(function(client) {
+        return !!client && new URL(client.url).pathname === new URL(self.registration.scope).pathname;
+    });
+}
+
+
+/* Make sure that all the specified slide images are in the slide image
+ * cache, and remove any that are no longer in use. Only the slide image
+ * cache is pruned, as the other images on the page are not included in the
+ * list. Slide images are moved out of the general image cache, so that it
+ * does not fill up with images from old slides.
+ */
+function cache_images(urls)
+{
+    return Promise.all([ caches.open(SLIDE_CACHE), caches.open(IMAGE_CACHE) ]).then(function(opened) {
+        var cache  = opened[0];
+        var images = opened[1];
+
+        return cache.keys().then(function(requests) {
+            var work = requests.filter(function(request) {
+                return urls.indexOf(request.url) === -1;
+            }).map(function(request) {
+                return cache.delete(request);
+            });
+
+            urls.forEach(function(url) {
+                work.push(cache.match(url).then(function(cached) {
+                    if(cached) { return; }
+
+                    return images.match(url).then(function(response) {
+                        return response || fetch(new Request(url, { mode: 'no-cors' }));
+                    }).then(function(response) {
+                        return cache.put(url, response);
+                    }).catch(function() { });
+                }).then(function() {
+                    return images.delete(url);
+                }));
+            });
+
+            return Promise.all(work);
+        });
+    });
+}
+
+
+self.addEventListener('install', function(event) {
+    self.skipWaiting();
+});
+
+
+self.addEventListener('activate', function(event) {
+    var current = [ PAGE_CACHE, ASSET_CACHE, IMAGE_CACHE, SLIDE_CACHE ];
+
+    // Remove caches left behind by older versions of the worker
+    event.waitUntil(caches.keys().then(function(names) {
+        return Promise.all(names.filter(function(name) {
+            return name.indexOf('bigscreen-') === 0 && current.indexOf(name) === -1;
+        }).map(function(name) {
+            return caches.delete(name);
+        }));
+    }).then(function() {
+        return self.clients.claim();
+    }));
+});
+
+
+self.addEventListener('fetch', function(event) {
+    var request = event.request;
+    if(request.method !== 'GET') { return; }
+
+    var url = new URL(request.url);
+
+    // Only the slideshow page itself is kept, not any other page in scope
+    if(request.mode === 'navigate') {
+        if(url.pathname === new URL(self.registration.scope).pathname) {
+            event.respondWith(network_first(request, PAGE_CACHE));
+        }
+        return;
+    }
+
+    // API requests always go to the server, so the page can tell it is offline
+    if(url.pathname.indexOf('/api/') !== -1) { return; }
+
+    var respond;
+    if(request.destination === 'image') {
+        respond = image_response;
+    } else if([ 'script', 'style', 'font' ].indexOf(request.destination) !== -1) {
+        respond = function(request) { return cache_first(request, ASSET_CACHE); };
+    } else {
+        return;
+    }
+
+    event.respondWith(from_slideshow(event).then(function(slideshow) {
+        return slideshow ? respond(request) : fetch(request);
+    }));
+});
+
+
+self.addEventListener('message', function(event) {
+    if(event.data && event.data.type === 'images') {
+        event.waitUntil(cache_images(event.data.urls));
+    }
+});